@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+
+const DEFAULT_ARCHIVE_LIMITS = {
+  maxEntries: 50000,
+  maxTotalBytes: 8 * 1024 * 1024 * 1024,
+  maxEntryBytes: 2 * 1024 * 1024 * 1024,
+  // Only entries above this size are checked against the compression ratio.
+  ratioCheckMinBytes: 1024 * 1024,
+  maxCompressionRatio: 200
+};
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function createArchiveError(message, entryName) {
+  const error = new Error(entryName ? `${message} (entry: ${entryName})` : message);
+  error.code = 'EARCHIVE';
+  error.entryName = entryName || null;
+  return error;
+}
+
+function resolveEntryPath(destinationDir, entryName) {
+  if (!entryName || entryName.includes('\0')) {
+    throw createArchiveError('Archive entry has an invalid name', entryName);
+  }
+
+  const segments = entryName.split(/[\\/]+/);
+  if (/^([a-zA-Z]:|[\\/])/.test(entryName) || segments.includes('..')) {
+    throw createArchiveError('Archive entry escapes the modpack directory', entryName);
+  }
+
+  const root = path.resolve(destinationDir);
+  const resolved = path.resolve(root, ...segments.filter(Boolean));
+  const relative = path.relative(root, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw createArchiveError('Archive entry escapes the modpack directory', entryName);
+  }
+
+  return { absolutePath: resolved, relativePath: relative };
+}
+
+function isSymlinkEntry(entry) {
+  const unixMode = (entry.header.attr >>> 16) & S_IFMT;
+  return unixMode === S_IFLNK;
+}
+
+// Validates every entry before anything is written so a malicious or corrupt
+// archive is rejected as a whole instead of being half extracted.
+function inspectArchiveEntries(entries, destinationDir, limits = {}) {
+  const { maxEntries, maxTotalBytes, maxEntryBytes, ratioCheckMinBytes, maxCompressionRatio } = {
+    ...DEFAULT_ARCHIVE_LIMITS,
+    ...limits
+  };
+
+  if (entries.length > maxEntries) {
+    throw createArchiveError(`Archive contains too many entries (${entries.length} > ${maxEntries})`);
+  }
+
+  let totalBytes = 0;
+  const files = [];
+
+  for (const entry of entries) {
+    const { absolutePath, relativePath } = resolveEntryPath(destinationDir, entry.entryName);
+
+    if (isSymlinkEntry(entry)) {
+      throw createArchiveError('Archive entry is a symbolic link', entry.entryName);
+    }
+
+    if (entry.isDirectory) continue;
+
+    const size = entry.header.size;
+    const compressedSize = entry.header.compressedSize;
+    if (size > maxEntryBytes) {
+      throw createArchiveError('Archive entry exceeds the maximum file size', entry.entryName);
+    }
+    if (size > ratioCheckMinBytes && size / Math.max(1, compressedSize) > maxCompressionRatio) {
+      throw createArchiveError('Archive entry has a suspicious compression ratio', entry.entryName);
+    }
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw createArchiveError('Archive exceeds the maximum uncompressed size', entry.entryName);
+    }
+
+    files.push({ entry, absolutePath, relativePath, size });
+  }
+
+  return { files, totalBytes };
+}
+
+function openZip(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false, validateEntrySizes: true }, (error, zipfile) => {
+      if (error) reject(createArchiveError(`Update archive could not be opened: ${error.message}`));
+      else resolve(zipfile);
+    });
+  });
+}
+
+// Reads the central directory only; entry contents are streamed later.
+function readZipEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', (entry) => {
+      entries.push({
+        entryName: entry.fileName,
+        isDirectory: entry.fileName.endsWith('/'),
+        header: {
+          size: entry.uncompressedSize,
+          compressedSize: entry.compressedSize,
+          attr: entry.externalFileAttributes
+        },
+        zipEntry: entry
+      });
+      zipfile.readEntry();
+    });
+    zipfile.once('end', () => resolve(entries));
+    zipfile.once('error', (error) => {
+      // yauzl validates entry names itself; keep reporting which entry was unsafe.
+      const unsafeName = /^(?:invalid relative path|absolute path|invalid characters in fileName): (.*)$/.exec(
+        error.message
+      );
+      reject(
+        unsafeName
+          ? createArchiveError('Archive entry escapes the modpack directory', unsafeName[1])
+          : createArchiveError(`Update archive is corrupt: ${error.message}`)
+      );
+    });
+    zipfile.readEntry();
+  });
+}
+
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+// Reads and validates the central directory without extracting anything. Entry paths
+// are checked against a placeholder root; only their shape matters here.
+async function inspectArchive(archivePath, { limits } = {}) {
+  const zipfile = await openZip(archivePath);
+
+  try {
+    const entries = await readZipEntries(zipfile);
+    const { files, totalBytes } = inspectArchiveEntries(entries, path.resolve('hellas-archive-check'), limits);
+    if (!files.length) {
+      throw createArchiveError('Update archive did not contain any files');
+    }
+    return { fileCount: files.length, totalBytes };
+  } finally {
+    zipfile.close();
+  }
+}
+
+// Entries are inflated and written one at a time through streams, so large packs
+// never sit in memory and the main process stays responsive while extracting.
+async function extractArchive(
+  archivePath,
+  destinationDir,
+  { limits, ensureNotCancelled = () => {}, onProgress = () => {}, beforeExtract = async () => {} } = {}
+) {
+  const zipfile = await openZip(archivePath);
+
+  try {
+    const entries = await readZipEntries(zipfile);
+    const { files, totalBytes } = inspectArchiveEntries(entries, destinationDir, limits);
+    await beforeExtract({ fileCount: files.length, totalBytes });
+
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        const { absolutePath } = resolveEntryPath(destinationDir, entry.entryName);
+        await fs.promises.mkdir(absolutePath, { recursive: true });
+      }
+    }
+
+    let extractedBytes = 0;
+    let extractedFiles = 0;
+    onProgress({ extractedFiles, fileCount: files.length, extractedBytes, totalBytes });
+
+    for (const file of files) {
+      ensureNotCancelled();
+      await fs.promises.mkdir(path.dirname(file.absolutePath), { recursive: true });
+
+      const hasher = crypto.createHash('sha256');
+      let written = 0;
+      const meter = new Transform({
+        transform(chunk, _encoding, callback) {
+          try {
+            ensureNotCancelled();
+          } catch (error) {
+            callback(error);
+            return;
+          }
+          hasher.update(chunk);
+          written += chunk.length;
+          extractedBytes += chunk.length;
+          onProgress({ extractedFiles, fileCount: files.length, extractedBytes, totalBytes });
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        const readStream = await openEntryStream(zipfile, file.entry.zipEntry);
+        await pipeline(readStream, meter, fs.createWriteStream(file.absolutePath));
+      } catch (error) {
+        if (error.cancelled || error.name === 'AbortError') throw error;
+        throw createArchiveError(`Archive entry could not be extracted: ${error.message}`, file.entry.entryName);
+      }
+
+      if (written !== file.size) {
+        throw createArchiveError('Archive entry size does not match its header', file.entry.entryName);
+      }
+      file.sha256 = hasher.digest('hex');
+      extractedFiles += 1;
+      onProgress({ extractedFiles, fileCount: files.length, extractedBytes, totalBytes });
+    }
+
+    return { files: files.map(({ relativePath, size, sha256 }) => ({ relativePath, size, sha256 })), totalBytes };
+  } finally {
+    zipfile.close();
+  }
+}
+
+async function verifyExtractedFiles(destinationDir, files) {
+  if (!files.length) {
+    throw createArchiveError('Update archive did not contain any files');
+  }
+
+  for (const { relativePath, size } of files) {
+    const stats = await fs.promises.stat(path.join(destinationDir, relativePath)).catch(() => null);
+    if (!stats || !stats.isFile() || stats.size !== size) {
+      throw createArchiveError('Extracted file is missing or incomplete', relativePath);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_LIMITS,
+  resolveEntryPath,
+  inspectArchiveEntries,
+  inspectArchive,
+  extractArchive,
+  verifyExtractedFiles
+};
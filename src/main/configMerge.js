@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_POLICIES = ['overwrite', 'keep-user', 'merge'];
+const DEFAULT_CONFIG_POLICY = 'overwrite';
+const PRISTINE_DIR_NAME = '.hellas-pristine';
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches zero directories.
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Feeds declare policies as { "<path or glob>": "overwrite" | "keep-user" | "merge" }.
+// The most specific (longest) matching pattern wins.
+function normalizeConfigPolicies(policies) {
+  if (!policies || typeof policies !== 'object') return [];
+
+  return Object.entries(policies)
+    .map(([pattern, policy]) => {
+      if (!CONFIG_POLICIES.includes(policy)) {
+        throw new Error(`Unknown config policy "${policy}" for "${pattern}".`);
+      }
+      const normalized = pattern.replace(/\\/g, '/').replace(/^\/+/, '');
+      return { pattern: normalized, policy, matcher: globToRegExp(normalized) };
+    })
+    .sort((a, b) => b.pattern.length - a.pattern.length);
+}
+
+function resolveConfigPolicy(rules, relativePath) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const rule = (rules || []).find((candidate) => candidate.matcher.test(normalized));
+  return rule ? rule.policy : DEFAULT_CONFIG_POLICY;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Three-way merge of two edits of `base`: values the player changed are kept,
+// everything else follows the pack, and keys new to the pack are added. Without a
+// base every value the player already has is kept.
+function mergeObjects(base, user, pack) {
+  const hasBase = isPlainObject(base);
+  const merged = {};
+
+  for (const [key, packValue] of Object.entries(pack)) {
+    const baseHasKey = hasBase && Object.prototype.hasOwnProperty.call(base, key);
+    if (!Object.prototype.hasOwnProperty.call(user, key)) {
+      // Keep keys the player deliberately removed out, but add new pack keys.
+      if (!baseHasKey) merged[key] = packValue;
+      continue;
+    }
+
+    const userValue = user[key];
+    if (isPlainObject(userValue) && isPlainObject(packValue)) {
+      merged[key] = mergeObjects(hasBase ? base[key] : undefined, userValue, packValue);
+    } else if (baseHasKey && sameValue(userValue, base[key])) {
+      merged[key] = packValue;
+    } else {
+      merged[key] = userValue;
+    }
+  }
+
+  for (const [key, userValue] of Object.entries(user)) {
+    if (Object.prototype.hasOwnProperty.call(pack, key)) continue;
+    // The pack dropped this key; keep it only if the player added or changed it.
+    const baseHasKey = hasBase && Object.prototype.hasOwnProperty.call(base, key);
+    if (!baseHasKey || !sameValue(userValue, base[key])) {
+      merged[key] = userValue;
+    }
+  }
+
+  return merged;
+}
+
+function parseKeyValue(text, separator) {
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const index = line.indexOf(separator);
+    if (!line.trim() || line.trimStart().startsWith('#') || index <= 0) continue;
+    values[line.slice(0, index).trim()] = line.slice(index + separator.length).trim();
+  }
+  return values;
+}
+
+function mergeKeyValueText(baseText, userText, packText, separator) {
+  const merged = mergeObjects(
+    baseText === null ? null : parseKeyValue(baseText, separator),
+    parseKeyValue(userText, separator),
+    parseKeyValue(packText, separator)
+  );
+  const newline = packText.includes('\r\n') ? '\r\n' : '\n';
+  return `${Object.entries(merged)
+    .map(([key, value]) => `${key}${separator}${value}`)
+    .join(newline)}${newline}`;
+}
+
+function mergeJsonText(baseText, userText, packText) {
+  try {
+    const pack = JSON.parse(packText);
+    const user = JSON.parse(userText);
+    if (!isPlainObject(pack) || !isPlainObject(user)) return null;
+    const base = baseText === null ? null : JSON.parse(baseText);
+    return `${JSON.stringify(mergeObjects(base, user, pack), null, 2)}\n`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function countOpenBrackets(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#') {
+      break;
+    } else if (char === '[') {
+      depth += 1;
+    } else if (char === ']') {
+      depth -= 1;
+    }
+  }
+  return depth;
+}
+
+// Line-based TOML reader covering the flat `[section]` + `key = value` layout that
+// Forge mod configs use. Values are kept as raw text; multi-line arrays are
+// folded into a single value. Returns null for anything it cannot map reliably.
+function parseToml(text) {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+  const sections = [{ name: '', endLine: -1 }];
+  const values = {};
+  let section = '';
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const trimmed = lines[i].trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    if (trimmed.startsWith('[[')) return null;
+    const header = /^\[\s*([^\]]+?)\s*\]\s*(#.*)?$/.exec(trimmed);
+    if (header) {
+      section = header[1];
+      sections.push({ name: section, endLine: i });
+      continue;
+    }
+
+    const match = /^(\s*([^=]+?)\s*=\s*)(.*)$/.exec(lines[i]);
+    if (!match) return null;
+
+    const startLine = i;
+    let value = match[3];
+    let depth = countOpenBrackets(value);
+    while (depth > 0 && i + 1 < lines.length) {
+      i += 1;
+      value += `\n${lines[i]}`;
+      depth += countOpenBrackets(lines[i]);
+    }
+
+    const key = section ? `${section}.${match[2]}` : match[2];
+    if (Object.prototype.hasOwnProperty.call(values, key)) return null;
+    values[key] = value;
+    entries.push({ key, section, prefix: match[1], startLine, endLine: i });
+    sections[sections.length - 1].endLine = i;
+  }
+
+  return { lines, entries, sections, values };
+}
+
+function mergeTomlText(baseText, userText, packText) {
+  const pack = parseToml(packText);
+  const user = parseToml(userText);
+  const base = baseText === null ? null : parseToml(baseText);
+  if (!pack || !user || (baseText !== null && !base)) return null;
+
+  const merged = mergeObjects(base ? base.values : null, user.values, pack.values);
+  const replacements = new Map();
+  for (const entry of pack.entries) {
+    if (!Object.prototype.hasOwnProperty.call(merged, entry.key)) {
+      replacements.set(entry.startLine, { endLine: entry.endLine, text: null });
+    } else if (merged[entry.key] !== pack.values[entry.key]) {
+      replacements.set(entry.startLine, { endLine: entry.endLine, text: `${entry.prefix}${merged[entry.key]}` });
+    }
+  }
+
+  // Keys only the player has go back under their section, or into a new one.
+  const additions = new Map();
+  for (const entry of user.entries) {
+    if (Object.prototype.hasOwnProperty.call(pack.values, entry.key)) continue;
+    if (!Object.prototype.hasOwnProperty.call(merged, entry.key)) continue;
+    const text = `${entry.prefix}${merged[entry.key]}`;
+    additions.set(entry.section, [...(additions.get(entry.section) || []), text]);
+  }
+
+  const output = [];
+  const appendAfter = new Map();
+  for (const [sectionName, lines] of additions) {
+    const section = pack.sections.find((candidate) => candidate.name === sectionName);
+    if (section) {
+      appendAfter.set(section.endLine, lines);
+    }
+  }
+
+  for (const lines of appendAfter.get(-1) || []) output.push(lines);
+  for (let i = 0; i < pack.lines.length; i += 1) {
+    const replacement = replacements.get(i);
+    if (replacement) {
+      if (replacement.text !== null) output.push(replacement.text);
+      i = replacement.endLine;
+    } else {
+      output.push(pack.lines[i]);
+    }
+    for (const line of appendAfter.get(i) || []) output.push(line);
+  }
+
+  for (const [sectionName, lines] of additions) {
+    if (pack.sections.some((candidate) => candidate.name === sectionName)) continue;
+    output.push('', `[${sectionName}]`, ...lines);
+  }
+
+  return output.join(packText.includes('\r\n') ? '\r\n' : '\n');
+}
+
+// Returns the merged text, or null when the file type is not supported or one of
+// the versions cannot be parsed.
+function mergeConfigText(relativePath, { base, user, pack }) {
+  const name = path.basename(relativePath).toLowerCase();
+  const extension = path.extname(name);
+
+  if (extension === '.txt' && name.startsWith('options')) {
+    return mergeKeyValueText(base, user, pack, name === 'optionsshaders.txt' ? '=' : ':');
+  }
+  if (extension === '.properties') {
+    return mergeKeyValueText(base, user, pack, '=');
+  }
+  if (extension === '.json') {
+    return mergeJsonText(base, user, pack);
+  }
+  if (extension === '.toml') {
+    return mergeTomlText(base, user, pack);
+  }
+
+  return null;
+}
+
+function getPristinePath(targetDir, relativePath) {
+  return path.join(targetDir, PRISTINE_DIR_NAME, relativePath);
+}
+
+// Decides how a pack file lands on top of an existing player copy; merged content
+// is written over the staged file. `pristine` is the unmodified pack text of merge
+// files, which becomes the merge base for the next update.
+async function applyConfigPolicy({ policy, relativePath, stagedPath, livePath, pristinePath }) {
+  if (policy === 'overwrite') return { install: true, pristine: null };
+
+  const pack = policy === 'merge' ? await fs.promises.readFile(stagedPath, 'utf8') : null;
+  const user = await fs.promises.readFile(livePath, 'utf8').catch(() => null);
+  if (user === null) return { install: true, pristine: pack };
+  if (policy === 'keep-user') return { install: false, pristine: null };
+
+  const base = await fs.promises.readFile(pristinePath, 'utf8').catch(() => null);
+  if (user === pack || (base !== null && pack === base)) return { install: false, pristine: pack };
+  if (base !== null && user === base) return { install: true, pristine: pack };
+
+  const merged = mergeConfigText(relativePath, { base, user, pack });
+  if (merged === null) {
+    return { install: false, pristine: pack, unmerged: true };
+  }
+
+  await fs.promises.writeFile(stagedPath, merged, 'utf8');
+  return { install: true, pristine: pack, merged: true };
+}
+
+async function writePristineCopies(targetDir, copies) {
+  for (const { relativePath, content } of copies) {
+    const pristinePath = getPristinePath(targetDir, relativePath);
+    await fs.promises.mkdir(path.dirname(pristinePath), { recursive: true });
+    await fs.promises.writeFile(pristinePath, content, 'utf8');
+  }
+}
+
+module.exports = {
+  CONFIG_POLICIES,
+  DEFAULT_CONFIG_POLICY,
+  PRISTINE_DIR_NAME,
+  normalizeConfigPolicies,
+  resolveConfigPolicy,
+  mergeObjects,
+  mergeConfigText,
+  getPristinePath,
+  applyConfigPolicy,
+  writePristineCopies
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { CACHE_DIR_NAME, LAUNCHER_UPDATE_DIR_NAME } = require('./download');
+const { logMessage } = require('./logger');
+const { getDirectorySize } = require('./diskSpace');
+
+const OBJECTS_DIR_NAME = 'objects';
+// Room for a few pack archives next to the Minecraft client and Forge installers.
+const DEFAULT_CACHE_MAX_BYTES = 4 * 1024 * 1024 * 1024;
+const DIGEST_PATTERNS = { sha256: /^[a-f0-9]{64}$/, sha1: /^[a-f0-9]{40}$/ };
+
+// Picks the strongest digest a download publishes, or null when it has none.
+function toCacheKey({ sha256, sha1 } = {}) {
+  const candidates = [['sha256', sha256], ['sha1', sha1]];
+  for (const [algorithm, value] of candidates) {
+    const hash = value ? String(value).trim().toLowerCase() : '';
+    if (DIGEST_PATTERNS[algorithm].test(hash)) {
+      return { algorithm, hash };
+    }
+  }
+  return null;
+}
+
+function getContentCacheDir(rootDir) {
+  return path.join(rootDir, CACHE_DIR_NAME, OBJECTS_DIR_NAME);
+}
+
+async function listCacheEntries(objectsDir) {
+  const entries = [];
+  for (const algorithm of Object.keys(DIGEST_PATTERNS)) {
+    const buckets = await fs.promises.readdir(path.join(objectsDir, algorithm)).catch(() => []);
+    for (const bucket of buckets) {
+      const bucketDir = path.join(objectsDir, algorithm, bucket);
+      const names = await fs.promises.readdir(bucketDir).catch(() => []);
+      for (const name of names) {
+        const entryPath = path.join(bucketDir, name);
+        const stats = await fs.promises.stat(entryPath).catch(() => null);
+        if (stats?.isFile()) {
+          entries.push({ path: entryPath, size: stats.size, lastUsed: stats.mtimeMs });
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+// Copies through a hasher and only moves the copy into place when it matches.
+async function copyVerified(sourcePath, destinationPath, key) {
+  const hasher = crypto.createHash(key.algorithm);
+  const tempPath = `${destinationPath}.cache-${process.pid}`;
+  await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+
+  try {
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      new Transform({
+        transform(chunk, _encoding, callback) {
+          hasher.update(chunk);
+          callback(null, chunk);
+        }
+      }),
+      fs.createWriteStream(tempPath)
+    );
+    if (hasher.digest('hex') !== key.hash) {
+      return false;
+    }
+    await fs.promises.rename(tempPath, destinationPath);
+    return true;
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+// Content-addressed store for verified downloads, kept under the Hellas root's
+// cache folder so it survives fresh reinstalls. Entries are looked up by the
+// sha256/sha1 the download source publishes; the least recently used ones are
+// evicted once the cache grows past `maxBytes`. Cache problems are logged and
+// never fail an install.
+function createContentCache(rootDir, { maxBytes = DEFAULT_CACHE_MAX_BYTES } = {}) {
+  const objectsDir = getContentCacheDir(rootDir);
+  const getEntryPath = (key) => path.join(objectsDir, key.algorithm, key.hash.slice(0, 2), key.hash);
+
+  async function evict() {
+    const entries = await listCacheEntries(objectsDir);
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await fs.promises.rm(entry.path, { force: true });
+      total -= entry.size;
+    }
+    return total;
+  }
+
+  return {
+    // Copies a cached object to destinationPath; resolves false on a miss or when
+    // the cached copy no longer matches its digest.
+    async restore(digest, destinationPath) {
+      const key = toCacheKey(digest);
+      if (!key) return false;
+
+      const entryPath = getEntryPath(key);
+      try {
+        if (!(await fs.promises.stat(entryPath).catch(() => null))?.isFile()) {
+          return false;
+        }
+        if (!(await copyVerified(entryPath, destinationPath, key))) {
+          logMessage('warn', 'Discarding corrupt download cache entry', { entry: entryPath });
+          await fs.promises.rm(entryPath, { force: true });
+          return false;
+        }
+        const now = new Date();
+        await fs.promises.utimes(entryPath, now, now);
+        return true;
+      } catch (error) {
+        logMessage('warn', 'Download cache lookup failed', { entry: entryPath, error: error.message });
+        return false;
+      }
+    },
+
+    // sourcePath must already have been verified against the digest.
+    async store(digest, sourcePath) {
+      const key = toCacheKey(digest);
+      if (!key) return;
+
+      const entryPath = getEntryPath(key);
+      const tempPath = `${entryPath}.store-${process.pid}`;
+      try {
+        const stats = await fs.promises.stat(sourcePath);
+        if (stats.size > maxBytes) return;
+        await fs.promises.mkdir(path.dirname(entryPath), { recursive: true });
+        await fs.promises.copyFile(sourcePath, tempPath);
+        await fs.promises.rename(tempPath, entryPath);
+        // Some platforms keep the source's timestamps on copy; mark it as just used.
+        const now = new Date();
+        await fs.promises.utimes(entryPath, now, now);
+        await evict();
+      } catch (error) {
+        logMessage('warn', 'Could not add download to cache', { entry: entryPath, error: error.message });
+        await fs.promises.rm(tempPath, { force: true });
+      }
+    },
+
+    evict,
+
+    async getSize() {
+      const entries = await listCacheEntries(objectsDir);
+      return entries.reduce((sum, entry) => sum + entry.size, 0);
+    }
+  };
+}
+
+// Removes cached objects and interrupted partial downloads; resolves to the bytes freed.
+// A staged launcher update is kept: the launcher still announces it and swaps it in on quit.
+async function clearDownloadCache(rootDir) {
+  const cacheDir = path.join(rootDir, CACHE_DIR_NAME);
+  const keptBytes = await getDirectorySize(path.join(cacheDir, LAUNCHER_UPDATE_DIR_NAME));
+  const freedBytes = (await getDirectorySize(cacheDir)) - keptBytes;
+  const entries = await fs.promises.readdir(cacheDir).catch(() => []);
+  for (const entry of entries.filter((name) => name !== LAUNCHER_UPDATE_DIR_NAME)) {
+    await fs.promises.rm(path.join(cacheDir, entry), { recursive: true, force: true });
+  }
+  return freedBytes;
+}
+
+module.exports = {
+  DEFAULT_CACHE_MAX_BYTES,
+  toCacheKey,
+  getContentCacheDir,
+  createContentCache,
+  clearDownloadCache
+};
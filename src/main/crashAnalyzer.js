@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { parseJavaVersion, isJavaCompatible } = require('./javaResolver');
+
+const CRASH_REPORTS_DIR_NAME = 'crash-reports';
+const JVM_CRASH_LOG_PATTERN = /^hs_err_pid\d+\.log$/;
+const MAX_REPORT_BYTES = 1024 * 1024;
+const MAX_SUSPECTED_MODS = 5;
+// FAT and some network drives store modification times with two-second precision.
+const MTIME_SLACK_MS = 2000;
+
+// Checked in order; the first problem whose pattern appears in the report wins.
+const KNOWN_PROBLEMS = [
+  {
+    id: 'out-of-memory',
+    title: 'Minecraft ran out of memory',
+    advice:
+      'Raise Maximum RAM under Adjust RAM. If your PC has little memory, lower it instead and close other ' +
+      'programs before playing.',
+    patterns: [
+      /java\.lang\.OutOfMemoryError/,
+      /insufficient memory for the Java Runtime Environment/,
+      /Native memory allocation \(\w+\) failed/,
+      /Could not reserve enough space for/
+    ]
+  },
+  {
+    id: 'wrong-java',
+    title: 'Minecraft was started with the wrong Java version',
+    advice: 'Choose the recommended runtime under Java runtime in the menu, or switch back to automatic selection.',
+    patterns: [
+      /UnsupportedClassVersionError/,
+      /compiled by a more recent version of the Java Runtime/,
+      /Unsupported class file major version/,
+      /ClassLoaders\$AppClassLoader cannot be cast to (?:class )?java\.net\.URLClassLoader/
+    ],
+    matches: (report, { requiredJavaMajor }) =>
+      Boolean(report.javaMajor && requiredJavaMajor && !isJavaCompatible(report.javaMajor, requiredJavaMajor))
+  },
+  {
+    id: 'mixin-failure',
+    title: 'A mod failed to apply its mixins',
+    advice:
+      'A mod clashes with another mod or with this Forge version. Update or remove the suspected mod; if you ' +
+      'did not add mods yourself, verify game files and reinstall the pack.',
+    patterns: [
+      /MixinTransformerError/,
+      /MixinApplyError/,
+      /InvalidMixinException/,
+      /InjectionError/,
+      /Mixin \[[^\]]+\] from mod \S+ failed/
+    ]
+  },
+  {
+    id: 'missing-dependency',
+    title: 'A mod is missing one of its dependencies',
+    advice:
+      'Verify game files or reinstall the pack. If you added mods yourself, install the mods they require ' +
+      'or remove them.',
+    patterns: [
+      /Missing or unsupported mandatory dependencies/,
+      /MissingModsException/,
+      /ModResolutionException/,
+      /Mod \S+ requires \S+/,
+      /java\.lang\.NoClassDefFoundError/,
+      /java\.lang\.ClassNotFoundException/
+    ]
+  }
+];
+
+async function listReportFiles(directory, kind, accept) {
+  const names = await fs.promises.readdir(directory).catch(() => []);
+  const files = [];
+  for (const name of names.filter(accept)) {
+    const filePath = path.join(directory, name);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats?.isFile()) files.push({ path: filePath, kind, modifiedAt: stats.mtimeMs });
+  }
+  return files;
+}
+
+// The newest Minecraft crash report or JVM error log written since `since` in any of
+// the directories. MCLC starts Java in the Minecraft root while the game writes its
+// reports into the game directory, so both are searched.
+async function findLatestCrashReport(directories, { since = 0 } = {}) {
+  const candidates = [];
+  for (const directory of [...new Set(directories.filter(Boolean))]) {
+    const reportsDir = path.join(directory, CRASH_REPORTS_DIR_NAME);
+    candidates.push(...(await listReportFiles(reportsDir, 'crash-report', (name) => name.endsWith('.txt'))));
+    candidates.push(...(await listReportFiles(directory, 'jvm-crash', (name) => JVM_CRASH_LOG_PATTERN.test(name))));
+  }
+
+  const recent = candidates.filter((candidate) => candidate.modifiedAt >= since - MTIME_SLACK_MS);
+  return recent.sort((a, b) => b.modifiedAt - a.modifiedAt)[0] || null;
+}
+
+async function readReport(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(MAX_REPORT_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, MAX_REPORT_BYTES, 0);
+    return buffer.subarray(0, bytesRead).toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+function matchFirst(text, pattern) {
+  return pattern.exec(text)?.[1]?.trim() || null;
+}
+
+function collectSuspectedMods(text) {
+  const mods = [];
+  for (const match of text.matchAll(/^\s*Suspected Mods?: (.+)$/gm)) {
+    mods.push(...match[1].split(',').map((mod) => mod.trim()));
+  }
+  for (const pattern of [/^-- MOD (\S+) --$/gm, /from mod (\w[\w-]*)/g, /\bMod (\w[\w-]*) requires \S+/g]) {
+    for (const match of text.matchAll(pattern)) mods.push(match[1]);
+  }
+
+  const named = mods.filter((mod) => mod && !/^(?:NONE|Unknown|minecraft|forge)$/i.test(mod));
+  return [...new Set(named)].slice(0, MAX_SUSPECTED_MODS);
+}
+
+function parseMinecraftCrashReport(text) {
+  return {
+    description: matchFirst(text, /^Description: (.+)$/m),
+    exception: matchFirst(text, /^((?:[a-z_$][\w$]*\.)+[\w$]*(?:Exception|Error|Throwable)\b.*)$/m),
+    suspectedMods: collectSuspectedMods(text),
+    minecraftVersion: matchFirst(text, /^\s*Minecraft Version: (\S+)/m),
+    javaVersion: matchFirst(text, /^\s*Java Version: ([^,\s]+)/m),
+    forgeVersion: matchFirst(text, /^\s*Forge(?: Version)?: (?:net\.minecraftforge:)?([\d.]+)/m)
+  };
+}
+
+// hs_err logs are "#"-prefixed headers followed by a thread dump; the first header
+// line after the banner names the signal or the failed allocation.
+function parseJvmCrashLog(text) {
+  const headers = text
+    .split(/\r?\n/)
+    .filter((line) => line.startsWith('#'))
+    .map((line) => line.replace(/^#\s*/, '').trim())
+    .filter((line) => line && !/^A fatal error has been detected/.test(line));
+
+  return {
+    description: 'The Java runtime crashed',
+    exception: headers[0] || null,
+    suspectedMods: [],
+    minecraftVersion: null,
+    javaVersion: matchFirst(text, /^# JRE version: .*?\(([\d._]+)/m),
+    forgeVersion: null,
+    problematicFrame: matchFirst(text, /^# Problematic frame:\r?\n#\s*(.+)$/m)
+  };
+}
+
+function parseCrashReport(text, kind = 'crash-report') {
+  const report = kind === 'jvm-crash' ? parseJvmCrashLog(text) : parseMinecraftCrashReport(text);
+  report.javaMajor = report.javaVersion ? parseJavaVersion(`"${report.javaVersion}"`).major : null;
+  return report;
+}
+
+function matchKnownProblem(text, report, context = {}) {
+  const problem = KNOWN_PROBLEMS.find(
+    (candidate) =>
+      candidate.patterns.some((pattern) => pattern.test(text)) || Boolean(candidate.matches?.(report, context))
+  );
+  return problem ? { id: problem.id, title: problem.title, advice: problem.advice } : null;
+}
+
+// Looks for what the game left behind after exiting with an error. Null when it wrote
+// no report, which usually means it was killed or failed before Minecraft started.
+async function analyzeCrash({ directories, since = 0, requiredJavaMajor = null }) {
+  const latest = await findLatestCrashReport(directories, { since });
+  if (!latest) return null;
+
+  const text = await readReport(latest.path);
+  const report = parseCrashReport(text, latest.kind);
+  return {
+    path: latest.path,
+    kind: latest.kind,
+    ...report,
+    problem: matchKnownProblem(text, report, { requiredJavaMajor })
+  };
+}
+
+module.exports = {
+  KNOWN_PROBLEMS,
+  findLatestCrashReport,
+  parseCrashReport,
+  matchKnownProblem,
+  analyzeCrash
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIB = 1024 * 1024;
+// Rough download sizes of the vanilla runtime (client jar, libraries, assets) and
+// of Forge with its libraries, used when they still have to be installed.
+const MINECRAFT_RUNTIME_BYTES = 650 * MIB;
+const FORGE_RUNTIME_BYTES = 120 * MIB;
+// Headroom for logs, the rollback journal and rounding in the estimates.
+const SAFETY_MARGIN_BYTES = 256 * MIB;
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = Math.max(0, Number(bytes) || 0);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+async function findExistingPath(targetPath) {
+  let current = path.resolve(targetPath);
+  for (;;) {
+    if (await fs.promises.access(current).then(() => true, () => false)) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return current;
+    current = parent;
+  }
+}
+
+// Resolves to the bytes available to this user on the volume holding targetPath,
+// or null when the platform cannot report it.
+async function getFreeSpace(targetPath) {
+  if (typeof fs.promises.statfs !== 'function') return null;
+
+  try {
+    const stats = await fs.promises.statfs(await findExistingPath(targetPath));
+    return stats.bavail * stats.bsize;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getDirectorySize(dirPath) {
+  const entries = await fs.promises.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+  let total = 0;
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      const stats = await fs.promises.stat(entryPath).catch(() => null);
+      total += stats ? stats.size : 0;
+    }
+  }
+
+  return total;
+}
+
+function estimateRuntimeBytes(requirements = {}) {
+  return (requirements.minecraft ? 0 : MINECRAFT_RUNTIME_BYTES) + (requirements.forge ? 0 : FORGE_RUNTIME_BYTES);
+}
+
+function createDiskSpaceError(targetDir, requiredBytes, availableBytes) {
+  const error = new Error(
+    `Not enough free disk space for the Hellas modpack: ${formatBytes(requiredBytes)} is needed on the drive ` +
+      `holding ${targetDir}, but only ${formatBytes(availableBytes)} is free. ` +
+      `Free up at least ${formatBytes(requiredBytes - availableBytes)} and try again.`
+  );
+  error.code = 'ENOSPC';
+  error.requiredBytes = requiredBytes;
+  error.availableBytes = availableBytes;
+  return error;
+}
+
+// `reclaimableBytes` covers files the operation deletes before it writes anything.
+async function assertDiskSpace(targetDir, requiredBytes, { reclaimableBytes = 0, margin = SAFETY_MARGIN_BYTES } = {}) {
+  const freeBytes = await getFreeSpace(targetDir);
+  if (freeBytes === null) return null;
+
+  const needed = requiredBytes + margin;
+  const available = freeBytes + reclaimableBytes;
+  if (available < needed) {
+    throw createDiskSpaceError(targetDir, needed, available);
+  }
+
+  return { requiredBytes: needed, availableBytes: available };
+}
+
+module.exports = {
+  formatBytes,
+  getFreeSpace,
+  getDirectorySize,
+  estimateRuntimeBytes,
+  assertDiskSpace
+};
@@ -0,0 +1,408 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const CACHE_DIR_NAME = 'cache';
+// Under the cache dir, but holds a staged launcher build rather than cached downloads.
+const LAUNCHER_UPDATE_DIR_NAME = 'launcher';
+const PARTIAL_DIR_NAME = 'partial';
+const DOWNLOAD_STALL_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MIRROR_PRIORITY = 1;
+const RATE_SAMPLE_INTERVAL_MS = 500;
+const RATE_SMOOTHING = 0.3;
+
+function asCancellationError(message = 'Update cancelled by user.') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.cancelled = true;
+  return error;
+}
+
+function getPartialDownloadPath(rootDir, { url, sha256 } = {}) {
+  const key = sha256 ? String(sha256).toLowerCase() : crypto.createHash('sha1').update(String(url)).digest('hex');
+  return path.join(rootDir, CACHE_DIR_NAME, PARTIAL_DIR_NAME, `${key}.part`);
+}
+
+async function getFileSize(filePath) {
+  return fs.promises
+    .stat(filePath)
+    .then((stats) => (stats.isFile() ? stats.size : 0))
+    .catch(() => 0);
+}
+
+async function readPartialMeta(partialPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(`${partialPath}.json`, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writePartialMeta(partialPath, meta) {
+  await fs.promises.writeFile(`${partialPath}.json`, JSON.stringify(meta), 'utf8').catch(() => {});
+}
+
+async function discardPartialDownload(partialPath) {
+  await fs.promises.rm(partialPath, { force: true });
+  await fs.promises.rm(`${partialPath}.json`, { force: true });
+}
+
+async function hasResumableDownload(partialPath, url) {
+  const meta = await readPartialMeta(partialPath);
+  return Boolean(meta && meta.url === url && meta.acceptRanges && (await getFileSize(partialPath)) > 0);
+}
+
+async function seedHasher(hasher, filePath) {
+  await new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', (chunk) => hasher.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', resolve);
+  });
+}
+
+function streamResponseToFile(response, destinationPath, { abortSignal, hasher, onChunk, flags = 'w' } = {}) {
+  return new Promise((resolve, reject) => {
+    const fileStream = fs.createWriteStream(destinationPath, { flags });
+    let settled = false;
+
+    const detachAbort = () => abortSignal?.removeEventListener('abort', handleAbort);
+
+    // Flush whatever was already received before rejecting so the partial file
+    // on disk stays usable for a later resume.
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      detachAbort();
+      response.body.unpipe?.(fileStream);
+      response.body.destroy();
+      if (fileStream.destroyed) {
+        reject(err);
+      } else {
+        fileStream.end(() => reject(err));
+      }
+    };
+
+    function handleAbort() {
+      fail(asCancellationError());
+    }
+
+    if (abortSignal) {
+      if (abortSignal.aborted) {
+        handleAbort();
+        return;
+      }
+      abortSignal.addEventListener('abort', handleAbort, { once: true });
+    }
+
+    response.body.on('data', (chunk) => {
+      if (hasher) {
+        hasher.update(chunk);
+      }
+      onChunk?.(chunk.length);
+    });
+
+    response.body.on('error', fail);
+
+    fileStream.on('error', (err) => {
+      fileStream.destroy();
+      fail(err);
+    });
+
+    fileStream.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      detachAbort();
+      resolve();
+    });
+
+    response.body.pipe(fileStream);
+  });
+}
+
+// Aborts the request when no bytes arrive for `timeoutMs`, while still honouring
+// the caller's own abort signal.
+function createStallGuard(abortSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timer = null;
+  let timedOut = false;
+
+  const onOuterAbort = () => controller.abort();
+  if (abortSignal?.aborted) {
+    controller.abort();
+  } else {
+    abortSignal?.addEventListener('abort', onOuterAbort, { once: true });
+  }
+
+  const touch = () => {
+    clearTimeout(timer);
+    if (!timeoutMs) return;
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  return {
+    signal: controller.signal,
+    touch,
+    isTimedOut: () => timedOut,
+    dispose() {
+      clearTimeout(timer);
+      abortSignal?.removeEventListener('abort', onOuterAbort);
+    }
+  };
+}
+
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/i.exec(header || '');
+  if (!match) return null;
+  return {
+    start: Number(match[1]),
+    total: match[3] === '*' ? null : Number(match[3])
+  };
+}
+
+// Downloads `url` into `partialPath`, resuming from whatever is already on disk
+// when the server honours Range requests. The partial file is kept on errors and
+// cancellation so the next attempt (even after a restart) can continue from it.
+async function downloadResumable(options) {
+  const guard = createStallGuard(options.abortSignal, options.stallTimeoutMs ?? DOWNLOAD_STALL_TIMEOUT_MS);
+  guard.touch();
+
+  try {
+    return await downloadResumableOnce({ ...options, requestSignal: guard.signal, onActivity: guard.touch });
+  } catch (error) {
+    if (guard.isTimedOut() && !options.abortSignal?.aborted) {
+      const timeoutError = new Error(`Download of ${options.label || 'update archive'} stalled and timed out.`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    guard.dispose();
+  }
+}
+
+async function downloadResumableOnce({
+  url,
+  partialPath,
+  sha256 = null,
+  label = 'update archive',
+  requestSignal,
+  onActivity,
+  onProgress,
+  response = null
+}) {
+  await fs.promises.mkdir(path.dirname(partialPath), { recursive: true });
+
+  const meta = await readPartialMeta(partialPath);
+  let existingBytes = await getFileSize(partialPath);
+  // Partials keyed by checksum hold the same bytes on every mirror, so they can be
+  // resumed from a different URL than the one that started them.
+  const sameSource = meta && (meta.url === url || (sha256 && meta.sha256 === String(sha256).toLowerCase()));
+  if (existingBytes && (!sameSource || meta.acceptRanges === false)) {
+    await discardPartialDownload(partialPath);
+    existingBytes = 0;
+  }
+
+  let activeResponse = response;
+  if (activeResponse && existingBytes) {
+    activeResponse.body?.destroy?.();
+    activeResponse = null;
+  }
+
+  if (!activeResponse) {
+    const headers = { 'Cache-Control': 'no-cache' };
+    if (existingBytes) {
+      headers.Range = `bytes=${existingBytes}-`;
+      if (meta.url === url && (meta.etag || meta.lastModified)) {
+        headers['If-Range'] = meta.etag || meta.lastModified;
+      }
+    }
+    activeResponse = await fetch(url, { headers, signal: requestSignal });
+  }
+
+  if (activeResponse.status === 416) {
+    activeResponse.body?.destroy?.();
+    await discardPartialDownload(partialPath);
+    return downloadResumableOnce({ url, partialPath, sha256, label, requestSignal, onActivity, onProgress });
+  }
+
+  if (!activeResponse.ok) {
+    throw new Error(`Failed to download ${label} (${activeResponse.status})`);
+  }
+
+  const contentRange =
+    activeResponse.status === 206 ? parseContentRange(activeResponse.headers.get('content-range')) : null;
+  const resuming = Boolean(existingBytes && contentRange && contentRange.start === existingBytes);
+  if (!resuming) {
+    existingBytes = 0;
+  }
+
+  const contentLength = Number(activeResponse.headers.get('content-length') || 0);
+  const totalBytes = contentRange?.total || (contentLength ? existingBytes + contentLength : 0);
+  const acceptRanges = resuming || /bytes/i.test(activeResponse.headers.get('accept-ranges') || '');
+  await writePartialMeta(partialPath, {
+    url,
+    sha256: sha256 ? String(sha256).toLowerCase() : null,
+    acceptRanges,
+    etag: activeResponse.headers.get('etag') || null,
+    lastModified: activeResponse.headers.get('last-modified') || null
+  });
+
+  const hasher = crypto.createHash('sha256');
+  if (resuming) {
+    await seedHasher(hasher, partialPath);
+  }
+
+  let downloaded = existingBytes;
+  onProgress?.({ downloaded, totalBytes, resumed: resuming });
+
+  try {
+    await streamResponseToFile(activeResponse, partialPath, {
+      abortSignal: requestSignal,
+      hasher,
+      flags: resuming ? 'a' : 'w',
+      onChunk: (length) => {
+        onActivity?.();
+        downloaded += length;
+        onProgress?.({ downloaded, totalBytes, resumed: resuming });
+      }
+    });
+  } catch (error) {
+    if (!acceptRanges) {
+      await discardPartialDownload(partialPath);
+    }
+    throw error;
+  }
+
+  const digest = hasher.digest('hex');
+  if (sha256 && digest.toLowerCase() !== String(sha256).toLowerCase()) {
+    await discardPartialDownload(partialPath);
+    throw new Error(`Downloaded ${label} does not match its expected SHA-256.`);
+  }
+
+  return { path: partialPath, sha256: digest, totalBytes: downloaded };
+}
+
+function orderMirrors(primaryUrl, mirrors = [], random = Math.random) {
+  const candidates = [];
+  const seen = new Set();
+
+  const add = (mirror, defaultPriority) => {
+    const entry = typeof mirror === 'string' ? { url: mirror } : mirror;
+    if (!entry?.url || seen.has(entry.url)) return;
+    seen.add(entry.url);
+    const priority = Number(entry.priority);
+    const weight = Number(entry.weight);
+    candidates.push({
+      url: entry.url,
+      priority: Number.isFinite(priority) ? priority : defaultPriority,
+      weight: Number.isFinite(weight) && weight > 0 ? weight : 1
+    });
+  };
+
+  add(primaryUrl, 0);
+  (Array.isArray(mirrors) ? mirrors : []).forEach((mirror) => add(mirror, DEFAULT_MIRROR_PRIORITY));
+
+  // Lower priority values are tried first; mirrors sharing a priority are shuffled
+  // by weight so load is spread across them.
+  const priorities = [...new Set(candidates.map((entry) => entry.priority))].sort((a, b) => a - b);
+  const ordered = [];
+  for (const priority of priorities) {
+    const pool = candidates.filter((entry) => entry.priority === priority);
+    while (pool.length) {
+      const totalWeight = pool.reduce((sum, entry) => sum + entry.weight, 0);
+      let roll = random() * totalWeight;
+      let index = pool.findIndex((entry) => (roll -= entry.weight) < 0);
+      if (index === -1) index = pool.length - 1;
+      ordered.push(pool.splice(index, 1)[0]);
+    }
+  }
+
+  return ordered;
+}
+
+// Tries each mirror in order, moving on after HTTP errors, stalls or checksum
+// mismatches. `response` is an already-open response for `responseUrl`.
+async function downloadFromMirrors({ mirrors, response = null, responseUrl = null, onMirrorError, ...options }) {
+  if (!mirrors.length) {
+    throw new Error('No download URL could be resolved.');
+  }
+
+  if (response && mirrors[0].url !== responseUrl) {
+    response.body?.destroy?.();
+  }
+
+  let lastError = null;
+  for (const [index, mirror] of mirrors.entries()) {
+    try {
+      const result = await downloadResumable({
+        ...options,
+        url: mirror.url,
+        response: index === 0 && mirror.url === responseUrl ? response : null
+      });
+      return { ...result, mirror: mirror.url };
+    } catch (error) {
+      if (error.cancelled || error.name === 'AbortError' || options.abortSignal?.aborted) {
+        throw error;
+      }
+      lastError = error;
+      onMirrorError?.(mirror.url, error);
+    }
+  }
+
+  if (mirrors.length === 1) {
+    throw lastError;
+  }
+  throw new Error(`All ${mirrors.length} download mirrors failed. Last error: ${lastError.message}`);
+}
+
+// Tracks transfer progress with an exponentially smoothed rate. Bytes already on
+// disk when a resumed download starts count as progress but not as speed, and a
+// restart from zero (e.g. a mirror failover) re-baselines the meter.
+function createTransferMeter({ now = Date.now } = {}) {
+  let sampleTime = null;
+  let sampleBytes = 0;
+  let bytesPerSecond = null;
+
+  return {
+    update(downloadedBytes, totalBytes = null) {
+      const time = now();
+      if (sampleTime === null || downloadedBytes < sampleBytes) {
+        sampleTime = time;
+        sampleBytes = downloadedBytes;
+      } else if (time - sampleTime >= RATE_SAMPLE_INTERVAL_MS) {
+        const rate = ((downloadedBytes - sampleBytes) * 1000) / (time - sampleTime);
+        bytesPerSecond = bytesPerSecond === null ? rate : RATE_SMOOTHING * rate + (1 - RATE_SMOOTHING) * bytesPerSecond;
+        sampleTime = time;
+        sampleBytes = downloadedBytes;
+      }
+
+      const etaSeconds =
+        totalBytes && bytesPerSecond ? Math.max(0, Math.round((totalBytes - downloadedBytes) / bytesPerSecond)) : null;
+      return {
+        downloadedBytes,
+        totalBytes: totalBytes || null,
+        bytesPerSecond: bytesPerSecond === null ? null : Math.round(bytesPerSecond),
+        etaSeconds
+      };
+    }
+  };
+}
+
+module.exports = {
+  CACHE_DIR_NAME,
+  LAUNCHER_UPDATE_DIR_NAME,
+  asCancellationError,
+  getPartialDownloadPath,
+  hasResumableDownload,
+  discardPartialDownload,
+  streamResponseToFile,
+  downloadResumable,
+  orderMirrors,
+  downloadFromMirrors,
+  createTransferMeter
+};
@@ -0,0 +1,254 @@
+const { CONFIG_POLICIES } = require('./configMerge');
+
+// Bump whenever feeds gain fields that older launchers would misread. Feeds
+// without "schemaVersion" predate versioning and are read as version 1.
+const FEED_SCHEMA_VERSION = 1;
+const MAX_REPORTED_PROBLEMS = 5;
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const sha256Hash = { type: 'string', pattern: /^[a-f0-9]{64}$/i, expected: 'a 64-character hex SHA-256 digest' };
+const sha1Hash = { type: 'string', pattern: /^[a-f0-9]{40}$/i, expected: 'a 40-character hex SHA-1 digest' };
+const byteCount = { type: 'integer', minimum: 0 };
+
+const fileSchema = {
+  type: 'object',
+  required: ['path', 'url', 'sha256'],
+  properties: {
+    path: nonEmptyString,
+    url: nonEmptyString,
+    sha256: sha256Hash,
+    size: byteCount
+  }
+};
+
+const mirrorSchema = {
+  type: ['string', 'object'],
+  minLength: 1,
+  required: ['url'],
+  properties: {
+    url: nonEmptyString,
+    priority: { type: 'number' },
+    weight: { type: 'number', minimum: 0 }
+  }
+};
+
+const optionalGroupSchema = {
+  type: 'object',
+  required: ['id', 'files'],
+  properties: {
+    id: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]*$/i, expected: 'letters, digits, "-" or "_"' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    default: { type: 'boolean' },
+    files: { type: 'array', items: fileSchema }
+  }
+};
+
+// Fields shared by a pack, each of its channels and each entry of its version history.
+const packProperties = {
+  version: { type: ['string', 'number'], minLength: 1 },
+  url: nonEmptyString,
+  sha256: sha256Hash,
+  hash: sha256Hash,
+  signature: nonEmptyString,
+  size: byteCount,
+  unpackedSize: byteCount,
+  minecraftVersion: { type: 'string', pattern: /^\d+\.\d+(\.\d+)?$/, expected: 'a Minecraft version such as "1.16.5"' },
+  forgeVersion: {
+    type: 'string',
+    pattern: /^(\d+\.\d+(\.\d+)?-)?\d+(\.\d+)+$/,
+    expected: 'a Forge version such as "36.2.42" or "1.16.5-36.2.42"'
+  },
+  javaVersion: { type: 'integer', minimum: 8 },
+  forgeInstaller: { type: 'object', required: ['url'], properties: { url: nonEmptyString, sha1: sha1Hash } },
+  mirrors: { type: 'array', items: mirrorSchema },
+  files: { type: 'array', items: fileSchema },
+  configPolicies: { type: 'object', additionalProperties: { type: 'string', enum: CONFIG_POLICIES } },
+  optionalGroups: { type: 'array', items: optionalGroupSchema },
+  releasedAt: { type: 'string' },
+  notes: { type: 'string' }
+};
+
+// The launcher only knows which Forge build goes with its own default Minecraft
+// version, so a pack that picks another one has to name its Forge version too.
+const packDependencies = { minecraftVersion: ['forgeVersion'] };
+
+const packSchema = {
+  type: 'object',
+  dependentRequired: packDependencies,
+  properties: {
+    ...packProperties,
+    versions: {
+      type: 'array',
+      items: { type: 'object', dependentRequired: packDependencies, properties: packProperties }
+    }
+  }
+};
+
+const launcherSchema = {
+  type: 'object',
+  properties: {
+    version: nonEmptyString,
+    minimumVersion: nonEmptyString,
+    url: nonEmptyString,
+    sha256: sha256Hash,
+    signature: nonEmptyString,
+    notes: { type: 'string' }
+  }
+};
+
+const schemaVersionRule = { type: 'integer', minimum: 1 };
+
+const feedSchema = {
+  type: 'object',
+  dependentRequired: packDependencies,
+  properties: {
+    schemaVersion: schemaVersionRule,
+    ...packSchema.properties,
+    channels: { type: 'object', additionalProperties: packSchema },
+    launcher: launcherSchema
+  }
+};
+
+const descriptorSchema = {
+  type: 'object',
+  dependentRequired: packDependencies,
+  properties: {
+    schemaVersion: schemaVersionRule,
+    ...packProperties,
+    modpack: { type: 'object', dependentRequired: packDependencies, properties: packProperties }
+  }
+};
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function describeType(type) {
+  return { integer: 'a whole number', object: 'an object', array: 'an array' }[type] || `a ${type}`;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function joinPath(at, key) {
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return at ? `${at}.${key}` : key;
+  return `${at}[${JSON.stringify(key)}]`;
+}
+
+// Collects every problem as "<json path>: <what is wrong>". Null and missing
+// optional fields are accepted; unknown fields are ignored so newer feeds of the
+// same schema version can add data older launchers do not need.
+function validateValue(value, rule, at, problems) {
+  const types = [].concat(rule.type || []);
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    problems.push(`${at}: expected ${types.map(describeType).join(' or ')}, got ${describeValue(value)}`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push(`${at}: must be one of ${rule.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength && value.trim().length < rule.minLength) {
+      problems.push(`${at}: must not be empty`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push(`${at}: expected ${rule.expected}, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (typeof value === 'number' && rule.minimum !== undefined && value < rule.minimum) {
+    problems.push(`${at}: must be at least ${rule.minimum}`);
+  }
+  if (Array.isArray(value) && rule.items) {
+    value.forEach((item, index) => validateValue(item, rule.items, `${at}[${index}]`, problems));
+  }
+  if (matchesType(value, 'object')) {
+    for (const key of rule.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push(`${joinPath(at, key)}: is required`);
+      }
+    }
+    for (const [key, dependents] of Object.entries(rule.dependentRequired || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      for (const dependent of dependents) {
+        if (value[dependent] === undefined || value[dependent] === null) {
+          problems.push(`${joinPath(at, dependent)}: is required when "${key}" is set`);
+        }
+      }
+    }
+    for (const [key, child] of Object.entries(rule.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        validateValue(value[key], child, joinPath(at, key), problems);
+      }
+    }
+    if (rule.additionalProperties) {
+      for (const [key, child] of Object.entries(value)) {
+        validateValue(child, rule.additionalProperties, joinPath(at, key), problems);
+      }
+    }
+  }
+}
+
+function createSchemaError(label, problems) {
+  const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+  const more = problems.length > shown.length ? ` (and ${problems.length - shown.length} more)` : '';
+  const error = new Error(`${label} is invalid: ${shown.join('; ')}${more}`);
+  error.code = 'EFEEDSCHEMA';
+  error.problems = problems;
+  return error;
+}
+
+function assertSupportedSchemaVersion(document, label) {
+  const version = document.schemaVersion;
+  if (Number.isInteger(version) && version > FEED_SCHEMA_VERSION) {
+    const error = new Error(
+      `${label} uses format version ${version}, but this launcher only understands version ` +
+        `${FEED_SCHEMA_VERSION}. Update the launcher to keep receiving pack updates.`
+    );
+    error.code = 'EFEEDVERSION';
+    error.schemaVersion = version;
+    throw error;
+  }
+}
+
+function validateDocument(document, schema, label, extraChecks = () => []) {
+  if (!matchesType(document, 'object')) {
+    throw createSchemaError(label, [`(root): expected an object, got ${describeValue(document)}`]);
+  }
+  assertSupportedSchemaVersion(document, label);
+
+  const problems = [];
+  validateValue(document, schema, '', problems);
+  problems.push(...extraChecks(document));
+  if (problems.length) {
+    throw createSchemaError(label, problems);
+  }
+  return document;
+}
+
+function validateFeedManifest(manifest, { label = 'Update feed' } = {}) {
+  return validateDocument(manifest, feedSchema, label);
+}
+
+// Descriptors point at exactly one pack, either at the top level or under "modpack".
+function validateDescriptor(document, { label = 'Update descriptor' } = {}) {
+  return validateDocument(document, descriptorSchema, label, (descriptor) => {
+    const pack = descriptor.modpack || descriptor;
+    const located = pack.url || Array.isArray(pack.files) || (Array.isArray(pack.mirrors) && pack.mirrors.length);
+    return located ? [] : [`${descriptor.modpack ? 'modpack' : '(root)'}: needs a "url", "files" or "mirrors" entry`];
+  });
+}
+
+module.exports = {
+  FEED_SCHEMA_VERSION,
+  validateFeedManifest,
+  validateDescriptor
+};
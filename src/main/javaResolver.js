@@ -1,23 +1,203 @@
 const path = require('path');
 const fs = require('fs');
+const { execFile } = require('child_process');
 
-function resolveBundledJava() {
-  const resourcesPath = process.resourcesPath;
+const RUNTIMES_DIR_NAME = 'runtimes';
+const RUNTIME_INFO_FILENAME = 'hellas-runtime.json';
 
-  const jre8 = path.join(resourcesPath, 'jre8', 'bin', 'javaw.exe');
-  if (fs.existsSync(jre8)) {
-    console.log('[Hellas] Using bundled Java 8:', jre8);
-    return jre8;
+// Windows starts the game through javaw.exe so no console window opens next to it.
+function getJavaExecutableName(platform = process.platform) {
+  return platform === 'win32' ? 'javaw.exe' : 'java';
+}
+
+function getSystemJavaCommand(platform = process.platform) {
+  return platform === 'win32' ? 'javaw' : 'java';
+}
+
+function isFile(targetPath) {
+  try {
+    return fs.statSync(targetPath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Accepts the executable itself or a Java home containing bin/ (Contents/Home/bin/
+// for macOS bundles). Null when neither holds a Java executable.
+function findJavaExecutable(candidate, platform = process.platform) {
+  if (!candidate) return null;
+
+  const resolved = path.resolve(String(candidate).trim());
+  if (isFile(resolved)) return resolved;
+
+  const names = [...new Set([getJavaExecutableName(platform), platform === 'win32' ? 'java.exe' : 'java'])];
+  for (const home of [resolved, path.join(resolved, 'Contents', 'Home')]) {
+    for (const name of names) {
+      const executable = path.join(home, 'bin', name);
+      if (isFile(executable)) return executable;
+    }
+  }
+
+  return null;
+}
+
+function parseJavaVersion(output = '') {
+  const match = output.match(/"(?<version>[\d+_.]+)"/);
+  const version = match?.groups?.version?.replace(/_/g, '.');
+  const versionParts = version ? version.split('.') : [];
+  // Java 8 reports versions like "1.8.0_402" where the leading "1" is not the
+  // actual major version. For Java 9+ the first segment already represents the
+  // major version (e.g., "11.0.24").
+  const major = versionParts[0] === '1' ? Number(versionParts[1]) : Number(versionParts[0]);
+
+  return { version: version ?? null, major: Number.isFinite(major) ? major : null };
+}
+
+async function detectJavaVersion(javaExecutable) {
+  return new Promise((resolve) => {
+    execFile(javaExecutable, ['-version'], { timeout: 15000 }, (error, stdout, stderr) => {
+      if (error) {
+        resolve({ version: null, major: null });
+        return;
+      }
+
+      const combinedOutput = [stderr, stdout].filter(Boolean).join('\n');
+      resolve(parseJavaVersion(combinedOutput));
+    });
+  });
+}
+
+// Mojang's requirements: Java 8 up to 1.16, 16 for 1.17, 17 up to 1.20.4 and 21 after.
+function getRequiredJavaMajor(minecraftVersion) {
+  const [, minor = 0, patch = 0] = String(minecraftVersion || '').split('.').map(Number);
+  if (minor <= 16) return 8;
+  if (minor === 17) return 16;
+  if (minor < 20 || (minor === 20 && patch <= 4)) return 17;
+  return 21;
+}
+
+// Forge 1.16 also runs on Java 11; newer packs run on any Java at least as new as required.
+function isJavaCompatible(major, requiredMajor) {
+  if (!major) return false;
+  if (requiredMajor === 8) return major === 8 || major === 11;
+  return major >= requiredMajor;
+}
+
+function getManagedRuntimesDir(rootDir) {
+  return path.join(rootDir, RUNTIMES_DIR_NAME);
+}
+
+function readManagedRuntimeInfo(homeDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(homeDir, RUNTIME_INFO_FILENAME), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function listManagedRuntimes(rootDir, platform = process.platform) {
+  if (!rootDir) return [];
+
+  const runtimesDir = getManagedRuntimesDir(rootDir);
+  let entries = [];
+  try {
+    entries = fs.readdirSync(runtimesDir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  return entries
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map((entry) => {
+      const homeDir = path.join(runtimesDir, entry.name);
+      const info = readManagedRuntimeInfo(homeDir);
+      return { source: 'managed', path: findJavaExecutable(homeDir, platform), release: info?.release || null };
+    })
+    .filter((runtime) => runtime.path);
+}
+
+// Every place a Java runtime may come from, most explicit first: the path chosen in
+// the launcher, BUNDLED_JAVA_PATH, the runtimes shipped with the build, the ones the
+// launcher downloaded, JAVA_HOME and finally whatever is on PATH.
+function listJavaCandidates({
+  rootDir = null,
+  javaPath = '',
+  platform = process.platform,
+  env = process.env,
+  resourcesPath = process.resourcesPath
+} = {}) {
+  const candidates = [];
+  if (javaPath) {
+    candidates.push({ source: 'setting', path: findJavaExecutable(javaPath, platform), configured: javaPath });
+  }
+
+  const override = env.BUNDLED_JAVA_PATH && findJavaExecutable(env.BUNDLED_JAVA_PATH, platform);
+  if (override) {
+    candidates.push({ source: 'env', path: override });
   }
 
-  const jre11 = path.join(resourcesPath, 'jre11', 'bin', 'javaw.exe');
-  if (fs.existsSync(jre11)) {
-    console.log('[Hellas] Bundled Java 8 missing, fallback to Java 11:', jre11);
-    return jre11;
+  if (resourcesPath) {
+    for (const bundle of ['jre8', 'jre11']) {
+      const executable = path.join(resourcesPath, bundle, 'bin', getJavaExecutableName(platform));
+      if (isFile(executable)) candidates.push({ source: 'bundled', path: executable });
+    }
   }
 
-  console.log('[Hellas] No bundled JRE found → using system Java');
-  return 'javaw';
+  candidates.push(...listManagedRuntimes(rootDir, platform));
+
+  const javaHome = env.JAVA_HOME && findJavaExecutable(env.JAVA_HOME, platform);
+  if (javaHome) {
+    candidates.push({ source: 'java-home', path: javaHome });
+  }
+
+  candidates.push({ source: 'system', path: getSystemJavaCommand(platform) });
+
+  const seen = new Set();
+  return candidates.filter((candidate) => {
+    if (!candidate.path) return true;
+    if (seen.has(candidate.path)) return false;
+    seen.add(candidate.path);
+    return true;
+  });
+}
+
+async function listJavaRuntimes({ probe = detectJavaVersion, ...options } = {}) {
+  const runtimes = [];
+  for (const candidate of listJavaCandidates(options)) {
+    const detected = candidate.path ? await probe(candidate.path) : { version: null, major: null };
+    runtimes.push({ ...candidate, ...detected });
+  }
+  return runtimes;
+}
+
+// An explicitly configured runtime is always used, so a wrong choice is reported at
+// launch instead of silently ignored. Otherwise the first runtime of the required
+// major version wins, then the first compatible one; null when there is none.
+function chooseJavaRuntime(runtimes, requiredMajor) {
+  return (
+    runtimes.find((runtime) => runtime.source === 'setting' || runtime.source === 'env') ||
+    runtimes.find((runtime) => runtime.major === requiredMajor) ||
+    runtimes.find((runtime) => isJavaCompatible(runtime.major, requiredMajor)) ||
+    null
+  );
+}
+
+async function selectJavaRuntime({ requiredMajor, ...options }) {
+  return chooseJavaRuntime(await listJavaRuntimes(options), requiredMajor);
 }
 
-module.exports = { resolveBundledJava };
+module.exports = {
+  RUNTIMES_DIR_NAME,
+  RUNTIME_INFO_FILENAME,
+  getJavaExecutableName,
+  findJavaExecutable,
+  parseJavaVersion,
+  detectJavaVersion,
+  getRequiredJavaMajor,
+  isJavaCompatible,
+  getManagedRuntimesDir,
+  listJavaCandidates,
+  listJavaRuntimes,
+  chooseJavaRuntime,
+  selectJavaRuntime
+};
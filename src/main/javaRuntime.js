@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const fetch = require('node-fetch');
+const { getPartialDownloadPath, discardPartialDownload, downloadResumable } = require('./download');
+const { extractArchive } = require('./archive');
+const {
+  RUNTIME_INFO_FILENAME,
+  findJavaExecutable,
+  detectJavaVersion,
+  getManagedRuntimesDir,
+  selectJavaRuntime
+} = require('./javaResolver');
+const { logMessage } = require('./logger');
+
+const ADOPTIUM_API_URL = 'https://api.adoptium.net/v3';
+const ADOPTIUM_OS = { win32: 'windows', linux: 'linux', darwin: 'mac' };
+const ADOPTIUM_ARCH = { x64: 'x64', arm64: 'aarch64', ia32: 'x32' };
+
+function describeTarget(platform, arch) {
+  const os = ADOPTIUM_OS[platform];
+  const architecture = ADOPTIUM_ARCH[arch];
+  if (!os || !architecture) {
+    throw new Error(`Java runtimes cannot be downloaded for ${platform} ${arch}.`);
+  }
+  return { os, architecture };
+}
+
+// Asks Eclipse Temurin for the latest build of a major version, preferring the
+// smaller JRE image and falling back to the JDK where no JRE is published.
+async function fetchJavaRelease(major, { platform = process.platform, arch = process.arch } = {}) {
+  const { os, architecture } = describeTarget(platform, arch);
+
+  for (const imageType of ['jre', 'jdk']) {
+    const query = new URLSearchParams({ architecture, image_type: imageType, os, vendor: 'eclipse' });
+    const response = await fetch(`${ADOPTIUM_API_URL}/assets/latest/${major}/hotspot?${query}`);
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new Error(`Failed to look up Java ${major} downloads (${response.status})`);
+    }
+
+    const [asset] = await response.json();
+    const pack = asset?.binary?.package;
+    if (!pack?.link || !pack.checksum) continue;
+    return {
+      major,
+      release: asset.release_name || null,
+      imageType,
+      url: pack.link,
+      sha256: String(pack.checksum).toLowerCase(),
+      size: Number(pack.size) || null,
+      archiveType: /\.zip$/i.test(pack.name || pack.link) ? 'zip' : 'tar.gz'
+    };
+  }
+
+  throw new Error(`No Java ${major} runtime is published for ${os} ${architecture}.`);
+}
+
+function extractTarball(archivePath, destinationDir) {
+  return new Promise((resolve, reject) => {
+    execFile('tar', ['-xzf', archivePath, '-C', destinationDir], (error) => {
+      if (error) {
+        reject(new Error(`Java runtime archive could not be extracted: ${error.message}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Downloads, verifies and unpacks a runtime into <root>/runtimes/java-<major>,
+// replacing an older build of the same major version only once the new one runs.
+async function installJavaRuntime(
+  rootDir,
+  major,
+  { abortSignal, onProgress, platform = process.platform, arch = process.arch } = {}
+) {
+  const release = await fetchJavaRelease(major, { platform, arch });
+  const partialPath = getPartialDownloadPath(rootDir, release);
+  const { path: archivePath } = await downloadResumable({
+    url: release.url,
+    partialPath,
+    sha256: release.sha256,
+    label: `Java ${major}`,
+    abortSignal,
+    onProgress
+  });
+
+  const runtimesDir = getManagedRuntimesDir(rootDir);
+  const stagingDir = path.join(runtimesDir, `.staging-java-${major}`);
+  const targetDir = path.join(runtimesDir, `java-${major}`);
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  await fs.promises.mkdir(stagingDir, { recursive: true });
+
+  try {
+    if (release.archiveType === 'zip') {
+      await extractArchive(archivePath, stagingDir);
+    } else {
+      await extractTarball(archivePath, stagingDir);
+    }
+
+    // Temurin archives hold a single top-level folder such as "jdk8u402-b06-jre".
+    const [homeName] = (await fs.promises.readdir(stagingDir)).filter((name) => !name.startsWith('.'));
+    const homeDir = homeName ? path.join(stagingDir, homeName) : stagingDir;
+    const executable = findJavaExecutable(homeDir, platform);
+    const detected = executable ? await detectJavaVersion(executable) : { major: null };
+    if (detected.major !== major) {
+      throw new Error(`The downloaded Java ${major} runtime does not start on this system.`);
+    }
+
+    const info = { major, release: release.release, sha256: release.sha256, installedAt: new Date().toISOString() };
+    await fs.promises.writeFile(path.join(homeDir, RUNTIME_INFO_FILENAME), JSON.stringify(info, null, 2), 'utf8');
+    await fs.promises.rm(targetDir, { recursive: true, force: true });
+    await fs.promises.rename(homeDir, targetDir);
+  } finally {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    await discardPartialDownload(partialPath);
+  }
+
+  logMessage('info', 'Java runtime installed', { major, release: release.release });
+  return { major, release: release.release, path: findJavaExecutable(targetDir, platform) };
+}
+
+// Picks a runtime for the pack and downloads one when none on this system fits.
+async function ensureJavaRuntime({ rootDir, javaPath = '', requiredMajor, onStatus, onProgress, abortSignal }) {
+  const selected = await selectJavaRuntime({ rootDir, javaPath, requiredMajor });
+  if (selected) return selected;
+
+  onStatus?.({ message: `No Java ${requiredMajor} runtime found. Downloading one…` });
+  try {
+    await installJavaRuntime(rootDir, requiredMajor, { abortSignal, onProgress });
+  } catch (error) {
+    if (error.cancelled) throw error;
+    throw new Error(`No Java ${requiredMajor} runtime was found and downloading one failed: ${error.message}`);
+  }
+  onStatus?.({ message: `Java ${requiredMajor} runtime installed.`, level: 'success' });
+  return selectJavaRuntime({ rootDir, javaPath, requiredMajor });
+}
+
+module.exports = {
+  fetchJavaRelease,
+  installJavaRuntime,
+  ensureJavaRuntime
+};
@@ -0,0 +1,152 @@
+// Memory flags come from the RAM allocation, so the editor refuses them instead of
+// letting two conflicting -Xmx values reach the JVM.
+const MANAGED_FLAGS = [
+  { prefix: '-Xmx', name: 'Maximum RAM' },
+  { prefix: '-Xms', name: 'Minimum RAM' }
+];
+
+const JVM_ARG_PRESETS = [
+  {
+    id: 'default',
+    label: 'Default (no extra arguments)',
+    args: []
+  },
+  {
+    id: 'g1gc',
+    label: 'Tuned G1GC (6 GB or more)',
+    args: [
+      '-XX:+UseG1GC',
+      '-XX:+ParallelRefProcEnabled',
+      '-XX:MaxGCPauseMillis=200',
+      '-XX:+UnlockExperimentalVMOptions',
+      '-XX:+DisableExplicitGC',
+      '-XX:G1NewSizePercent=30',
+      '-XX:G1MaxNewSizePercent=40',
+      '-XX:G1HeapRegionSize=8M',
+      '-XX:G1ReservePercent=20',
+      '-XX:G1HeapWastePercent=5',
+      '-XX:G1MixedGCCountTarget=4',
+      '-XX:InitiatingHeapOccupancyPercent=15',
+      '-XX:G1MixedGCLiveThresholdPercent=90',
+      '-XX:G1RSetUpdatingPauseTimePercent=5',
+      '-XX:SurvivorRatio=32',
+      '-XX:+PerfDisableSharedMem',
+      '-XX:MaxTenuringThreshold=1'
+    ]
+  },
+  {
+    id: 'g1gc-small',
+    label: 'G1GC for small heaps (4 GB or less)',
+    args: [
+      '-XX:+UseG1GC',
+      '-XX:+ParallelRefProcEnabled',
+      '-XX:MaxGCPauseMillis=100',
+      '-XX:+DisableExplicitGC',
+      '-XX:G1HeapRegionSize=4M',
+      '-XX:+PerfDisableSharedMem'
+    ]
+  }
+];
+
+// Splits an argument line the way a shell would for the simple cases players paste:
+// whitespace separates arguments and single or double quotes keep spaces together.
+function tokenizeJvmArgs(text) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let inToken = false;
+
+  for (const char of String(text)) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) args.push(current);
+      current = '';
+      inToken = false;
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    return { args: [], error: `Unbalanced ${quote === '"' ? 'double' : 'single'} quote in the JVM arguments.` };
+  }
+  if (inToken) args.push(current);
+  return { args, error: null };
+}
+
+// Two arguments clash when they set the same option, e.g. -XX:+UseG1GC and
+// -XX:-UseG1GC, or -Dfoo=1 and -Dfoo=2.
+function getOptionKey(arg) {
+  const xx = /^-XX:[+-]?([^=]+)/.exec(arg);
+  if (xx) return `-XX:${xx[1]}`;
+  const property = /^-D([^=]+)/.exec(arg);
+  if (property) return `-D${property[1]}`;
+  return arg;
+}
+
+// Accepts the editor's text or a stored argument list and returns the cleaned list
+// with every problem found, so the dialog can show them all before saving.
+function checkJvmArgs(input) {
+  let args = [];
+  const errors = [];
+
+  if (Array.isArray(input)) {
+    args = input.filter((arg) => typeof arg === 'string').map((arg) => arg.trim()).filter(Boolean);
+  } else if (typeof input === 'string') {
+    const tokenized = tokenizeJvmArgs(input);
+    if (tokenized.error) return { args: [], errors: [tokenized.error] };
+    args = tokenized.args;
+  }
+
+  const seen = new Set();
+  for (const arg of args) {
+    const managed = MANAGED_FLAGS.find((flag) => arg.startsWith(flag.prefix));
+    if (managed) {
+      errors.push(`${managed.prefix} is set by ${managed.name} above; remove "${arg}" from the JVM arguments.`);
+      continue;
+    }
+    if (!arg.startsWith('-')) {
+      errors.push(`"${arg}" is not a JVM option; options start with "-".`);
+      continue;
+    }
+
+    const key = getOptionKey(arg);
+    if (seen.has(key)) {
+      errors.push(`${key} is set more than once.`);
+    }
+    seen.add(key);
+  }
+
+  return { args, errors };
+}
+
+function quoteJvmArg(arg) {
+  if (arg && !/[\s"']/.test(arg)) return arg;
+  return arg.includes('"') ? `'${arg}'` : `"${arg}"`;
+}
+
+function formatJvmArgs(args = []) {
+  return args.map(quoteJvmArg).join(' ');
+}
+
+function findJvmArgPreset(args = []) {
+  const text = formatJvmArgs(args);
+  return JVM_ARG_PRESETS.find((preset) => formatJvmArgs(preset.args) === text) || null;
+}
+
+module.exports = {
+  JVM_ARG_PRESETS,
+  tokenizeJvmArgs,
+  checkJvmArgs,
+  formatJvmArgs,
+  findJvmArgPreset
+};
@@ -2,15 +2,20 @@ const fetch = require('node-fetch');
 const path = require('path');
 const fs = require('fs');
 const fsp = fs.promises;
-const { execFile } = require('child_process');
 const { Client } = require('minecraft-launcher-core');
 const os = require('os');
-const { resolveBundledJava } = require('./javaResolver');
+const { getRequiredJavaMajor, isJavaCompatible } = require('./javaResolver');
+const { ensureJavaRuntime } = require('./javaRuntime');
 const { HELLAS_ROOT, INSTANCE_DIR } = require('./paths');
+const { hashFile } = require('./packManifest');
+const { createContentCache } = require('./contentCache');
+const { asCancellationError } = require('./download');
+const { analyzeCrash } = require('./crashAnalyzer');
 
 const DEFAULT_MC_VERSION = '1.16.5';
 const FORGE_METADATA_URL = 'https://maven.minecraftforge.net/net/minecraftforge/forge/maven-metadata.xml';
 const VERSION_MANIFEST_URL = 'https://launchermeta.mojang.com/mc/game/version_manifest_v2.json';
+const ASSET_OBJECTS_URL = 'https://resources.download.minecraft.net';
 const LOG4J_CONFIG_FILENAME = 'log4j2_112-116.xml';
 const LOG4J_CONFIG_URL =
   'https://launcher.mojang.com/v1/objects/02937d122c86ce73319ef9975b58896fc1b491d1/log4j2_112-116.xml';
@@ -20,8 +25,8 @@ const MODPACK_DIR_NAME = 'modpack';
 const FORGE_DIR_NAME = 'forge';
 const VERSIONS_DIR_NAME = 'versions';
 
-// Pin the Forge version used by the modpack.
-// When you move the modpack to a new Forge, just change this constant.
+// Built-in Forge version, used with DEFAULT_MC_VERSION until the pack feed declares
+// "minecraftVersion" and "forgeVersion" (see resolveRuntimeVersions).
 const MODPACK_FORGE_VERSION = '1.16.5-36.2.42';
 
 function getInstallSubpaths(installDir) {
@@ -32,7 +37,6 @@ function getInstallSubpaths(installDir) {
   return { modpackDir, forgeDir, versionsDir };
 }
 
-let cachedForgeVersion = null;
 let activeLaunch = null;
 
 function normalizeMemoryValue(value) {
@@ -91,32 +95,6 @@ function buildJvmArgs(memorySettings = {}, logConfigPath = LOG4J_CONFIG_FILENAME
   return [...defaultJvmArgs, ...userJvmArgs];
 }
 
-function parseJavaVersion(output = '') {
-  const match = output.match(/"(?<version>[\d+_.]+)"/);
-  const version = match?.groups?.version?.replace(/_/g, '.');
-  const versionParts = version ? version.split('.') : [];
-  // Java 8 reports versions like "1.8.0_402" where the leading "1" is not the
-  // actual major version. For Java 9+ the first segment already represents the
-  // major version (e.g., "11.0.24").
-  const major = versionParts[0] === '1' ? Number(versionParts[1]) : Number(versionParts[0]);
-
-  return { version: version ?? null, major: Number.isFinite(major) ? major : null };
-}
-
-async function detectJavaVersion(javaExecutable) {
-  return new Promise((resolve) => {
-    execFile(javaExecutable, ['-version'], (error, stdout, stderr) => {
-      if (error) {
-        resolve({ version: null, major: null });
-        return;
-      }
-
-      const combinedOutput = [stderr, stdout].filter(Boolean).join('\n');
-      resolve(parseJavaVersion(combinedOutput));
-    });
-  });
-}
-
 async function ensureInstallDirExists(installDir) {
   const { modpackDir, forgeDir, versionsDir } = getInstallSubpaths(installDir);
   await fsp.mkdir(installDir, { recursive: true });
@@ -142,12 +120,23 @@ async function findGameDirectory(installDir) {
   return modpackDir;
 }
 
-// Previously this pulled from Forge's Maven metadata and picked "latest".
-// That was giving you 36.0.0. We hard-pin it to the modpack's Forge version.
-async function fetchLatestForgeVersion() {
-  if (cachedForgeVersion) return cachedForgeVersion;
-  cachedForgeVersion = MODPACK_FORGE_VERSION;
-  return cachedForgeVersion;
+// Resolves the versions a pack runs on from what its feed declared, falling back to
+// the built-in constants when no feed has been reachable. Forge versions are kept in
+// Maven's "<minecraft>-<forge>" form, so feeds may give either "36.2.42" or the full id.
+function resolveRuntimeVersions(runtime = null) {
+  const minecraftVersion = runtime?.minecraftVersion || DEFAULT_MC_VERSION;
+  const forgeVersion =
+    runtime?.forgeVersion || (minecraftVersion === DEFAULT_MC_VERSION ? MODPACK_FORGE_VERSION : null);
+  if (!forgeVersion) {
+    throw new Error(`The pack feed sets Minecraft ${minecraftVersion} but no Forge version.`);
+  }
+
+  return {
+    minecraftVersion,
+    forgeVersion: /^\d+\.\d+(\.\d+)?-/.test(forgeVersion) ? forgeVersion : `${minecraftVersion}-${forgeVersion}`,
+    forgeInstaller: runtime?.forgeInstaller?.url ? runtime.forgeInstaller : null,
+    javaMajor: Number(runtime?.javaVersion) || getRequiredJavaMajor(minecraftVersion)
+  };
 }
 
 async function fetchJson(url, errorMessage) {
@@ -159,7 +148,14 @@ async function fetchJson(url, errorMessage) {
   return response.json();
 }
 
-async function downloadToFile(url, destinationPath, onStatus) {
+// With a sha1 the file is verified after downloading and shared through the
+// content cache, so reinstalls reuse it instead of fetching it again.
+async function downloadToFile(url, destinationPath, onStatus, { sha1 = null, cache = null } = {}) {
+  if (cache && sha1 && (await cache.restore({ sha1 }, destinationPath))) {
+    onStatus?.({ message: `Reused cached ${path.basename(destinationPath)}` });
+    return;
+  }
+
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`Failed to download ${url} (${response.status})`);
@@ -175,9 +171,29 @@ async function downloadToFile(url, destinationPath, onStatus) {
     fileStream.on('error', reject);
   });
 
+  if (sha1) {
+    if ((await hashFile(destinationPath, 'sha1')) !== sha1.toLowerCase()) {
+      await fsp.rm(destinationPath, { force: true });
+      throw new Error(`Downloaded ${path.basename(destinationPath)} is corrupt (checksum mismatch). Please try again.`);
+    }
+    await cache?.store({ sha1 }, destinationPath);
+  }
+
   onStatus?.({ message: `Downloaded ${path.basename(destinationPath)}` });
 }
 
+// Maven publishes `<artifact>.sha1` next to each file; null when it is unavailable.
+async function fetchMavenSha1(url) {
+  try {
+    const response = await fetch(`${url}.sha1`);
+    if (!response.ok) return null;
+    const match = /^[a-f0-9]{40}/i.exec((await response.text()).trim());
+    return match ? match[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 async function ensureLog4jConfig(installDir, onStatus) {
   const { modpackDir } = getInstallSubpaths(installDir);
   const log4jPath = path.join(modpackDir, LOG4J_CONFIG_FILENAME);
@@ -203,49 +219,213 @@ async function ensureMinecraftVersion(installDir, minecraftVersion = DEFAULT_MC_
   const versionJsonPath = path.join(versionDir, `${minecraftVersion}.json`);
   const versionJarPath = path.join(versionDir, `${minecraftVersion}.jar`);
 
-  const versionJsonExists = await fsp
-    .stat(versionJsonPath)
-    .then((stats) => stats.isFile())
-    .catch(() => false);
-  const versionJarExists = await fsp
-    .stat(versionJarPath)
-    .then((stats) => stats.isFile())
-    .catch(() => false);
+  let versionProfile = await readVersionProfile(versionJsonPath);
+  if (!versionProfile) {
+    onStatus?.({ message: `Fetching Minecraft ${minecraftVersion} metadata…` });
+    const manifest = await fetchJson(
+      VERSION_MANIFEST_URL,
+      `Failed to resolve Minecraft versions (${VERSION_MANIFEST_URL})`
+    );
+    const versionEntry = manifest.versions.find((entry) => entry.id === minecraftVersion);
+    if (!versionEntry || !versionEntry.url) {
+      throw new Error(`Minecraft version ${minecraftVersion} was not found in the manifest.`);
+    }
 
-  if (versionJsonExists && versionJarExists) {
+    versionProfile = await fetchJson(versionEntry.url, `Failed to download Minecraft ${minecraftVersion} profile.`);
+    if (!isUsableVersionProfile(versionProfile)) {
+      throw new Error(`Minecraft ${minecraftVersion} profile is missing client download info.`);
+    }
+
+    await fsp.mkdir(versionDir, { recursive: true });
+    await fsp.writeFile(versionJsonPath, JSON.stringify(versionProfile, null, 2), 'utf8');
+  }
+
+  // A jar whose size differs from the profile is a truncated or interrupted download.
+  const client = versionProfile.downloads.client;
+  const jarStats = await fsp.stat(versionJarPath).catch(() => null);
+  if (jarStats?.isFile() && (!Number.isInteger(client.size) || jarStats.size === client.size)) {
     return { minecraftVersion, versionJsonPath, versionJarPath };
   }
 
-  onStatus?.({ message: `Fetching Minecraft ${minecraftVersion} metadata…` });
-  const manifest = await fetchJson(
-    VERSION_MANIFEST_URL,
-    `Failed to resolve Minecraft versions (${VERSION_MANIFEST_URL})`
-  );
-  const versionEntry = manifest.versions.find((entry) => entry.id === minecraftVersion);
-  if (!versionEntry || !versionEntry.url) {
-    throw new Error(`Minecraft version ${minecraftVersion} was not found in the manifest.`);
+  onStatus?.({ message: `Downloading Minecraft ${minecraftVersion} client…` });
+  await downloadToFile(client.url, versionJarPath, onStatus, {
+    sha1: client.sha1 || null,
+    cache: createContentCache(installDir)
+  });
+
+  return { minecraftVersion, versionJsonPath, versionJarPath };
+}
+
+function isUsableVersionProfile(profile) {
+  return Boolean(profile?.id && profile.downloads?.client?.url);
+}
+
+// Null when the profile is missing, unreadable or unusable, such as the empty file
+// an interrupted download leaves behind.
+async function readVersionProfile(versionJsonPath) {
+  try {
+    const profile = JSON.parse(await fsp.readFile(versionJsonPath, 'utf8'));
+    return isUsableVersionProfile(profile) ? profile : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Mirrors Mojang's library rules: the last rule matching this OS decides.
+function isLibraryAllowed(library, platform = process.platform) {
+  if (!Array.isArray(library.rules) || !library.rules.length) return true;
+  const osName = { win32: 'windows', darwin: 'osx' }[platform] || 'linux';
+  let allowed = false;
+  for (const rule of library.rules) {
+    if (rule.os?.name && rule.os.name !== osName) continue;
+    allowed = rule.action === 'allow';
   }
+  return allowed;
+}
 
-  const versionProfile = await fetchJson(
-    versionEntry.url,
-    `Failed to download Minecraft ${minecraftVersion} profile.`
-  );
+function resolveInside(rootDir, relativePath) {
+  const resolved = path.resolve(rootDir, relativePath);
+  const relative = path.relative(rootDir, resolved);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? resolved : null;
+}
 
-  await fsp.mkdir(versionDir, { recursive: true });
-  await fsp.writeFile(versionJsonPath, JSON.stringify(versionProfile, null, 2), 'utf8');
+function listProfileFiles(installDir, profile) {
+  const { versionsDir } = getInstallSubpaths(installDir);
+  const librariesDir = path.join(installDir, 'libraries');
+  const client = profile.downloads.client;
+  const files = [
+    {
+      kind: 'client',
+      name: `${profile.id}.jar`,
+      path: path.join(versionsDir, profile.id, `${profile.id}.jar`),
+      url: client.url,
+      sha1: client.sha1,
+      size: client.size
+    }
+  ];
 
-  const clientUrl = versionProfile.downloads?.client?.url;
-  if (!clientUrl) {
-    throw new Error(`Minecraft ${minecraftVersion} profile is missing client download info.`);
+  for (const library of profile.libraries || []) {
+    const artifact = library.downloads?.artifact;
+    if (!artifact?.path || !isLibraryAllowed(library)) continue;
+    const libraryPath = resolveInside(librariesDir, artifact.path);
+    if (!libraryPath) continue;
+    files.push({
+      kind: 'library',
+      name: library.name || artifact.path,
+      path: libraryPath,
+      url: artifact.url,
+      sha1: artifact.sha1,
+      size: artifact.size
+    });
   }
 
-  onStatus?.({ message: `Downloading Minecraft ${minecraftVersion} client…` });
-  await downloadToFile(clientUrl, versionJarPath, onStatus);
+  return files;
+}
 
-  return { minecraftVersion, versionJsonPath, versionJarPath };
+async function listAssetObjects(installDir, assetIndexPath) {
+  const index = JSON.parse(await fsp.readFile(assetIndexPath, 'utf8'));
+  const objectsDir = path.join(installDir, 'assets', 'objects');
+
+  return Object.entries(index.objects || {})
+    .filter(([, object]) => /^[a-f0-9]{40}$/i.test(object?.hash || ''))
+    .map(([name, object]) => {
+      const hash = object.hash.toLowerCase();
+      return {
+        kind: 'asset',
+        name,
+        path: path.join(objectsDir, hash.slice(0, 2), hash),
+        url: `${ASSET_OBJECTS_URL}/${hash.slice(0, 2)}/${hash}`,
+        sha1: hash,
+        size: object.size
+      };
+    });
+}
+
+// Returns 'missing' or 'corrupt' for a broken file and null when it matches.
+async function inspectGameFile(file) {
+  const stats = await fsp.stat(file.path).catch(() => null);
+  if (!stats?.isFile()) return 'missing';
+  if (Number.isInteger(file.size) && stats.size !== file.size) return 'corrupt';
+  if (file.sha1 && (await hashFile(file.path, 'sha1')) !== file.sha1.toLowerCase()) return 'corrupt';
+  return null;
 }
 
-async function ensureForgeInstaller(installDir, forgeVersion, onStatus) {
+// Checks the client jar, every library and every asset object against the hashes in
+// the version profile and asset index, re-downloading only the broken ones. The
+// report lists what was repaired and what is still broken.
+async function verifyGameFiles(
+  installDir,
+  { minecraftVersion = DEFAULT_MC_VERSION, repair = true, onProgress, abortSignal } = {}
+) {
+  const { versionsDir } = getInstallSubpaths(installDir);
+  const versionJsonPath = path.join(versionsDir, minecraftVersion, `${minecraftVersion}.json`);
+  const cache = createContentCache(installDir);
+  const report = { minecraftVersion, checked: 0, repaired: [], failed: [] };
+
+  let profile = await readVersionProfile(versionJsonPath);
+  if (!profile) {
+    const problem = { kind: 'profile', name: `${minecraftVersion}.json`, reason: 'corrupt' };
+    if (!repair) {
+      report.failed.push(problem);
+      return report;
+    }
+    await ensureMinecraftVersion(installDir, minecraftVersion);
+    profile = await readVersionProfile(versionJsonPath);
+    report.repaired.push(problem);
+  }
+
+  let total = 0;
+  const checkFiles = async (files) => {
+    for (const file of files) {
+      if (abortSignal?.aborted) {
+        throw asCancellationError('Verification cancelled by user.');
+      }
+
+      const reason = await inspectGameFile(file);
+      if (reason && (!repair || !file.url)) {
+        report.failed.push({ kind: file.kind, name: file.name, reason });
+      } else if (reason) {
+        try {
+          await downloadToFile(file.url, file.path, null, { sha1: file.sha1 || null, cache });
+          report.repaired.push({ kind: file.kind, name: file.name, reason });
+        } catch (error) {
+          report.failed.push({ kind: file.kind, name: file.name, reason, error: error.message });
+        }
+      }
+
+      report.checked += 1;
+      onProgress?.({ checked: report.checked, total, file: file.name });
+    }
+  };
+
+  // The asset index is settled first because it lists the objects to check.
+  const profileFiles = listProfileFiles(installDir, profile);
+  const assetIndex = profile.assetIndex;
+  const indexesDir = path.join(installDir, 'assets', 'indexes');
+  const assetIndexPath = assetIndex?.id ? resolveInside(indexesDir, `${assetIndex.id}.json`) : null;
+  let assetObjects = [];
+  if (assetIndexPath && assetIndex.url) {
+    total = profileFiles.length + 1;
+    await checkFiles([
+      {
+        kind: 'asset-index',
+        name: `${assetIndex.id}.json`,
+        path: assetIndexPath,
+        url: assetIndex.url,
+        sha1: assetIndex.sha1,
+        size: assetIndex.size
+      }
+    ]);
+    assetObjects = await listAssetObjects(installDir, assetIndexPath).catch(() => []);
+  }
+
+  total = report.checked + profileFiles.length + assetObjects.length;
+  await checkFiles([...profileFiles, ...assetObjects]);
+
+  return report;
+}
+
+async function ensureForgeInstaller(installDir, forgeVersion, onStatus, installer = null) {
   const installerPath = getForgeInstallerPath(installDir, forgeVersion);
   if (!installerPath) return null;
 
@@ -257,20 +437,14 @@ async function ensureForgeInstaller(installDir, forgeVersion, onStatus) {
   if (alreadyPresent) return installerPath;
 
   await fsp.mkdir(path.dirname(installerPath), { recursive: true });
-  const downloadUrl = `https://maven.minecraftforge.net/net/minecraftforge/forge/${forgeVersion}/forge-${forgeVersion}-installer.jar`;
+  const downloadUrl =
+    installer?.url ||
+    `https://maven.minecraftforge.net/net/minecraftforge/forge/${forgeVersion}/forge-${forgeVersion}-installer.jar`;
   onStatus?.({ message: `Downloading Forge ${forgeVersion}...` });
 
-  const response = await fetch(downloadUrl);
-  if (!response.ok) {
-    throw new Error(`Failed to download Forge ${forgeVersion} (${response.status})`);
-  }
-
-  const fileStream = fs.createWriteStream(installerPath);
-  await new Promise((resolve, reject) => {
-    response.body.pipe(fileStream);
-    response.body.on('error', reject);
-    fileStream.on('finish', resolve);
-    fileStream.on('error', reject);
+  await downloadToFile(downloadUrl, installerPath, onStatus, {
+    sha1: installer?.sha1 || (await fetchMavenSha1(downloadUrl)),
+    cache: createContentCache(installDir)
   });
 
   return installerPath;
@@ -316,9 +490,8 @@ async function readDirSafe(targetPath, modpackErrors) {
   return entries;
 }
 
-async function checkLaunchRequirements(installDir, expectedModpackVersion = null) {
-  const minecraftVersion = DEFAULT_MC_VERSION;
-  const forgeVersion = await fetchLatestForgeVersion();
+async function checkLaunchRequirements(installDir, expectedModpackVersion = null, runtime = null) {
+  const { minecraftVersion, forgeVersion } = resolveRuntimeVersions(runtime);
   const { versionsDir, modpackDir } = getInstallSubpaths(installDir);
 
   const minecraftPath = path.join(versionsDir, minecraftVersion, `${minecraftVersion}.json`);
@@ -333,7 +506,7 @@ async function checkLaunchRequirements(installDir, expectedModpackVersion = null
 
   const minecraftPresent = await fsp
     .access(minecraftPath)
-    .then(() => true)
+    .then(async () => Boolean(await readVersionProfile(minecraftPath)))
     .catch(() => false);
 
   const forgePresent = forgePath
@@ -382,20 +555,19 @@ async function checkLaunchRequirements(installDir, expectedModpackVersion = null
   };
 }
 
-async function ensureBaseRuntime({ installDir, onStatus = () => {} }) {
+async function ensureBaseRuntime({ installDir, onStatus = () => {}, runtime = null }) {
   if (!installDir) {
     throw new Error('Install directory is not set.');
   }
 
   await ensureInstallDirExists(installDir);
-  const minecraftVersion = DEFAULT_MC_VERSION;
-  const forgeVersion = await fetchLatestForgeVersion();
+  const { minecraftVersion, forgeVersion, forgeInstaller } = resolveRuntimeVersions(runtime);
 
   onStatus({ message: 'Checking Minecraft files…' });
   await ensureMinecraftVersion(installDir, minecraftVersion, onStatus);
 
   onStatus({ message: 'Checking Forge installer…' });
-  await ensureForgeInstaller(installDir, forgeVersion, onStatus);
+  await ensureForgeInstaller(installDir, forgeVersion, onStatus, forgeInstaller);
 
   await ensureLog4jConfig(installDir, onStatus);
 
@@ -407,7 +579,11 @@ async function launchModpack({
   account,
   onStatus = () => {},
   expectedModpackVersion = null,
-  memorySettings = {}
+  memorySettings = {},
+  runtime = null,
+  javaPath = '',
+  onProgress,
+  abortSignal
 }) {
   if (!installDir) {
     throw new Error('Install directory is missing. Please install the modpack first.');
@@ -419,8 +595,9 @@ async function launchModpack({
 
   await ensureInstallDirExists(installDir);
   onStatus({ message: `Checking installation in ${installDir}` });
+  const { minecraftVersion, forgeInstaller, javaMajor } = resolveRuntimeVersions(runtime);
   const { requirements, forgeVersion, forgeInstallerPath, modpackErrors, searchedModDirectories } =
-    await checkLaunchRequirements(installDir, expectedModpackVersion);
+    await checkLaunchRequirements(installDir, expectedModpackVersion, runtime);
   const missing = Object.entries(requirements)
     .filter(([, present]) => !present)
     .map(([key]) => key);
@@ -450,15 +627,15 @@ async function launchModpack({
 
   if (!requirements.minecraft) {
     try {
-      await ensureMinecraftVersion(installDir, DEFAULT_MC_VERSION, onStatus);
+      await ensureMinecraftVersion(installDir, minecraftVersion, onStatus);
     } catch (error) {
-      throw new Error(`Failed while downloading Minecraft ${DEFAULT_MC_VERSION}: ${error.message}`);
+      throw new Error(`Failed while downloading Minecraft ${minecraftVersion}: ${error.message}`);
     }
   }
 
   if (!requirements.forge) {
     try {
-      resolvedForgeInstaller = await ensureForgeInstaller(installDir, forgeVersion, onStatus);
+      resolvedForgeInstaller = await ensureForgeInstaller(installDir, forgeVersion, onStatus, forgeInstaller);
     } catch (error) {
       throw new Error(`Failed while downloading Forge ${forgeVersion}: ${error.message}`);
     }
@@ -476,73 +653,54 @@ async function launchModpack({
     user_type: 'msa'
   };
 
-  const launchPromise = new Promise((resolve, reject) => {
-    const onError = (error) => {
-      cleanup();
-      reject(error);
-    };
-
-    const onClose = (code) => {
-      cleanup();
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`Minecraft exited with code ${code}`));
-      }
-    };
-
-    const onDebug = (line) => {
-      if (line) {
-        onStatus({ message: String(line) });
-      }
-    };
-
-    const cleanup = () => {
-      launcher.removeListener('error', onError);
-      launcher.removeListener('close', onClose);
-      launcher.removeListener('debug', onDebug);
-      launcher.removeListener('data', onDebug);
-    };
-
-    launcher.on('error', onError);
-    launcher.on('close', onClose);
-    launcher.on('debug', onDebug);
-    launcher.on('data', onDebug);
-  });
-
   onStatus({ message: `Launching with Forge ${forgeVersion}` });
   const log4jConfigPath = await ensureLog4jConfig(installDir, onStatus).catch((error) => {
     throw new Error(`Failed to prepare Log4j configuration: ${error.message}`);
   });
 
   const jvmArgs = buildJvmArgs(memorySettings, log4jConfigPath);
-  const javaExecutable = resolveBundledJava();
-  const { major: javaMajor, version: javaVersion } = await detectJavaVersion(javaExecutable);
+  // Java is picked, and downloaded when missing, before any listener is attached to the
+  // shared client, so a failed or cancelled download leaves nothing behind.
+  const java = await ensureJavaRuntime({
+    rootDir: installDir,
+    javaPath,
+    requiredMajor: javaMajor,
+    onStatus,
+    onProgress,
+    abortSignal
+  });
+  if (!java.path) {
+    throw new Error(
+      `The Java path chosen under Java runtime (${java.configured}) does not contain a Java executable. ` +
+        'Pick another runtime or switch back to automatic selection.'
+    );
+  }
 
-  if (!javaMajor) {
+  if (!java.major) {
     onStatus({
-      message: 'Unable to determine Java version; launching may fail. Please ensure Java 8 is configured.',
+      message: `Unable to determine Java version; launching may fail. Please ensure Java ${javaMajor} is configured.`,
       level: 'warning'
     });
-  } else if (![8, 11].includes(javaMajor)) {
+  } else if (!isJavaCompatible(java.major, javaMajor)) {
     throw new Error(
-      `Incompatible Java runtime detected (version ${javaVersion}). Forge 1.16.5 requires Java 8. ` +
-        'Please reinstall to include the bundled Java 8 runtime or configure a compatible Java path.'
+      `Incompatible Java runtime detected (version ${java.version}). Forge ${minecraftVersion} requires Java ` +
+        `${javaMajor}. Pick or download a matching runtime under Java runtime in the menu.`
     );
-  } else if (javaMajor === 11) {
+  } else if (java.major !== javaMajor) {
     onStatus({
-      message: 'Bundled Java 8 not found; using Java 11 fallback. Forge 1.16.5 compatibility may vary.',
+      message: `Java ${javaMajor} not found; using Java ${java.major}. Forge ${minecraftVersion} may not run on it.`,
       level: 'warning'
     });
   }
 
-  if (!['java', 'javaw'].includes(javaExecutable)) {
-    onStatus({ message: `Using bundled Java runtime at ${javaExecutable}` });
+  const javaExecutable = java.path;
+  if (java.source !== 'system') {
+    onStatus({ message: `Using Java ${java.version || 'runtime'} at ${javaExecutable}` });
   }
 
   // Build the Forge profile id that matches the modpack:
   // forgeVersion is "1.16.5-36.2.42" → profile folder is "1.16.5-forge-36.2.42"
-  const forgeProfileId = `${DEFAULT_MC_VERSION}-forge-${forgeVersion.split('-')[1]}`;
+  const forgeProfileId = `${minecraftVersion}-forge-${forgeVersion.slice(minecraftVersion.length + 1)}`;
 
   // Respect custom RAM settings instead of hardcoded values
   const memoryAllocation = calculateMemoryAllocation(memorySettings);
@@ -560,7 +718,7 @@ async function launchModpack({
 
     version: {
       // Vanilla version id from Mojang's manifest
-      number: DEFAULT_MC_VERSION,
+      number: minecraftVersion,
       type: 'release',
 
       // Pre-built Forge profile folder under versions/
@@ -584,6 +742,59 @@ async function launchModpack({
     launchOptions.customArgs = [];
   }
 
+  if (abortSignal?.aborted) {
+    throw asCancellationError('Launch cancelled.');
+  }
+
+  const launchStartedAt = Date.now();
+  const launchPromise = new Promise((resolve, reject) => {
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    const onClose = (code) => {
+      cleanup();
+      if (code === 0) {
+        resolve();
+        return;
+      }
+
+      analyzeCrash({ directories: [gameDirectory, HELLAS_ROOT], since: launchStartedAt, requiredJavaMajor: javaMajor })
+        .catch(() => null)
+        .then((crash) => {
+          const cause = crash?.problem?.title || crash?.exception;
+          const error = new Error(
+            cause ? `Minecraft crashed (exit code ${code}): ${cause}` : `Minecraft exited with code ${code}`
+          );
+          error.exitCode = code;
+          if (crash) {
+            error.code = 'EGAMECRASH';
+            error.crash = crash;
+          }
+          reject(error);
+        });
+    };
+
+    const onDebug = (line) => {
+      if (line) {
+        onStatus({ message: String(line) });
+      }
+    };
+
+    const cleanup = () => {
+      launcher.removeListener('error', onError);
+      launcher.removeListener('close', onClose);
+      launcher.removeListener('debug', onDebug);
+      launcher.removeListener('data', onDebug);
+    };
+
+    launcher.on('error', onError);
+    launcher.on('close', onClose);
+    launcher.on('debug', onDebug);
+    launcher.on('data', onDebug);
+  });
+
   launcher.launch(launchOptions);
 
   activeLaunch = launchPromise.finally(() => {
@@ -614,6 +825,9 @@ module.exports = {
   checkLaunchRequirements,
   ensureBaseRuntime,
   ensureMinecraftVersion,
+  resolveRuntimeVersions,
+  verifyGameFiles,
   buildMemoryPlan,
-  calculateMemoryAllocation
+  calculateMemoryAllocation,
+  buildJvmArgs
 };
@@ -1,12 +1,24 @@
 const path = require('path');
 const fs = require('fs');
-const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog, Notification, Tray, Menu, nativeImage } = require('electron');
 const Store = require('electron-store');
 const semver = require('semver');
 require('dotenv').config();
 const { HELLAS_ROOT, ensureDirectories } = require('./paths');
 
-const { resolveUpdateSource, downloadAndExtractUpdate, fetchFeedManifest, freshReinstall } = require('./update');
+const {
+  DEFAULT_RELEASE_CHANNEL,
+  REINSTALL_KEPT_DIR_NAMES,
+  normalizeReleaseChannel,
+  resolveUpdateSource,
+  downloadAndExtractUpdate,
+  fetchFeedManifest,
+  estimateUpdateSize,
+  freshReinstall,
+  inspectLocalArchive,
+  installFromLocalArchive,
+  recoverInterruptedUpdate
+} = require('./update');
 const { requestDeviceCode, pollDeviceCode, loginWithRefreshToken } = require('./auth');
 const {
   launchModpack,
@@ -14,9 +26,29 @@ const {
   isLaunching,
   checkLaunchRequirements,
   ensureBaseRuntime,
-  buildMemoryPlan
+  resolveRuntimeVersions,
+  verifyGameFiles,
+  buildMemoryPlan,
+  buildJvmArgs
 } = require('./launcher');
 const { initLogger, logMessage, getLauncherLogPath, readLauncherLog } = require('./logger');
+const { formatBytes, getDirectorySize, estimateRuntimeBytes, assertDiskSpace } = require('./diskSpace');
+const { clearDownloadCache } = require('./contentCache');
+const { listSnapshots, createSnapshot, restoreSnapshot } = require('./snapshots');
+const { resolveEnabledGroups } = require('./packManifest');
+const { findJavaExecutable, detectJavaVersion, listJavaRuntimes, chooseJavaRuntime } = require('./javaResolver');
+const { installJavaRuntime } = require('./javaRuntime');
+const { createTransferMeter } = require('./download');
+const { JVM_ARG_PRESETS, checkJvmArgs, formatJvmArgs, findJvmArgPreset } = require('./jvmArgs');
+const {
+  getLauncherStatus,
+  getPortableExecutablePath,
+  readPendingLauncherUpdate,
+  downloadLauncherUpdate,
+  applyPendingLauncherUpdate,
+  cleanupReplacedLauncher
+} = require('./selfUpdate');
+const { resolveCheckInterval, createUpdateChecker } = require('./updateChecker');
 
 const isDevelopment = process.env.NODE_ENV === 'development';
 let mainWindow;
@@ -25,6 +57,15 @@ let sessionAccount = { username: '', accessToken: '', refreshToken: '', uuid: ''
 let updateAbortController = null;
 let updateInProgress = false;
 let launchInProgress = false;
+let launchAbortController = null;
+let launcherUpdateInProgress = false;
+let launcherSwapAttempted = false;
+let updateChecker = null;
+let tray = null;
+// Pack version the player was last told about, so each release is announced once.
+let announcedVersion = null;
+// Report behind the last crash dialog; the renderer can only ask to open this file.
+let lastCrashReportPath = null;
 let logWindow;
 const behaviorLog = [];
 let behaviorLogWritten = false;
@@ -71,6 +112,25 @@ function createStore() {
     installDir: HELLAS_ROOT,
     installedVersion: '',
     lastKnownVersion: '',
+    releaseChannel: DEFAULT_RELEASE_CHANNEL,
+    installedChannel: '',
+    // Pack version the player chose to stay on; empty follows the channel's latest.
+    pinnedVersion: '',
+    // Pack archive last advertised by the feed, used to recognise local ZIP installs offline.
+    knownPack: null,
+    // Player choices for the feed's optional mod groups ({ [id]: boolean }) and the
+    // groups the installed pack was built with.
+    optionalGroups: {},
+    installedOptionalGroups: null,
+    // Launcher build last announced by the feed; kept so an unsupported launcher
+    // stays blocked while offline.
+    launcherRelease: null,
+    // Minecraft/Forge versions ({ minecraftVersion, forgeVersion, forgeInstaller }) the
+    // installed pack declared, and the ones the feed currently declares.
+    installedRuntime: null,
+    feedRuntime: null,
+    // Java executable or home the player picked; empty selects one automatically.
+    javaPath: '',
     memory: { mode: 'auto', minMb: null, maxMb: null },
     account: {
       username: '',
@@ -112,10 +172,13 @@ function normalizeMemorySettings(settings = {}) {
     return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : null;
   };
 
+  const jvmArgs = checkJvmArgs(settings.jvmArgs);
+
   return {
     mode,
     minMb: toNumber(settings.minMb),
-    maxMb: toNumber(settings.maxMb)
+    maxMb: toNumber(settings.maxMb),
+    jvmArgs: jvmArgs.errors.length ? [] : jvmArgs.args
   };
 }
 
@@ -124,11 +187,28 @@ function getMemorySettings() {
 }
 
 function setMemorySettings(settings) {
+  const { errors } = checkJvmArgs(settings?.jvmArgs);
+  if (errors.length) {
+    throw new Error(errors[0]);
+  }
+
   const normalized = normalizeMemorySettings(settings);
   store.set('memory', normalized);
   return normalized;
 }
 
+// What the editor shows for a set of memory settings: the argument text, the preset it
+// matches and the full JVM argument line the game would start with.
+function describeJvmArgs(settings, errors = []) {
+  return {
+    text: formatJvmArgs(settings.jvmArgs),
+    preset: findJvmArgPreset(settings.jvmArgs)?.id || null,
+    presets: JVM_ARG_PRESETS.map(({ id, label, args }) => ({ id, label, text: formatJvmArgs(args) })),
+    preview: formatJvmArgs(buildJvmArgs(settings)),
+    errors
+  };
+}
+
 function getMemoryState() {
   const settings = getMemorySettings();
   const plan = buildMemoryPlan(settings);
@@ -142,10 +222,171 @@ function getMemoryState() {
     applied: {
       minMb: plan.minMb,
       maxMb: plan.maxMb
-    }
+    },
+    jvm: describeJvmArgs(settings)
+  };
+}
+
+function getReleaseChannel() {
+  return normalizeReleaseChannel(store.get('releaseChannel'));
+}
+
+function getPinnedVersion() {
+  return store.get('pinnedVersion') || null;
+}
+
+function getUpdateSourceOptions() {
+  return {
+    channel: getReleaseChannel(),
+    pinnedVersion: getPinnedVersion(),
+    groupChoices: store.get('optionalGroups') || {}
   };
 }
 
+function getUpdateSource() {
+  return resolveUpdateSource(getUpdateSourceOptions());
+}
+
+function recordInstalledPack(result) {
+  if (result.version) {
+    store.set('installedVersion', result.version);
+    store.set('lastKnownVersion', result.version);
+  }
+  if (result.channel) {
+    store.set('installedChannel', result.channel);
+  }
+  if (Array.isArray(result.optionalGroups)) {
+    store.set('installedOptionalGroups', result.optionalGroups);
+  }
+  if (result.runtime !== undefined) {
+    store.set('installedRuntime', result.runtime);
+  }
+}
+
+// Packs installed before their feed declared Minecraft/Forge versions use the feed's
+// current ones; with neither the launcher falls back to its built-in versions.
+function getPackRuntime() {
+  return store.get('installedRuntime') || store.get('feedRuntime') || null;
+}
+
+async function getLauncherState() {
+  const status = getLauncherStatus(store.get('launcherRelease'), app.getVersion());
+  const pending = await readPendingLauncherUpdate(getInstallDir());
+  return {
+    ...status,
+    canSelfUpdate: Boolean(getPortableExecutablePath()),
+    updateReady: Boolean(pending && pending.version === status.latestVersion),
+    downloading: launcherUpdateInProgress
+  };
+}
+
+function isPackUpdateAvailable({ preferredVersion, installedVersion, pinnedVersion, activeChannel, installedChannel }) {
+  if (!preferredVersion) return false;
+  if (!installedVersion) return true;
+  if (pinnedVersion) {
+    // A pinned pack only ever goes back to the pinned release, never past it.
+    return installedVersion !== pinnedVersion;
+  }
+  if (activeChannel !== installedChannel) {
+    // Switching channels installs whatever that channel ships, even when it is
+    // older than the installed build (e.g. leaving beta for stable).
+    return preferredVersion !== installedVersion;
+  }
+  if (semver.valid(preferredVersion) && semver.valid(installedVersion)) {
+    return semver.gt(preferredVersion, installedVersion);
+  }
+  return preferredVersion !== installedVersion;
+}
+
+function showUpdateNotification(version) {
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({
+    title: 'Hellas update available',
+    body: `Pack version ${version} is ready to install. Open the launcher to update.`
+  });
+  notification.on('click', showMainWindow);
+  notification.show();
+}
+
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Minimizing hides the window to the tray, so the launcher keeps checking for pack
+// updates in the background without a taskbar entry. Closing still quits.
+function createTray() {
+  const icon = nativeImage.createFromPath(
+    path.join(__dirname, '../../assets/icons', process.platform === 'win32' ? 'icon.ico' : 'icon.png')
+  );
+  tray = new Tray(icon.resize({ width: 16, height: 16 }));
+  tray.setToolTip('Hellas Launcher');
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      { label: 'Open Hellas Launcher', click: showMainWindow },
+      { label: 'Check for pack updates', click: () => updateChecker?.checkNow() },
+      { type: 'separator' },
+      { label: 'Quit', click: () => app.quit() }
+    ])
+  );
+  tray.on('click', showMainWindow);
+}
+
+// Stores what a freshly read feed says about the pack, its game versions and the
+// launcher, so every feed read leaves the same state behind. Returns the version to offer.
+function rememberFeedManifest(manifest, pinnedVersion = null) {
+  if (manifest.sha256) {
+    store.set('knownPack', {
+      version: manifest.version,
+      channel: manifest.channel,
+      sha256: manifest.sha256,
+      runtime: manifest.runtime
+    });
+  }
+  store.set('launcherRelease', manifest.launcher);
+  store.set('feedRuntime', manifest.runtime);
+
+  const targetVersion = pinnedVersion || manifest.version;
+  if (targetVersion) {
+    store.set('lastKnownVersion', targetVersion);
+  }
+  return targetVersion || null;
+}
+
+// Background feed poll: keeps the stored feed state fresh and tells the renderer and
+// the desktop when a new pack version appears while the launcher is open.
+async function checkForPackUpdate() {
+  const updateSource = getUpdateSource();
+  if (updateInProgress || updateSource?.type !== 'feed') return;
+
+  const manifest = await fetchFeedManifest(updateSource.feedUrl, { channel: getReleaseChannel() });
+  const preferredVersion = rememberFeedManifest(manifest, updateSource.pinnedVersion);
+  if (!preferredVersion) return;
+
+  const installedVersion = store.get('installedVersion') || '';
+  const available = isPackUpdateAvailable({
+    preferredVersion,
+    installedVersion,
+    pinnedVersion: updateSource.pinnedVersion,
+    activeChannel: manifest.channel,
+    installedChannel: store.get('installedChannel') || DEFAULT_RELEASE_CHANNEL
+  });
+  if (!available || !installedVersion || preferredVersion === announcedVersion) return;
+
+  announcedVersion = preferredVersion;
+  recordBehavior('update-detected', { version: preferredVersion, channel: manifest.channel });
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('hellas:update-available', { version: preferredVersion, channel: manifest.channel });
+  }
+  showUpdateNotification(preferredVersion);
+}
+
+function sameGroupSelection(a, b) {
+  return [...a].sort().join('\n') === [...b].sort().join('\n');
+}
+
 function getSessionAccount() {
   return { ...sessionAccount };
 }
@@ -211,7 +452,7 @@ async function getInstallationState() {
   const expectedModpackVersion = store.get('lastKnownVersion') || store.get('installedVersion') || null;
 
   try {
-    const check = await checkLaunchRequirements(dir, expectedModpackVersion);
+    const check = await checkLaunchRequirements(dir, expectedModpackVersion, getPackRuntime());
     requirements = check.requirements;
     forgeVersion = check.forgeVersion;
     minecraftVersion = check.minecraftVersion;
@@ -261,6 +502,18 @@ function sendUpdateProgress(payload) {
   }
 }
 
+// Turns download callbacks into throttled "downloading" payloads with speed and ETA for `send`.
+function createDownloadReporter(send) {
+  const meter = createTransferMeter();
+  let lastReport = 0;
+  return ({ downloaded, totalBytes }) => {
+    if (Date.now() - lastReport < 250) return;
+    lastReport = Date.now();
+    const progress = totalBytes ? Math.min(99, Math.round((downloaded / totalBytes) * 100)) : null;
+    send({ state: 'downloading', progress, ...meter.update(downloaded, totalBytes) });
+  };
+}
+
 function sendLaunchStatus(payload) {
   recordBehavior('launch-status', { payload });
   logMessage('debug', 'Launch status event', payload);
@@ -286,6 +539,66 @@ function sendLaunchStatus(payload) {
   return false;
 }
 
+// Refuses to start when the pack, its extracted copy and any missing Minecraft/Forge
+// runtime would not fit on the install drive. A fresh reinstall deletes the
+// current install first, so that space counts as available.
+async function ensureInstallSpace(estimateSize, installDir, { fresh = false } = {}) {
+  sendInstallStatus({ message: 'Checking free disk space…' });
+
+  let estimate;
+  try {
+    estimate = await estimateSize();
+  } catch (error) {
+    // The install itself reports feed/network problems with more context.
+    logMessage('warn', 'Could not estimate update size', { error: error.message });
+    return;
+  }
+
+  const { requirements } = await getInstallationState();
+  const runtimeBytes = estimateRuntimeBytes(fresh ? {} : requirements);
+  let reclaimableBytes = 0;
+  if (fresh) {
+    reclaimableBytes = await getDirectorySize(installDir);
+    for (const keptDir of REINSTALL_KEPT_DIR_NAMES) {
+      reclaimableBytes -= await getDirectorySize(path.join(installDir, keptDir));
+    }
+  }
+
+  const result = await assertDiskSpace(installDir, estimate.requiredBytes + runtimeBytes, { reclaimableBytes });
+  if (result) {
+    logMessage('info', 'Disk space pre-flight passed', {
+      required: formatBytes(result.requiredBytes),
+      available: formatBytes(result.availableBytes)
+    });
+  }
+}
+
+// Snapshots worlds, screenshots and configs before an install rewrites the modpack.
+// A failed backup stops the install so nothing is lost without a copy.
+async function backupUserData(installDir, reason, abortSignal) {
+  sendInstallStatus({ message: 'Backing up worlds, screenshots and configs…' });
+  try {
+    const snapshot = await createSnapshot(installDir, {
+      reason,
+      version: store.get('installedVersion') || null,
+      abortSignal,
+      onProgress: ({ processedBytes, totalBytes }) => {
+        const progress = totalBytes ? Math.floor((processedBytes / totalBytes) * 100) : 0;
+        sendUpdateProgress({ state: 'backing-up', progress });
+      }
+    });
+    if (snapshot) {
+      logMessage('info', 'User data snapshot created', { id: snapshot.id, size: formatBytes(snapshot.size) });
+      sendInstallStatus({ message: `Backup saved (${formatBytes(snapshot.size)}).` });
+    }
+    return snapshot;
+  } catch (error) {
+    if (error.cancelled || error.name === 'AbortError') throw error;
+    logMessage('error', 'User data snapshot failed', { error: error.message });
+    throw new Error(`Could not back up your worlds and settings, so nothing was changed: ${error.message}`);
+  }
+}
+
 async function runUpdateTask(task) {
   if (updateInProgress) {
     throw new Error('Another download is already in progress.');
@@ -353,6 +666,12 @@ function createWindow() {
     }
   });
 
+  mainWindow.on('minimize', () => {
+    if (!tray) return;
+    recordBehavior('window-minimized-to-tray');
+    mainWindow.hide();
+  });
+
   if (isDevelopment) {
     mainWindow.webContents.openDevTools({ mode: 'detach' });
   }
@@ -389,12 +708,30 @@ app.whenReady().then(async () => {
   initLogger(app);
   recordBehavior('app-ready', { version: app.getVersion(), platform: process.platform });
   createStore();
+  await cleanupReplacedLauncher(getPortableExecutablePath());
+  try {
+    if (await recoverInterruptedUpdate(getInstallDir())) {
+      recordBehavior('update-rollback-recovered');
+      logMessage('warn', 'Restored previous modpack files after an interrupted update');
+    }
+  } catch (error) {
+    logMessage('error', 'Failed to recover interrupted update', { error: error.message });
+  }
   await attemptRestoreAccount();
+  if (process.platform === 'win32') {
+    // Windows only shows notifications for apps with an AppUserModelID.
+    app.setAppUserModelId('com.hellas.launcher');
+  }
   createWindow();
+  createTray();
+  updateChecker = createUpdateChecker({ check: checkForPackUpdate, intervalMs: resolveCheckInterval() });
+  updateChecker.start();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
+    } else {
+      showMainWindow();
     }
   });
 });
@@ -407,25 +744,70 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', () => {
+  updateChecker?.stop();
+  tray?.destroy();
+  tray = null;
   recordBehavior('app-before-quit');
   flushBehaviorLog();
 });
 
+// A downloaded launcher build replaces the portable executable once the window is gone.
+app.on('will-quit', (event) => {
+  const executablePath = getPortableExecutablePath();
+  if (launcherSwapAttempted || !executablePath) return;
+  launcherSwapAttempted = true;
+  event.preventDefault();
+  applyPendingLauncherUpdate(getInstallDir(), executablePath)
+    .then((applied) => {
+      if (applied) recordBehavior('launcher-update-applied', { version: applied.version });
+    })
+    .catch((error) => {
+      logMessage('error', 'Failed to apply launcher update', { error: error.message });
+    })
+    .finally(() => app.quit());
+});
+
 ipcMain.handle('hellas:get-state', async () => {
   const installation = await getInstallationState();
-  const updateSource = resolveUpdateSource();
+  const updateSource = getUpdateSource();
   let preferredVersion = installation.lastKnownVersion;
+  const releaseChannel = getReleaseChannel();
+  const installedChannel = store.get('installedChannel') || DEFAULT_RELEASE_CHANNEL;
+  let activeChannel = installedChannel;
+  let channels = [DEFAULT_RELEASE_CHANNEL];
+  const pinnedVersion = updateSource?.pinnedVersion || null;
+  let latestVersion = null;
+  let versions = [];
+  // Stays null when the feed could not be read, so no group change is assumed.
+  let optionalGroups = null;
+  let feedError = null;
 
   if (updateSource) {
     if (updateSource.type === 'feed') {
       try {
-        const manifest = await fetchFeedManifest(updateSource.feedUrl);
-        if (manifest.version) {
-          preferredVersion = manifest.version;
-          store.set('lastKnownVersion', manifest.version);
+        const manifest = await fetchFeedManifest(updateSource.feedUrl, { channel: releaseChannel });
+        activeChannel = manifest.channel;
+        channels = manifest.channels;
+        latestVersion = manifest.latestVersion;
+        versions = manifest.versions;
+        const targetVersion = rememberFeedManifest(manifest, pinnedVersion);
+        if (targetVersion) {
+          preferredVersion = targetVersion;
         }
+        const enabledGroups = resolveEnabledGroups(manifest.optionalGroups, store.get('optionalGroups'));
+        optionalGroups = manifest.optionalGroups.map((group) => ({
+          id: group.id,
+          name: group.name,
+          description: group.description,
+          default: group.default,
+          enabled: enabledGroups.includes(group.id)
+        }));
       } catch (error) {
         console.warn('Failed to fetch update feed', error);
+        // Broken, too new or badly signed feeds are shown to the player; network hiccups are not.
+        if (['EFEEDSCHEMA', 'EFEEDVERSION', 'ESIGNATURE'].includes(error.code)) {
+          feedError = error.message;
+        }
       }
     } else if (updateSource.version) {
       preferredVersion = updateSource.version;
@@ -434,17 +816,27 @@ ipcMain.handle('hellas:get-state', async () => {
   }
 
   const installedVersion = installation.installedVersion;
-  let updateAvailable = false;
-  if (preferredVersion) {
-    if (installedVersion) {
-      if (semver.valid(preferredVersion) && semver.valid(installedVersion)) {
-        updateAvailable = semver.gt(preferredVersion, installedVersion);
-      } else {
-        updateAvailable = preferredVersion !== installedVersion;
-      }
-    } else {
-      updateAvailable = true;
-    }
+  let updateAvailable = isPackUpdateAvailable({
+    preferredVersion,
+    installedVersion,
+    pinnedVersion,
+    activeChannel,
+    installedChannel
+  });
+  if (updateAvailable && installedVersion) {
+    // Already on screen; the background check should not announce it again.
+    announcedVersion = preferredVersion;
+  }
+
+  // Turning optional groups on or off is applied by the next update.
+  const optionalChangesPending =
+    Boolean(installedVersion && optionalGroups) &&
+    !sameGroupSelection(
+      optionalGroups.filter((group) => group.enabled).map((group) => group.id),
+      store.get('installedOptionalGroups') || []
+    );
+  if (optionalChangesPending) {
+    updateAvailable = true;
   }
 
   return {
@@ -455,10 +847,20 @@ ipcMain.handle('hellas:get-state', async () => {
     termsAccepted: store.get('termsAccepted'),
     animationEnabled: store.get('animationEnabled'),
     memory: getMemoryState(),
+    launcher: await getLauncherState(),
     update: {
       hasUpdateSource: Boolean(updateSource),
       preferredVersion,
-      available: updateAvailable
+      available: updateAvailable,
+      channel: releaseChannel,
+      installedChannel,
+      channels,
+      pinnedVersion,
+      latestVersion,
+      versions,
+      optionalGroups: optionalGroups || [],
+      optionalChangesPending,
+      feedError
     }
   };
 });
@@ -473,6 +875,137 @@ ipcMain.handle('hellas:set-animation', async (_event, value) => {
   return store.get('animationEnabled');
 });
 
+ipcMain.handle('hellas:set-release-channel', async (_event, channel) => {
+  const normalized = normalizeReleaseChannel(channel);
+  if (normalized !== getReleaseChannel()) {
+    // Pins name a release of the old channel.
+    store.set('pinnedVersion', '');
+  }
+  store.set('releaseChannel', normalized);
+  recordBehavior('release-channel-changed', { channel: normalized });
+  return normalized;
+});
+
+ipcMain.handle('hellas:set-pinned-version', async (_event, version) => {
+  const pinned = typeof version === 'string' ? version.trim() : '';
+  store.set('pinnedVersion', pinned);
+  recordBehavior('pinned-version-changed', { version: pinned || null });
+  return pinned || null;
+});
+
+ipcMain.handle('hellas:download-launcher-update', async () => {
+  const release = store.get('launcherRelease');
+  const status = getLauncherStatus(release, app.getVersion());
+  if (!status.updateAvailable) {
+    throw new Error('No launcher update is available.');
+  }
+  if (!getPortableExecutablePath()) {
+    throw new Error(`This launcher cannot update itself. Download version ${status.latestVersion} from the website.`);
+  }
+  if (launcherUpdateInProgress) {
+    throw new Error('The launcher update is already downloading.');
+  }
+
+  launcherUpdateInProgress = true;
+  try {
+    const pending = await downloadLauncherUpdate(release, getInstallDir());
+    recordBehavior('launcher-update-downloaded', { version: pending.version });
+    return getLauncherState();
+  } catch (error) {
+    logMessage('error', 'Launcher update download failed', { error: error.message });
+    throw error;
+  } finally {
+    launcherUpdateInProgress = false;
+  }
+});
+
+ipcMain.handle('hellas:restart-launcher', async () => {
+  if (updateInProgress || launchInProgress) {
+    throw new Error('Wait for the running update or launch to finish before restarting.');
+  }
+  const executablePath = getPortableExecutablePath();
+  if (!executablePath || !(await readPendingLauncherUpdate(getInstallDir()))) {
+    throw new Error('No launcher update is ready to install.');
+  }
+
+  recordBehavior('launcher-restart');
+  // The swap happens in will-quit; relaunch starts the replaced executable.
+  app.relaunch({ execPath: executablePath, args: [] });
+  app.quit();
+  return true;
+});
+
+ipcMain.handle('hellas:set-optional-groups', async (_event, choices) => {
+  const normalized = {};
+  for (const [id, enabled] of Object.entries(choices && typeof choices === 'object' ? choices : {})) {
+    if (typeof enabled === 'boolean') normalized[id] = enabled;
+  }
+  store.set('optionalGroups', normalized);
+  recordBehavior('optional-groups-changed', { groups: normalized });
+  return normalized;
+});
+
+async function getJavaState() {
+  const installDir = getInstallDir();
+  const { minecraftVersion, javaMajor } = resolveRuntimeVersions(getPackRuntime());
+  const javaPath = store.get('javaPath') || '';
+  const runtimes = await listJavaRuntimes({ rootDir: installDir, javaPath });
+  const selected = chooseJavaRuntime(runtimes, javaMajor);
+
+  return { minecraftVersion, requiredMajor: javaMajor, javaPath, runtimes, selectedPath: selected?.path || null };
+}
+
+ipcMain.handle('hellas:get-java-runtimes', async () => getJavaState());
+
+ipcMain.handle('hellas:set-java-path', async (_event, value) => {
+  const javaPath = typeof value === 'string' ? value.trim() : '';
+  if (javaPath) {
+    const executable = findJavaExecutable(javaPath);
+    if (!executable || !(await detectJavaVersion(executable)).major) {
+      throw new Error(`${javaPath} is not a working Java runtime.`);
+    }
+  }
+
+  store.set('javaPath', javaPath);
+  recordBehavior('java-path-changed', { javaPath });
+  return getJavaState();
+});
+
+ipcMain.handle('hellas:browse-java', async () => {
+  const selection = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose a Java runtime',
+    buttonLabel: 'Use this Java',
+    properties: [process.platform === 'darwin' ? 'openDirectory' : 'openFile']
+  });
+  return selection.canceled || !selection.filePaths.length ? null : selection.filePaths[0];
+});
+
+ipcMain.handle('hellas:download-java', async () => {
+  if (launchInProgress) {
+    throw new Error('Java cannot be downloaded while the game is running.');
+  }
+
+  const { javaMajor } = resolveRuntimeVersions(getPackRuntime());
+  sendUpdateProgress({ state: 'downloading', progress: 0, downloadedBytes: 0, totalBytes: null });
+  recordBehavior('java-download-start', { major: javaMajor });
+
+  const result = await runUpdateTask((signal) =>
+    installJavaRuntime(getInstallDir(), javaMajor, {
+      abortSignal: signal,
+      onProgress: createDownloadReporter(sendUpdateProgress)
+    })
+  );
+
+  if (result.cancelled) {
+    sendUpdateProgress({ state: 'cancelled', message: 'Java download cancelled.' });
+    return { cancelled: true };
+  }
+
+  sendInstallStatus({ message: `Java ${result.major} (${result.release}) installed.`, level: 'success' });
+  recordBehavior('java-download-complete', { major: result.major, release: result.release });
+  return getJavaState();
+});
+
 ipcMain.handle('hellas:get-memory-settings', async () => getMemoryState());
 
 ipcMain.handle('hellas:set-memory-settings', async (_event, settings) => {
@@ -480,6 +1013,11 @@ ipcMain.handle('hellas:set-memory-settings', async (_event, settings) => {
   return getMemoryState();
 });
 
+ipcMain.handle('hellas:preview-jvm-args', async (_event, settings = {}) => {
+  const { args, errors } = checkJvmArgs(settings.jvmArgs);
+  return describeJvmArgs({ ...normalizeMemorySettings(settings), jvmArgs: args }, errors);
+});
+
 ipcMain.handle('hellas:start-device-login', async () => requestDeviceCode());
 
 ipcMain.handle('hellas:poll-device-login', async (_event, payload) => {
@@ -499,35 +1037,34 @@ ipcMain.handle('hellas:poll-device-login', async (_event, payload) => {
 
   ipcMain.handle('hellas:perform-install', async () => {
     const dir = getInstallDir();
-    const updateSource = resolveUpdateSource();
-    if (!updateSource || !updateSource.url) {
+    const updateSource = getUpdateSource();
+    if (!updateSource || !(updateSource.url || updateSource.feedUrl)) {
       sendInstallStatus({ message: 'Update source is not configured.', level: 'error' });
       throw new Error('Update source is not configured.');
     }
 
     await fs.promises.mkdir(dir, { recursive: true });
 
-    recordBehavior('install-start', { dir, updateSource: updateSource.url });
+    recordBehavior('install-start', { dir, updateSource: updateSource.url || updateSource.feedUrl });
 
     sendInstallStatus({ message: `Preparing installation into ${dir}` });
-    sendUpdateProgress({ state: 'downloading', progress: 0 });
     try {
-      const result = await runUpdateTask((signal) =>
-        downloadAndExtractUpdate(updateSource, dir, sendUpdateProgress, signal)
-      );
+      await ensureInstallSpace(() => estimateUpdateSize(updateSource, dir), dir);
+      sendUpdateProgress({ state: 'downloading', progress: 0 });
+      const result = await runUpdateTask(async (signal) => {
+        await backupUserData(dir, 'install', signal);
+        return downloadAndExtractUpdate(updateSource, dir, sendUpdateProgress, signal);
+      });
 
       if (result.cancelled) {
         sendUpdateProgress({ state: 'cancelled', message: 'Installation cancelled.' });
         return { cancelled: true };
       }
 
-      if (result.version) {
-        store.set('installedVersion', result.version);
-        store.set('lastKnownVersion', result.version);
-      }
+      recordInstalledPack(result);
 
       sendInstallStatus({ message: 'Verifying Minecraft and Forge files…' });
-      await ensureBaseRuntime({ installDir: dir, onStatus: sendInstallStatus });
+      await ensureBaseRuntime({ installDir: dir, onStatus: sendInstallStatus, runtime: getPackRuntime() });
 
       sendUpdateProgress({ state: 'complete', progress: 100, version: result.version || null });
       sendInstallStatus({ message: 'Installation completed successfully.', level: 'success' });
@@ -555,6 +1092,141 @@ ipcMain.handle('hellas:open-install-folder', async () => {
   return dir;
 });
 
+ipcMain.handle('hellas:clear-cache', async () => {
+  if (updateInProgress) {
+    throw new Error('The download cache cannot be cleared while a download is in progress.');
+  }
+
+  const freedBytes = await clearDownloadCache(getInstallDir());
+  recordBehavior('cache-cleared', { freedBytes });
+  logMessage('info', 'Download cache cleared', { freed: formatBytes(freedBytes) });
+  return { freedBytes };
+});
+
+function describeUnverifiedArchive(inspection) {
+  if (inspection.signature === 'invalid') {
+    return 'Its .sig file does not match it, so it may have been modified after it was signed.';
+  }
+  if (inspection.signature === 'missing') {
+    return 'It has no .sig file signed by Hellas and it is not the pack currently published by Hellas.';
+  }
+  return 'There is no matching .sha256 file next to it and it is not the pack currently published by Hellas.';
+}
+
+function summarizeVerification(report) {
+  const { checked, repaired, failed } = report;
+  if (!repaired.length && !failed.length) {
+    return { message: `All ${checked} game files are intact.`, lines: [] };
+  }
+
+  const parts = [repaired.length ? `repaired ${repaired.length}` : null];
+  parts.push(failed.length ? `${failed.length} could not be repaired` : null);
+  const lines = [
+    ...failed.map((file) => `Still broken (${file.reason}): ${file.name}${file.error ? ` – ${file.error}` : ''}`),
+    ...repaired.map((file) => `Repaired (${file.reason}): ${file.name}`)
+  ];
+  return { message: `Checked ${checked} game files: ${parts.filter(Boolean).join(', ')}.`, lines };
+}
+
+ipcMain.handle('hellas:verify-game-files', async () => {
+  if (launchInProgress) {
+    throw new Error('Game files cannot be verified while the game is running.');
+  }
+
+  const installDir = getInstallDir();
+  recordBehavior('verify-files-start', { installDir });
+  sendInstallStatus({ message: 'Verifying Minecraft client, libraries and assets…' });
+  sendUpdateProgress({ state: 'verifying-game-files', progress: 0 });
+
+  // Thousands of assets are hashed, so progress is only sent when the percentage moves.
+  let lastProgress = 0;
+  const report = await runUpdateTask((signal) =>
+    verifyGameFiles(installDir, {
+      minecraftVersion: resolveRuntimeVersions(getPackRuntime()).minecraftVersion,
+      abortSignal: signal,
+      onProgress: ({ checked, total }) => {
+        const progress = total ? Math.floor((checked / total) * 100) : 0;
+        if (progress === lastProgress) return;
+        lastProgress = progress;
+        sendUpdateProgress({ state: 'verifying-game-files', progress, checked, total });
+      }
+    })
+  );
+
+  if (report.cancelled) {
+    sendUpdateProgress({ state: 'cancelled', message: 'Verification cancelled.' });
+    return { cancelled: true };
+  }
+
+  const summary = summarizeVerification(report);
+  logMessage(report.failed.length ? 'warn' : 'info', 'Game files verified', {
+    checked: report.checked,
+    repaired: report.repaired.length,
+    failed: report.failed
+  });
+  recordBehavior('verify-files-complete', { checked: report.checked, repaired: report.repaired.length });
+  sendInstallStatus({ message: summary.message, level: report.failed.length ? 'error' : 'success' });
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    const shown = summary.lines.slice(0, 10);
+    const more = summary.lines.length > shown.length ? `\n…and ${summary.lines.length - shown.length} more.` : '';
+    dialog.showMessageBox(mainWindow, {
+      type: report.failed.length ? 'warning' : 'info',
+      title: 'Verify game files',
+      message: summary.message,
+      detail: shown.length
+        ? `${shown.join('\n')}${more}`
+        : 'The client, its libraries and assets match the official checksums.'
+    });
+  }
+
+  return { ...report, message: summary.message };
+});
+
+ipcMain.handle('hellas:list-snapshots', async () => listSnapshots(getInstallDir()));
+
+ipcMain.handle('hellas:restore-snapshot', async (_event, id) => {
+  if (updateInProgress || launchInProgress) {
+    throw new Error('Backups cannot be restored while a download or the game is running.');
+  }
+
+  const installDir = getInstallDir();
+  const snapshot = (await listSnapshots(installDir)).find((entry) => entry.id === id);
+  if (!snapshot) {
+    throw new Error('This backup no longer exists.');
+  }
+
+  const choice = dialog.showMessageBoxSync(mainWindow, {
+    type: 'warning',
+    buttons: ['Restore', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Restore backup',
+    message: `Restore the backup from ${new Date(snapshot.createdAt).toLocaleString()}?`,
+    detail:
+      'Your current worlds, screenshots and configs are replaced with the ones in this backup. ' +
+      'They are backed up first, so this can be undone from the same list.'
+  });
+  if (choice === 1) {
+    return { cancelled: true };
+  }
+
+  recordBehavior('snapshot-restore-start', { id });
+  const result = await restoreSnapshot(installDir, id, {
+    beforeSwap: () =>
+      createSnapshot(installDir, { reason: 'before-restore', version: store.get('installedVersion') || null })
+  });
+  logMessage('info', 'Snapshot restored', result);
+  recordBehavior('snapshot-restore-complete', result);
+  return { ...result, snapshots: await listSnapshots(installDir) };
+});
+
+ipcMain.handle('hellas:minimize', async () => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.minimize();
+  }
+});
+
 ipcMain.handle('hellas:toggle-maximize', async () => {
   if (!mainWindow || mainWindow.isDestroyed()) {
     return false;
@@ -592,6 +1264,15 @@ ipcMain.handle('hellas:logout', async () => {
       throw new Error('Please log in with your Minecraft account before launching.');
     }
 
+  const launcherStatus = getLauncherStatus(store.get('launcherRelease'), app.getVersion());
+  if (!launcherStatus.supported) {
+    const message =
+      `This launcher (${launcherStatus.currentVersion}) is no longer supported. ` +
+      `Update it to ${launcherStatus.minimumVersion} or newer to play.`;
+    sendLaunchStatus({ message: `Launch blocked: ${message}`, level: 'error' });
+    throw new Error(message);
+  }
+
   const installDir = getInstallDir();
   const installation = await getInstallationState();
   const expectedModpackVersion =
@@ -623,6 +1304,7 @@ ipcMain.handle('hellas:logout', async () => {
   }
 
   launchInProgress = true;
+  launchAbortController = new AbortController();
   try {
     const missing = Object.entries(installation.requirements || {})
       .filter(([, present]) => !present)
@@ -637,53 +1319,87 @@ ipcMain.handle('hellas:logout', async () => {
       account,
       onStatus: sendLaunchStatus,
       expectedModpackVersion,
-      memorySettings
+      memorySettings,
+      runtime: getPackRuntime(),
+      javaPath: store.get('javaPath') || '',
+      onProgress: createDownloadReporter(sendLaunchStatus),
+      abortSignal: launchAbortController.signal
     });
     sendLaunchStatus({ message: `Launch completed with Forge ${launchedWith}`, level: 'success' });
     logMessage('info', 'Launch completed', { launchedWith });
     return { account: { username: account.username }, installDir, launchedWith };
   } catch (error) {
+    if (error.cancelled) {
+      sendLaunchStatus({ message: 'Launch cancelled.', level: 'warning' });
+      return { cancelled: true };
+    }
     sendLaunchStatus({ message: error.message || 'Failed to launch.', level: 'error' });
     logMessage('error', 'Launch failed', { error: error.message });
+    if (error.crash) {
+      reportGameCrash(error.crash, error.exitCode);
+    }
     throw error;
   } finally {
     launchInProgress = false;
+    launchAbortController = null;
   }
 });
 
+function reportGameCrash(crash, exitCode) {
+  lastCrashReportPath = crash.path;
+  recordBehavior('game-crashed', { exitCode, report: crash.path, problem: crash.problem?.id || null });
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('hellas:game-crashed', { ...crash, exitCode });
+  }
+}
+
+ipcMain.handle('hellas:open-crash-report', async () => {
+  if (!lastCrashReportPath) {
+    throw new Error('No crash report is available.');
+  }
+
+  const error = await shell.openPath(lastCrashReportPath);
+  if (error) {
+    throw new Error(`Unable to open the crash report: ${error}`);
+  }
+  return lastCrashReportPath;
+});
+
 ipcMain.handle('hellas:cancel-launch', async () => {
+  // Before the game starts the launch may still be downloading Java; abort that too.
+  const preparing = Boolean(launchAbortController && !launchAbortController.signal.aborted);
+  launchAbortController?.abort();
   launchInProgress = false;
-  return cancelLaunch();
+  return cancelLaunch() || preparing;
 });
 
   ipcMain.handle('hellas:trigger-update', async () => {
-    const updateSource = resolveUpdateSource();
-    if (!updateSource || !updateSource.url) {
+    const updateSource = getUpdateSource();
+    if (!updateSource || !(updateSource.url || updateSource.feedUrl)) {
       sendInstallStatus({ message: 'Update source is not configured.', level: 'error' });
       throw new Error('Update source is not configured.');
     }
 
-    recordBehavior('update-start', { updateSource: updateSource.url });
+    recordBehavior('update-start', { updateSource: updateSource.url || updateSource.feedUrl });
     sendInstallStatus({ message: 'Starting update…' });
-    sendUpdateProgress({ state: 'downloading', progress: 0 });
     const installDir = getInstallDir();
     try {
-      const result = await runUpdateTask((signal) =>
-        downloadAndExtractUpdate(updateSource, installDir, sendUpdateProgress, signal)
-      );
+      await ensureInstallSpace(() => estimateUpdateSize(updateSource, installDir), installDir);
+      sendUpdateProgress({ state: 'downloading', progress: 0 });
+      const result = await runUpdateTask(async (signal) => {
+        await backupUserData(installDir, 'update', signal);
+        return downloadAndExtractUpdate(updateSource, installDir, sendUpdateProgress, signal);
+      });
 
       if (result.cancelled) {
         sendUpdateProgress({ state: 'cancelled', message: 'Update cancelled.' });
         return { cancelled: true };
       }
 
-      if (result.version) {
-        store.set('installedVersion', result.version);
-        store.set('lastKnownVersion', result.version);
-      }
+      recordInstalledPack(result);
 
       sendInstallStatus({ message: 'Verifying Minecraft and Forge files…' });
-      await ensureBaseRuntime({ installDir: installDir, onStatus: sendInstallStatus });
+      await ensureBaseRuntime({ installDir: installDir, onStatus: sendInstallStatus, runtime: getPackRuntime() });
 
       sendUpdateProgress({ state: 'complete', progress: 100, version: result.version || null });
       sendInstallStatus({ message: 'Update completed.', level: 'success' });
@@ -698,35 +1414,89 @@ ipcMain.handle('hellas:cancel-launch', async () => {
     }
   });
 
+  ipcMain.handle('hellas:install-version', async (_event, version, { pin = false } = {}) => {
+    const targetVersion = typeof version === 'string' ? version.trim() : '';
+    const updateSource = resolveUpdateSource({ ...getUpdateSourceOptions(), pinnedVersion: targetVersion });
+    if (!updateSource || updateSource.type !== 'feed' || !targetVersion) {
+      const message = 'Choosing a pack version requires an update feed with a version history.';
+      sendInstallStatus({ message, level: 'error' });
+      throw new Error(message);
+    }
+
+    recordBehavior('version-install-start', { version: targetVersion, pin });
+    sendInstallStatus({ message: `Installing pack version ${targetVersion}…` });
+    const installDir = getInstallDir();
+    try {
+      await ensureInstallSpace(() => estimateUpdateSize(updateSource, installDir), installDir);
+      sendUpdateProgress({ state: 'downloading', progress: 0 });
+      const result = await runUpdateTask(async (signal) => {
+        await backupUserData(installDir, 'version-install', signal);
+        return downloadAndExtractUpdate(updateSource, installDir, sendUpdateProgress, signal);
+      });
+
+      if (result.cancelled) {
+        sendUpdateProgress({ state: 'cancelled', message: 'Install cancelled.' });
+        return { cancelled: true };
+      }
+
+      recordInstalledPack(result);
+      // Installing without pinning goes back to following the channel's latest release.
+      store.set('pinnedVersion', pin ? targetVersion : '');
+
+      sendInstallStatus({ message: 'Verifying Minecraft and Forge files…' });
+      await ensureBaseRuntime({ installDir, onStatus: sendInstallStatus, runtime: getPackRuntime() });
+
+      sendUpdateProgress({ state: 'complete', progress: 100, version: result.version || null });
+      sendInstallStatus({ message: `Pack version ${targetVersion} installed.`, level: 'success' });
+      recordBehavior('version-install-complete', { installDir, version: result.version || null, pin });
+      return { installation: await getInstallationState(), version: result.version || null };
+    } catch (error) {
+      sendInstallStatus({ message: error.message || 'Install failed.', level: 'error' });
+      sendUpdateProgress({ state: 'error', message: error.message || 'Install failed.' });
+      recordBehavior('version-install-error', { message: error.message });
+      logMessage('error', 'Version install failed', { version: targetVersion, message: error.message });
+      throw error;
+    }
+  });
+
   ipcMain.handle('hellas:fresh-reinstall', async () => {
-    const updateSource = resolveUpdateSource();
-    if (!updateSource || !updateSource.url) {
+    const updateSource = getUpdateSource();
+    if (!updateSource || !(updateSource.url || updateSource.feedUrl)) {
       sendInstallStatus({ message: 'Update source is not configured.', level: 'error' });
       throw new Error('Update source is not configured.');
   }
 
-    recordBehavior('reinstall-start', { updateSource: updateSource.url });
+    recordBehavior('reinstall-start', { updateSource: updateSource.url || updateSource.feedUrl });
     sendInstallStatus({ message: 'Starting fresh reinstall…' });
-    sendUpdateProgress({ state: 'downloading', progress: 0 });
     const installDir = getInstallDir();
     try {
-      const result = await runUpdateTask((signal) => freshReinstall(installDir, sendUpdateProgress, signal));
+      await ensureInstallSpace(() => estimateUpdateSize(updateSource, installDir, { fresh: true }), installDir, {
+        fresh: true
+      });
+      sendUpdateProgress({ state: 'downloading', progress: 0 });
+      let snapshot = null;
+      const result = await runUpdateTask(async (signal) => {
+        snapshot = await backupUserData(installDir, 'reinstall', signal);
+        return freshReinstall(installDir, sendUpdateProgress, signal, getUpdateSourceOptions());
+      });
 
       if (result.cancelled) {
         sendUpdateProgress({ state: 'cancelled', message: 'Reinstall cancelled.' });
         return { cancelled: true };
       }
 
-      if (result.version) {
-        store.set('installedVersion', result.version);
-        store.set('lastKnownVersion', result.version);
-      }
+      recordInstalledPack(result);
 
       sendInstallStatus({ message: 'Verifying Minecraft and Forge files…' });
-      await ensureBaseRuntime({ installDir: installDir, onStatus: sendInstallStatus });
+      await ensureBaseRuntime({ installDir: installDir, onStatus: sendInstallStatus, runtime: getPackRuntime() });
 
       sendUpdateProgress({ state: 'complete', progress: 100, version: result.version || null });
-      sendInstallStatus({ message: 'Reinstall finished.', level: 'success' });
+      sendInstallStatus({
+        message: snapshot
+          ? 'Reinstall finished. Your worlds and settings were backed up; restore them from Backups in the menu.'
+          : 'Reinstall finished.',
+        level: 'success'
+      });
       recordBehavior('reinstall-complete', { installDir, version: result.version || null });
       return { installation: await getInstallationState(), version: result.version || null };
     } catch (error) {
@@ -738,6 +1508,87 @@ ipcMain.handle('hellas:cancel-launch', async () => {
     }
   });
 
+  ipcMain.handle('hellas:install-from-file', async () => {
+    const selection = await dialog.showOpenDialog(mainWindow, {
+      title: 'Install modpack from file',
+      buttonLabel: 'Install',
+      filters: [{ name: 'Modpack archive', extensions: ['zip'] }],
+      properties: ['openFile']
+    });
+    if (selection.canceled || !selection.filePaths.length) {
+      return { cancelled: true, dismissed: true };
+    }
+
+    const archivePath = selection.filePaths[0];
+    recordBehavior('local-install-start', { archivePath });
+    sendInstallStatus({ message: `Checking ${path.basename(archivePath)}…` });
+    const installDir = getInstallDir();
+    try {
+      const inspection = await inspectLocalArchive(archivePath, { knownPack: store.get('knownPack') });
+      logMessage('info', 'Local pack archive inspected', {
+        archivePath,
+        sha256: inspection.sha256,
+        verifiedBy: inspection.verifiedBy
+      });
+
+      if (!inspection.verifiedBy) {
+        const choice = dialog.showMessageBoxSync(mainWindow, {
+          type: 'warning',
+          buttons: ['Install anyway', 'Cancel'],
+          defaultId: 1,
+          cancelId: 1,
+          title: 'Unverified archive',
+          message: `${path.basename(archivePath)} could not be verified.`,
+          detail: `${describeUnverifiedArchive(inspection)} Only install archives from people you trust.`
+        });
+        if (choice === 1) {
+          sendInstallStatus({ message: 'Install from file cancelled.' });
+          return { cancelled: true, dismissed: true };
+        }
+      }
+
+      await ensureInstallSpace(async () => ({ requiredBytes: inspection.totalBytes }), installDir);
+      sendUpdateProgress({ state: 'verifying', progress: 0 });
+      const result = await runUpdateTask(async (signal) => {
+        await backupUserData(installDir, 'local-install', signal);
+        return installFromLocalArchive(inspection, installDir, sendUpdateProgress, signal);
+      });
+
+      if (result.cancelled) {
+        sendUpdateProgress({ state: 'cancelled', message: 'Install cancelled.' });
+        return { cancelled: true };
+      }
+
+      recordInstalledPack(result);
+      if (!result.version) {
+        // Let the readiness check detect the version from the installed mods.
+        store.set('installedVersion', '');
+      }
+
+      sendInstallStatus({ message: 'Verifying Minecraft and Forge files…' });
+      try {
+        await ensureBaseRuntime({ installDir, onStatus: sendInstallStatus, runtime: getPackRuntime() });
+      } catch (error) {
+        // Offline installs are expected here; launching fetches the runtime later.
+        logMessage('warn', 'Runtime verification after local install failed', { error: error.message });
+        sendInstallStatus({
+          message: 'Minecraft and Forge files could not be verified offline; they will be downloaded at launch.'
+        });
+      }
+
+      sendUpdateProgress({ state: 'complete', progress: 100, version: result.version || null });
+      sendInstallStatus({ message: 'Install from file finished.', level: 'success' });
+      recordBehavior('local-install-complete', { installDir, version: result.version || null });
+      return { installation: await getInstallationState(), version: result.version || null };
+    } catch (error) {
+      sendInstallStatus({ message: error.message || 'Install from file failed.', level: 'error' });
+      sendUpdateProgress({ state: 'error', message: error.message || 'Install from file failed.' });
+      recordBehavior('local-install-error', { message: error.message });
+      logMessage('error', 'Install from file failed', { message: error.message });
+      throw error;
+    }
+  });
+
 ipcMain.handle('hellas:get-installation', async () => getInstallationState());
 
 ipcMain.handle('hellas:update-known-version', async (_event, version) => {
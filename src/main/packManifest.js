@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The installed manifest doubles as the ledger of every file the updater placed
+// in the modpack; anything not listed there belongs to the player.
+const MANIFEST_STATE_FILENAME = '.hellas-ledger.json';
+const LEGACY_MANIFEST_STATE_FILENAME = '.hellas-manifest.json';
+const OPTIONAL_GROUP_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function normalizeRelativePath(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = path.posix.normalize(value.replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..') {
+    return null;
+  }
+
+  return normalized;
+}
+
+function normalizeFileManifest(files, baseUrl) {
+  if (!Array.isArray(files)) return null;
+
+  return files.map((file, index) => {
+    const relativePath = normalizeRelativePath(file?.path);
+    if (!relativePath) {
+      throw new Error(`Manifest entry #${index} has an invalid path.`);
+    }
+    if (!file.url) {
+      throw new Error(`Manifest entry "${relativePath}" is missing the "url" field.`);
+    }
+    if (!file.sha256) {
+      throw new Error(`Manifest entry "${relativePath}" is missing the "sha256" field.`);
+    }
+
+    return {
+      path: relativePath,
+      size: Number.isFinite(Number(file.size)) ? Number(file.size) : null,
+      sha256: String(file.sha256).toLowerCase(),
+      url: baseUrl ? new URL(file.url, baseUrl).toString() : file.url
+    };
+  });
+}
+
+// Optional extras are listed as "optionalGroups": [{ "id", "name", "description",
+// "default", "files" }], where "files" uses the per-file manifest format.
+function normalizeOptionalGroups(groups, baseUrl) {
+  if (!Array.isArray(groups)) return [];
+
+  const seen = new Set();
+  return groups.map((group, index) => {
+    const id = typeof group?.id === 'string' ? group.id.trim() : '';
+    if (!OPTIONAL_GROUP_ID_PATTERN.test(id)) {
+      throw new Error(`Optional group #${index} has an invalid "id".`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`Optional group "${id}" is listed more than once.`);
+    }
+    seen.add(id);
+
+    return {
+      id,
+      name: typeof group.name === 'string' && group.name.trim() ? group.name.trim() : id,
+      description: typeof group.description === 'string' ? group.description.trim() : '',
+      default: group.default === true,
+      files: normalizeFileManifest(group.files, baseUrl) || []
+    };
+  });
+}
+
+// The player's choice wins; groups they never decided on follow the feed's default.
+function resolveEnabledGroups(groups, choices = {}) {
+  return (groups || [])
+    .filter((group) => (typeof choices?.[group.id] === 'boolean' ? choices[group.id] : group.default))
+    .map((group) => group.id);
+}
+
+// Files of the enabled groups. A group may not ship a path the pack itself or
+// another enabled group already provides.
+function selectOptionalFiles(groups, enabledIds, packFiles = []) {
+  const owners = new Map(packFiles.map((file) => [file.path, 'the pack']));
+  const files = [];
+
+  for (const group of groups || []) {
+    if (!enabledIds.includes(group.id)) continue;
+    for (const file of group.files) {
+      if (owners.has(file.path)) {
+        throw new Error(
+          `Optional group "${group.id}" ships ${file.path}, which ${owners.get(file.path)} already provides.`
+        );
+      }
+      owners.set(file.path, `group "${group.id}"`);
+      files.push({ ...file, group: group.id });
+    }
+  }
+
+  return files;
+}
+
+async function hashFile(filePath, algorithm = 'sha256') {
+  const hasher = crypto.createHash(algorithm);
+  await new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', (chunk) => hasher.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', resolve);
+  });
+
+  return hasher.digest('hex');
+}
+
+async function readInstalledManifest(modpackDir) {
+  for (const filename of [MANIFEST_STATE_FILENAME, LEGACY_MANIFEST_STATE_FILENAME]) {
+    try {
+      const content = await fs.promises.readFile(path.join(modpackDir, filename), 'utf8');
+      const parsed = JSON.parse(content);
+      return {
+        exists: true,
+        version: parsed.version || null,
+        files: Array.isArray(parsed.files) ? parsed.files : []
+      };
+    } catch (error) {
+      // Fall through to the next candidate.
+    }
+  }
+
+  return { exists: false, version: null, files: [] };
+}
+
+async function writeInstalledManifest(modpackDir, { version = null, files = [] }) {
+  const records = [];
+  for (const file of files) {
+    const stats = await fs.promises.stat(path.join(modpackDir, file.path)).catch(() => null);
+    records.push({
+      path: file.path,
+      sha256: file.sha256 || null,
+      size: stats ? stats.size : file.size,
+      mtimeMs: stats ? Math.floor(stats.mtimeMs) : null,
+      // Optional-group files remember their group so installs that cannot fetch
+      // groups (local archives) know which files to keep.
+      ...(file.group ? { group: file.group } : {})
+    });
+  }
+
+  await fs.promises.writeFile(
+    path.join(modpackDir, MANIFEST_STATE_FILENAME),
+    JSON.stringify({ version, files: records }, null, 2),
+    'utf8'
+  );
+}
+
+async function clearInstalledManifest(modpackDir) {
+  await fs.promises.rm(path.join(modpackDir, MANIFEST_STATE_FILENAME), { force: true });
+  await fs.promises.rm(path.join(modpackDir, LEGACY_MANIFEST_STATE_FILENAME), { force: true });
+}
+
+// Compares the desired file list against what is on disk. Files recorded in the
+// previous manifest with an unchanged size/mtime are trusted without re-hashing.
+async function diffManifest(modpackDir, files, previousFiles = []) {
+  const previousByPath = new Map(previousFiles.map((file) => [file.path, file]));
+  const download = [];
+  const unchanged = [];
+
+  for (const file of files) {
+    const localPath = path.join(modpackDir, file.path);
+    const stats = await fs.promises.stat(localPath).catch(() => null);
+
+    if (!stats || !stats.isFile() || (file.size !== null && stats.size !== file.size)) {
+      download.push(file);
+      continue;
+    }
+
+    const previous = previousByPath.get(file.path);
+    const trusted =
+      previous &&
+      previous.sha256 === file.sha256 &&
+      previous.size === stats.size &&
+      previous.mtimeMs === Math.floor(stats.mtimeMs);
+
+    if (trusted || (await hashFile(localPath)) === file.sha256) {
+      unchanged.push(file);
+    } else {
+      download.push(file);
+    }
+  }
+
+  const desiredPaths = new Set(files.map((file) => file.path));
+  const remove = previousFiles
+    .map((file) => file.path)
+    .filter((filePath) => !desiredPaths.has(filePath));
+
+  return { download, unchanged, remove };
+}
+
+module.exports = {
+  MANIFEST_STATE_FILENAME,
+  LEGACY_MANIFEST_STATE_FILENAME,
+  normalizeRelativePath,
+  normalizeFileManifest,
+  normalizeOptionalGroups,
+  resolveEnabledGroups,
+  selectOptionalFiles,
+  hashFile,
+  readInstalledManifest,
+  writeInstalledManifest,
+  clearInstalledManifest,
+  diffManifest
+};
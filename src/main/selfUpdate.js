@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const {
+  CACHE_DIR_NAME,
+  LAUNCHER_UPDATE_DIR_NAME,
+  getPartialDownloadPath,
+  discardPartialDownload,
+  downloadResumable
+} = require('./download');
+const { assertSignedArchive } = require('./signature');
+const { hashFile } = require('./packManifest');
+const { logMessage } = require('./logger');
+
+const PENDING_UPDATE_FILENAME = 'pending.json';
+
+function normalizeLauncherVersion(value) {
+  return value === null || value === undefined ? null : semver.valid(String(value).trim());
+}
+
+// Feeds announce launcher builds in a top-level "launcher" object:
+// { "version", "url", "sha256", "signature", "minimumVersion", "notes" }.
+function normalizeLauncherRelease(entry, baseUrl) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const version = normalizeLauncherVersion(entry.version);
+  const minimumVersion = normalizeLauncherVersion(entry.minimumVersion);
+  if (!version && !minimumVersion) return null;
+
+  return {
+    version,
+    minimumVersion,
+    url: entry.url ? (baseUrl ? new URL(entry.url, baseUrl).toString() : entry.url) : null,
+    sha256: entry.sha256 ? String(entry.sha256).toLowerCase() : null,
+    signature: entry.signature || null,
+    notes: entry.notes || null
+  };
+}
+
+// Development builds without a semver version are never blocked or offered updates.
+function getLauncherStatus(release, currentVersion) {
+  const current = normalizeLauncherVersion(currentVersion);
+  const latestVersion = release?.version || null;
+  const minimumVersion = release?.minimumVersion || null;
+  const downloadable = Boolean(release?.url && release.sha256);
+
+  return {
+    currentVersion: currentVersion || null,
+    latestVersion,
+    minimumVersion,
+    updateAvailable: Boolean(current && latestVersion && downloadable && semver.gt(latestVersion, current)),
+    supported: !current || !minimumVersion || semver.gte(current, minimumVersion)
+  };
+}
+
+// electron-builder's portable target runs from a temporary copy and reports the
+// executable the player started here; unpacked and development builds cannot be swapped.
+function getPortableExecutablePath() {
+  return process.env.PORTABLE_EXECUTABLE_FILE || null;
+}
+
+function getLauncherUpdateDir(rootDir) {
+  return path.join(rootDir, CACHE_DIR_NAME, LAUNCHER_UPDATE_DIR_NAME);
+}
+
+async function readPendingLauncherUpdate(rootDir) {
+  try {
+    const pending = JSON.parse(
+      await fs.promises.readFile(path.join(getLauncherUpdateDir(rootDir), PENDING_UPDATE_FILENAME), 'utf8')
+    );
+    return pending?.version && pending.path && pending.sha256 ? pending : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Downloads and verifies a launcher build, then records it to be swapped in when
+// the launcher next quits.
+async function downloadLauncherUpdate(release, rootDir, { abortSignal, onProgress } = {}) {
+  if (!release?.url || !release.sha256) {
+    throw new Error('The update feed does not publish a verifiable launcher download.');
+  }
+
+  const partialPath = getPartialDownloadPath(rootDir, release);
+  const { path: downloadedPath, sha256 } = await downloadResumable({
+    url: release.url,
+    partialPath,
+    sha256: release.sha256,
+    label: `launcher ${release.version}`,
+    abortSignal,
+    onProgress
+  });
+
+  try {
+    await assertSignedArchive(release.url, sha256, release.signature, abortSignal);
+  } catch (error) {
+    await discardPartialDownload(partialPath);
+    if (error.code !== 'ESIGNATURE') throw error;
+    const signatureError = new Error(`Launcher ${release.version} is not correctly signed and was not installed.`);
+    signatureError.code = 'ESIGNATURE';
+    throw signatureError;
+  }
+
+  const updateDir = getLauncherUpdateDir(rootDir);
+  await fs.promises.mkdir(updateDir, { recursive: true });
+  const stagedPath = path.join(updateDir, `launcher-${release.version}.exe`);
+  await fs.promises.rename(downloadedPath, stagedPath);
+  await discardPartialDownload(partialPath);
+
+  const pending = { version: release.version, sha256, path: stagedPath };
+  await fs.promises.writeFile(
+    path.join(updateDir, PENDING_UPDATE_FILENAME),
+    JSON.stringify(pending, null, 2),
+    'utf8'
+  );
+  logMessage('info', 'Launcher update staged', { version: release.version });
+  return pending;
+}
+
+// Swaps the staged build in for the portable executable. Windows lets a running
+// executable be renamed but not replaced, so the old one is moved aside and
+// removed on the next start. Resolves to the applied update, or null.
+async function applyPendingLauncherUpdate(rootDir, executablePath) {
+  const pending = await readPendingLauncherUpdate(rootDir);
+  if (!pending || !executablePath) return null;
+
+  const updateDir = getLauncherUpdateDir(rootDir);
+  const stagedHash = await hashFile(pending.path).catch(() => null);
+  if (stagedHash !== pending.sha256) {
+    logMessage('warn', 'Discarding launcher update that no longer matches its checksum', { version: pending.version });
+    await fs.promises.rm(updateDir, { recursive: true, force: true });
+    return null;
+  }
+
+  const nextPath = `${executablePath}.new`;
+  const previousPath = `${executablePath}.old`;
+  await fs.promises.copyFile(pending.path, nextPath);
+  await fs.promises.rm(previousPath, { force: true });
+  await fs.promises.rename(executablePath, previousPath);
+  try {
+    await fs.promises.rename(nextPath, executablePath);
+  } catch (error) {
+    await fs.promises.rename(previousPath, executablePath);
+    await fs.promises.rm(nextPath, { force: true });
+    throw error;
+  }
+
+  await fs.promises.rm(updateDir, { recursive: true, force: true });
+  logMessage('info', 'Launcher update applied', { version: pending.version, executablePath });
+  return pending;
+}
+
+async function cleanupReplacedLauncher(executablePath) {
+  if (!executablePath) return;
+  await fs.promises.rm(`${executablePath}.old`, { force: true }).catch((error) => {
+    logMessage('warn', 'Could not remove the previous launcher executable', { error: error.message });
+  });
+}
+
+module.exports = {
+  normalizeLauncherRelease,
+  getLauncherStatus,
+  getPortableExecutablePath,
+  readPendingLauncherUpdate,
+  downloadLauncherUpdate,
+  applyPendingLauncherUpdate,
+  cleanupReplacedLauncher
+};
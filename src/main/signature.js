@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// Base64 Ed25519 public keys (raw 32-byte keys or SPKI DER) trusted to sign the
+// pack feed and archives. PACK_SIGNING_PUBLIC_KEYS adds keys, e.g. for tests and
+// staging feeds. Once at least one key is present, unsigned or mis-signed payloads
+// are refused; until the project publishes its key, verification stays off.
+const TRUSTED_SIGNING_KEYS = [];
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function loadPublicKey(encoded) {
+  const der = Buffer.from(String(encoded).trim(), 'base64');
+  const spki = der.length === 32 ? Buffer.concat([ED25519_SPKI_PREFIX, der]) : der;
+  return crypto.createPublicKey({ key: spki, format: 'der', type: 'spki' });
+}
+
+function getTrustedKeys() {
+  const extraKeys = (process.env.PACK_SIGNING_PUBLIC_KEYS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+  return [...TRUSTED_SIGNING_KEYS, ...extraKeys].map(loadPublicKey);
+}
+
+function hasTrustedKeys(keys = getTrustedKeys()) {
+  return keys.length > 0;
+}
+
+function verifySignature(data, signature, keys = getTrustedKeys()) {
+  if (!signature) return false;
+  const signatureBytes = Buffer.from(String(signature).trim(), 'base64');
+  if (signatureBytes.length !== 64) return false;
+
+  return keys.some((key) => {
+    try {
+      return crypto.verify(null, data, key, signatureBytes);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+async function fetchDetachedSignature(url, abortSignal) {
+  const response = await fetch(`${url}.sig`, {
+    headers: { 'Cache-Control': 'no-cache' },
+    signal: abortSignal
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch signature for ${url} (${response.status})`);
+  }
+
+  return (await response.text()).trim() || null;
+}
+
+function createSignatureError(message) {
+  const error = new Error(message);
+  error.code = 'ESIGNATURE';
+  return error;
+}
+
+// Feeds and descriptors are signed over their exact response bytes.
+async function assertSignedDocument(url, body, abortSignal, label = 'Update feed') {
+  const keys = getTrustedKeys();
+  if (!hasTrustedKeys(keys)) return;
+
+  const signature = await fetchDetachedSignature(url, abortSignal);
+  if (!signature) {
+    throw createSignatureError(`${label} is not signed. The update was refused for your safety.`);
+  }
+  if (!verifySignature(Buffer.from(body), signature, keys)) {
+    throw createSignatureError(`${label} signature is invalid. The update was refused for your safety.`);
+  }
+}
+
+// Archives are signed over their raw SHA-256 digest so large packs can be
+// verified without loading them into memory. Without a URL (local archives) only
+// the given signature is checked and nothing is fetched.
+async function assertSignedArchive(url, sha256Hex, signature, abortSignal) {
+  const keys = getTrustedKeys();
+  if (!hasTrustedKeys(keys)) return;
+
+  const resolvedSignature = signature || (url ? await fetchDetachedSignature(url, abortSignal) : null);
+  if (!resolvedSignature) {
+    throw createSignatureError('Pack archive is not signed. The update was refused for your safety.');
+  }
+  if (!verifySignature(Buffer.from(sha256Hex, 'hex'), resolvedSignature, keys)) {
+    throw createSignatureError('Pack archive signature is invalid. The update was refused for your safety.');
+  }
+}
+
+module.exports = {
+  TRUSTED_SIGNING_KEYS,
+  getTrustedKeys,
+  hasTrustedKeys,
+  verifySignature,
+  fetchDetachedSignature,
+  assertSignedDocument,
+  assertSignedArchive
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const yazl = require('yazl');
+const { extractArchive } = require('./archive');
+const { listFilesRecursive } = require('./stagedInstall');
+
+const SNAPSHOT_DIR_NAME = 'backups';
+const SNAPSHOT_KEEP_COUNT = 5;
+const MODPACK_DIR_NAME = 'modpack';
+// Player data inside the modpack folder that updates and reinstalls can destroy.
+const SNAPSHOT_PATHS = ['saves', 'screenshots', 'config', 'options.txt', 'servers.dat'];
+// Region files and images are already compressed; deflating them again only costs time.
+const STORED_EXTENSIONS = new Set(['.mca', '.png', '.jpg', '.jpeg', '.gz', '.zip', '.jar']);
+const PROGRESS_EVENT_INTERVAL_MS = 200;
+const SNAPSHOT_ID_PATTERN = /^snapshot-[0-9TZ-]+$/;
+
+function getSnapshotDir(targetDir) {
+  return path.join(targetDir, SNAPSHOT_DIR_NAME);
+}
+
+function toZipPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+async function collectSnapshotFiles(modpackDir) {
+  const files = [];
+  for (const root of SNAPSHOT_PATHS) {
+    const rootPath = path.join(modpackDir, root);
+    const stats = await fs.promises.stat(rootPath).catch(() => null);
+    if (stats?.isFile()) {
+      files.push({ relativePath: root, size: stats.size });
+    } else if (stats?.isDirectory()) {
+      for (const relativePath of await listFilesRecursive(modpackDir, root)) {
+        const fileStats = await fs.promises.stat(path.join(modpackDir, relativePath)).catch(() => null);
+        if (fileStats) files.push({ relativePath, size: fileStats.size });
+      }
+    }
+  }
+  return files;
+}
+
+async function readSnapshotMeta(snapshotDir, id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(snapshotDir, `${id}.json`), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Newest first. Archives without readable metadata are still listed using their
+// file timestamps so they can be restored.
+async function listSnapshots(targetDir) {
+  const snapshotDir = getSnapshotDir(targetDir);
+  const names = await fs.promises.readdir(snapshotDir).catch(() => []);
+  const snapshots = [];
+
+  for (const name of names) {
+    const id = name.endsWith('.zip') ? name.slice(0, -4) : null;
+    if (!id || !SNAPSHOT_ID_PATTERN.test(id)) continue;
+    const stats = await fs.promises.stat(path.join(snapshotDir, name)).catch(() => null);
+    if (!stats?.isFile()) continue;
+
+    const meta = await readSnapshotMeta(snapshotDir, id);
+    snapshots.push({
+      id,
+      createdAt: meta.createdAt || stats.mtime.toISOString(),
+      reason: meta.reason || null,
+      version: meta.version || null,
+      fileCount: meta.fileCount ?? null,
+      size: stats.size
+    });
+  }
+
+  return snapshots.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+async function pruneSnapshots(targetDir, keep = SNAPSHOT_KEEP_COUNT) {
+  const snapshotDir = getSnapshotDir(targetDir);
+  const stale = (await listSnapshots(targetDir)).slice(Math.max(0, keep));
+  for (const snapshot of stale) {
+    await fs.promises.rm(path.join(snapshotDir, `${snapshot.id}.zip`), { force: true });
+    await fs.promises.rm(path.join(snapshotDir, `${snapshot.id}.json`), { force: true });
+  }
+  return stale.map((snapshot) => snapshot.id);
+}
+
+// Zips the player's worlds, screenshots and configs into backups/<id>.zip and keeps
+// the newest `keep` snapshots. Resolves to null when there is nothing to back up.
+async function createSnapshot(targetDir, options = {}) {
+  const { reason = null, version = null, keep = SNAPSHOT_KEEP_COUNT, abortSignal, onProgress = () => {} } = options;
+  const now = options.now || new Date();
+  const modpackDir = path.join(targetDir, MODPACK_DIR_NAME);
+  const files = await collectSnapshotFiles(modpackDir);
+  if (!files.length) return null;
+
+  const snapshotDir = getSnapshotDir(targetDir);
+  await fs.promises.mkdir(snapshotDir, { recursive: true });
+  const id = `snapshot-${now.toISOString().replace(/[:.]/g, '-')}`;
+  const archivePath = path.join(snapshotDir, `${id}.zip`);
+  const partialPath = `${archivePath}.partial`;
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+  const zipfile = new yazl.ZipFile();
+  for (const file of files) {
+    zipfile.addFile(path.join(modpackDir, file.relativePath), toZipPath(file.relativePath), {
+      compress: !STORED_EXTENSIONS.has(path.extname(file.relativePath).toLowerCase())
+    });
+  }
+  zipfile.end();
+
+  // Output bytes only approximate the input read so far, which is close enough for
+  // mostly pre-compressed world data.
+  let written = 0;
+  let lastReport = 0;
+  const meter = new Transform({
+    transform(chunk, _encoding, callback) {
+      written += chunk.length;
+      const time = Date.now();
+      if (time - lastReport >= PROGRESS_EVENT_INTERVAL_MS) {
+        lastReport = time;
+        onProgress({ processedBytes: Math.min(written, totalBytes), totalBytes });
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(zipfile.outputStream, meter, fs.createWriteStream(partialPath), { signal: abortSignal });
+    await fs.promises.rename(partialPath, archivePath);
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw error;
+  }
+
+  const meta = { id, createdAt: now.toISOString(), reason, version, fileCount: files.length, totalBytes };
+  await fs.promises.writeFile(path.join(snapshotDir, `${id}.json`), JSON.stringify(meta, null, 2), 'utf8');
+  onProgress({ processedBytes: totalBytes, totalBytes });
+  await pruneSnapshots(targetDir, keep);
+
+  const { size } = await fs.promises.stat(archivePath);
+  return { ...meta, size };
+}
+
+async function moveIfExists(fromPath, toPath) {
+  try {
+    await fs.promises.rename(fromPath, toPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// Replaces each backed-up folder or file with its snapshot copy; data the snapshot
+// does not cover is left alone. The archive is fully extracted and checked before
+// anything live is touched, then `beforeSwap` runs (e.g. to back up the current state).
+async function restoreSnapshot(targetDir, id, { beforeSwap = async () => {} } = {}) {
+  const snapshotDir = getSnapshotDir(targetDir);
+  const archivePath = path.join(snapshotDir, `${id}.zip`);
+  if (!SNAPSHOT_ID_PATTERN.test(String(id)) || !(await fs.promises.stat(archivePath).catch(() => null))) {
+    throw new Error('This backup no longer exists.');
+  }
+
+  const modpackDir = path.join(targetDir, MODPACK_DIR_NAME);
+  const stagingDir = path.join(snapshotDir, `${id}.restore`);
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+
+  try {
+    const { files } = await extractArchive(archivePath, stagingDir);
+    const roots = [...new Set(files.map((file) => file.relativePath.split(path.sep)[0]))].filter((root) =>
+      SNAPSHOT_PATHS.includes(root)
+    );
+    await beforeSwap();
+
+    await fs.promises.mkdir(modpackDir, { recursive: true });
+    for (const root of roots) {
+      const livePath = path.join(modpackDir, root);
+      const previousPath = `${livePath}.hellas-previous`;
+      await fs.promises.rm(previousPath, { recursive: true, force: true });
+      const hadPrevious = await moveIfExists(livePath, previousPath);
+      try {
+        await fs.promises.rename(path.join(stagingDir, root), livePath);
+      } catch (error) {
+        if (hadPrevious) await moveIfExists(previousPath, livePath);
+        throw error;
+      }
+      await fs.promises.rm(previousPath, { recursive: true, force: true });
+    }
+
+    return { id, restored: roots };
+  } finally {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  SNAPSHOT_DIR_NAME,
+  SNAPSHOT_KEEP_COUNT,
+  SNAPSHOT_PATHS,
+  getSnapshotDir,
+  listSnapshots,
+  pruneSnapshots,
+  createSnapshot,
+  restoreSnapshot
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+const STAGING_DIR_NAME = '.hellas-staging';
+const ROLLBACK_DIR_NAME = '.hellas-rollback';
+const JOURNAL_FILENAME = 'journal.log';
+
+function getStagingDir(targetDir) {
+  return path.join(targetDir, STAGING_DIR_NAME);
+}
+
+function getRollbackDir(targetDir) {
+  return path.join(targetDir, ROLLBACK_DIR_NAME);
+}
+
+async function pathExists(targetPath) {
+  return fs.promises
+    .lstat(targetPath)
+    .then(() => true)
+    .catch(() => false);
+}
+
+async function prepareStagingDir(targetDir) {
+  const stagingDir = getStagingDir(targetDir);
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  await fs.promises.mkdir(stagingDir, { recursive: true });
+  return stagingDir;
+}
+
+async function removeStagingDir(targetDir) {
+  await fs.promises.rm(getStagingDir(targetDir), { recursive: true, force: true });
+}
+
+async function listFilesRecursive(rootDir, relativeDir = '') {
+  const entries = await fs.promises.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = path.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFilesRecursive(rootDir, relativePath)));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+async function readJournal(rollbackDir) {
+  const content = await fs.promises.readFile(path.join(rollbackDir, JOURNAL_FILENAME), 'utf8').catch(() => '');
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Undo journal operations in reverse: drop files the install created, then move
+// every entry it displaced back from the rollback directory or its relocation.
+async function replayRollback(modpackDir, rollbackDir, operations) {
+  for (const operation of [...operations].reverse()) {
+    const livePath = path.join(modpackDir, operation.path);
+    if (operation.type === 'created') {
+      await fs.promises.rm(livePath, { recursive: true, force: true });
+    } else if (operation.type === 'moved') {
+      const backupPath = path.join(rollbackDir, operation.path);
+      if (await pathExists(backupPath)) {
+        await fs.promises.rm(livePath, { recursive: true, force: true });
+        await fs.promises.mkdir(path.dirname(livePath), { recursive: true });
+        await fs.promises.rename(backupPath, livePath);
+      }
+    } else if (operation.type === 'relocated') {
+      if (await pathExists(operation.destination)) {
+        await fs.promises.rm(livePath, { recursive: true, force: true });
+        await fs.promises.mkdir(path.dirname(livePath), { recursive: true });
+        await fs.promises.rename(operation.destination, livePath);
+      }
+    }
+  }
+
+  await fs.promises.rm(rollbackDir, { recursive: true, force: true });
+}
+
+// Every change to the live modpack directory goes through the transaction so the
+// previous contents can be restored if anything fails before commit().
+async function createInstallTransaction(targetDir, modpackDir) {
+  const rollbackDir = getRollbackDir(targetDir);
+  await recoverInterruptedInstall(targetDir, modpackDir);
+  await fs.promises.mkdir(rollbackDir, { recursive: true });
+
+  const journalPath = path.join(rollbackDir, JOURNAL_FILENAME);
+  const operations = [];
+  const backedUp = new Set();
+
+  const record = async (operation) => {
+    operations.push(operation);
+    await fs.promises.appendFile(journalPath, `${JSON.stringify(operation)}\n`, 'utf8');
+  };
+
+  const isCoveredByBackup = (relativePath) => {
+    const segments = relativePath.split(path.sep);
+    for (let i = 1; i <= segments.length; i += 1) {
+      if (backedUp.has(segments.slice(0, i).join(path.sep))) return true;
+    }
+    return false;
+  };
+
+  const moveAside = async (relativePath) => {
+    const normalized = path.normalize(relativePath);
+    const livePath = path.join(modpackDir, normalized);
+    if (isCoveredByBackup(normalized) || !(await pathExists(livePath))) {
+      return false;
+    }
+
+    const backupPath = path.join(rollbackDir, normalized);
+    await fs.promises.mkdir(path.dirname(backupPath), { recursive: true });
+    await record({ type: 'moved', path: normalized });
+    await fs.promises.rename(livePath, backupPath);
+    backedUp.add(normalized);
+    return true;
+  };
+
+  return {
+    modpackDir,
+    removeEntry: moveAside,
+    async placeFile(stagedPath, relativePath) {
+      const normalized = path.normalize(relativePath);
+      const livePath = path.join(modpackDir, normalized);
+      await moveAside(normalized);
+      await fs.promises.rm(livePath, { recursive: true, force: true });
+      await fs.promises.mkdir(path.dirname(livePath), { recursive: true });
+      await record({ type: 'created', path: normalized });
+      await fs.promises.rename(stagedPath, livePath);
+    },
+    // Moves an entry out of the modpack for good (e.g. into quarantine); only a
+    // rollback brings it back.
+    async relocateEntry(relativePath, destinationPath) {
+      const normalized = path.normalize(relativePath);
+      const livePath = path.join(modpackDir, normalized);
+      if (!(await pathExists(livePath))) {
+        return false;
+      }
+
+      await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+      await record({ type: 'relocated', path: normalized, destination: destinationPath });
+      await fs.promises.rename(livePath, destinationPath);
+      return true;
+    },
+    async trackCreated(relativePath) {
+      await record({ type: 'created', path: path.normalize(relativePath) });
+    },
+    async commit() {
+      await fs.promises.rm(rollbackDir, { recursive: true, force: true });
+    },
+    async rollback() {
+      await replayRollback(modpackDir, rollbackDir, operations);
+    }
+  };
+}
+
+// Restores the previous modpack contents if the launcher stopped in the middle
+// of an install (crash, power loss) and left a journal behind.
+async function recoverInterruptedInstall(targetDir, modpackDir) {
+  const rollbackDir = getRollbackDir(targetDir);
+  if (!(await pathExists(rollbackDir))) {
+    return false;
+  }
+
+  const operations = await readJournal(rollbackDir);
+  await replayRollback(modpackDir, rollbackDir, operations);
+  await removeStagingDir(targetDir);
+  return operations.length > 0;
+}
+
+module.exports = {
+  STAGING_DIR_NAME,
+  ROLLBACK_DIR_NAME,
+  getStagingDir,
+  prepareStagingDir,
+  removeStagingDir,
+  listFilesRecursive,
+  createInstallTransaction,
+  recoverInterruptedInstall
+};
@@ -1,15 +1,68 @@
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const crypto = require('crypto');
 const fetch = require('node-fetch');
-const AdmZip = require('adm-zip');
+const { inspectArchive, extractArchive, verifyExtractedFiles } = require('./archive');
+const { hasTrustedKeys, verifySignature, assertSignedDocument, assertSignedArchive } = require('./signature');
+const { logMessage } = require('./logger');
+const { assertDiskSpace } = require('./diskSpace');
+const { createContentCache } = require('./contentCache');
+const { SNAPSHOT_DIR_NAME } = require('./snapshots');
+const { normalizeLauncherRelease } = require('./selfUpdate');
+const { validateFeedManifest, validateDescriptor } = require('./feedSchema');
+const {
+  normalizeConfigPolicies,
+  resolveConfigPolicy,
+  getPristinePath,
+  applyConfigPolicy,
+  writePristineCopies
+} = require('./configMerge');
+const {
+  MANIFEST_STATE_FILENAME,
+  LEGACY_MANIFEST_STATE_FILENAME,
+  normalizeFileManifest,
+  normalizeOptionalGroups,
+  resolveEnabledGroups,
+  selectOptionalFiles,
+  hashFile,
+  readInstalledManifest,
+  writeInstalledManifest,
+  diffManifest
+} = require('./packManifest');
+const {
+  CACHE_DIR_NAME,
+  asCancellationError,
+  getPartialDownloadPath,
+  hasResumableDownload,
+  discardPartialDownload,
+  downloadResumable,
+  orderMirrors,
+  downloadFromMirrors,
+  createTransferMeter
+} = require('./download');
+const { RUNTIMES_DIR_NAME } = require('./javaResolver');
+const {
+  prepareStagingDir,
+  removeStagingDir,
+  listFilesRecursive,
+  createInstallTransaction,
+  recoverInterruptedInstall
+} = require('./stagedInstall');
 
 const DEFAULT_PACK_URL = 'https://hellasregion.com/download/launcher/latest/compact';
 const PROGRESS_PHASE_DOWNLOAD = 80; // percent allocated to download progress
+const PROGRESS_PHASE_EXTRACT = 14; // percent allocated to extraction, before finalizing at 95
+// Chunk-level progress is throttled to a few IPC events per second.
+const PROGRESS_EVENT_INTERVAL_MS = 200;
+// Used when a feed does not publish "unpackedSize"; mod jars are already compressed.
+const ARCHIVE_EXPANSION_ESTIMATE = 1.25;
 const MODPACK_DIR_NAME = 'modpack';
 const MODS_DIR_NAME = 'mods';
 const RESOURCEPACKS_DIR_NAME = 'resourcepacks';
+const QUARANTINE_DIR_NAME = 'quarantine';
+// Folders where players commonly drop their own content next to the pack's.
+const PLAYER_CONTENT_DIRS = [MODS_DIR_NAME, RESOURCEPACKS_DIR_NAME];
+// Top-level install folders that survive a fresh reinstall (see freshReinstall).
+const REINSTALL_KEPT_DIR_NAMES = [CACHE_DIR_NAME, SNAPSHOT_DIR_NAME, RUNTIMES_DIR_NAME];
 const SERVER_FILES = ['servers.dat', 'servers.dat_old'];
 const LOG4J_CONFIG_FILENAME = 'log4j2_112-116.xml';
 const LEGACY_ROOT_DIRS = [
@@ -23,8 +76,22 @@ const LEGACY_ROOT_DIRS = [
   '.mixin.out'
 ];
 const LEGACY_ROOT_FILES = [LOG4J_CONFIG_FILENAME];
+const DEFAULT_RELEASE_CHANNEL = 'stable';
 
-function resolveUpdateSource() {
+function normalizeReleaseChannel(channel) {
+  const normalized = typeof channel === 'string' ? channel.trim().toLowerCase() : '';
+  return /^[a-z0-9][a-z0-9-]*$/.test(normalized) ? normalized : DEFAULT_RELEASE_CHANNEL;
+}
+
+function normalizePackVersion(version) {
+  const normalized = version === null || version === undefined ? '' : String(version).trim();
+  return normalized || null;
+}
+
+// `pinnedVersion` asks a feed for a specific release from its version history
+// instead of the channel's latest pack; direct URLs only ever serve one version.
+// `groupChoices` maps optional group ids to the player's on/off choice.
+function resolveUpdateSource({ channel, pinnedVersion, groupChoices } = {}) {
   const feedUrl = (process.env.PACK_FEED_URL || '').trim();
   const directUrl = (process.env.PACK_ZIP_URL || '').trim();
 
@@ -32,6 +99,9 @@ function resolveUpdateSource() {
     return {
       type: 'feed',
       feedUrl,
+      channel: normalizeReleaseChannel(channel),
+      pinnedVersion: normalizePackVersion(pinnedVersion),
+      groupChoices: groupChoices || {},
       version: null,
       sha256: null
     };
@@ -44,14 +114,80 @@ function resolveUpdateSource() {
       type: 'direct',
       url: resolvedDirectUrl,
       version: process.env.PACK_VERSION || null,
-      sha256: process.env.PACK_EXPECTED_SHA256 || null
+      sha256: process.env.PACK_EXPECTED_SHA256 || null,
+      groupChoices: groupChoices || {}
     };
   }
 
   return null;
 }
 
-async function fetchFeedManifest(feedUrl) {
+function normalizeMirrors(mirrors, baseUrl) {
+  if (!Array.isArray(mirrors)) return [];
+
+  return mirrors
+    .map((mirror) => (typeof mirror === 'string' ? { url: mirror } : mirror))
+    .filter((mirror) => mirror && typeof mirror.url === 'string' && mirror.url)
+    .map((mirror) => ({ ...mirror, url: baseUrl ? new URL(mirror.url, baseUrl).toString() : mirror.url }));
+}
+
+// The Minecraft, Forge and Java versions a pack runs on, taken from the most specific
+// entry that declares them. Null when the feed does not say, so the launcher keeps
+// its built-in versions.
+function normalizePackRuntime(entries, baseUrl) {
+  const declared = entries.find((entry) => entry?.minecraftVersion || entry?.forgeVersion || entry?.javaVersion);
+  if (!declared) return null;
+
+  const installer = declared.forgeInstaller;
+  return {
+    minecraftVersion: declared.minecraftVersion || null,
+    forgeVersion: declared.forgeVersion || null,
+    javaVersion: declared.javaVersion || null,
+    forgeInstaller: installer?.url
+      ? {
+          url: baseUrl ? new URL(installer.url, baseUrl).toString() : installer.url,
+          sha1: installer.sha1 ? installer.sha1.toLowerCase() : null
+        }
+      : null
+  };
+}
+
+// Feeds either describe a single pack at the top level (treated as the stable
+// channel) or list one pack per channel under "channels". A channel the feed does
+// not offer falls back to stable.
+function selectFeedChannel(manifest, channel) {
+  const channels = manifest.channels && typeof manifest.channels === 'object' ? manifest.channels : null;
+  if (!channels) {
+    return { name: DEFAULT_RELEASE_CHANNEL, names: [DEFAULT_RELEASE_CHANNEL], pack: manifest };
+  }
+
+  const names = Object.keys(channels).filter((name) => channels[name] && typeof channels[name] === 'object');
+  const name = [normalizeReleaseChannel(channel), DEFAULT_RELEASE_CHANNEL].find((candidate) =>
+    names.includes(candidate)
+  );
+  if (!name) {
+    throw new Error('Update feed does not offer a stable channel.');
+  }
+
+  return { name, names, pack: channels[name] };
+}
+
+// Channels may list earlier releases under "versions", each described with the
+// same fields as the pack itself, so players can go back to one. The channel's
+// own pack is always the latest entry.
+function listFeedVersions(pack) {
+  const history = Array.isArray(pack.versions) ? pack.versions : [];
+  const seen = new Set();
+
+  return [pack, ...history].filter((entry) => {
+    const version = entry && normalizePackVersion(entry.version);
+    if (!version || seen.has(version)) return false;
+    seen.add(version);
+    return true;
+  });
+}
+
+async function fetchFeedManifest(feedUrl, { channel, version } = {}) {
   const response = await fetch(feedUrl, {
     headers: {
       'Cache-Control': 'no-cache'
@@ -62,23 +198,107 @@ async function fetchFeedManifest(feedUrl) {
     throw new Error(`Failed to fetch update feed (${response.status})`);
   }
 
-  const manifest = await response.json();
-  if (!manifest.url) {
-    throw new Error('Feed JSON is missing the "url" field.');
+  const body = await response.text();
+  await assertSignedDocument(feedUrl, body);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Update feed is not valid JSON: ${error.message}`);
+  }
+  validateFeedManifest(manifest);
+  const { name, names, pack } = selectFeedChannel(manifest, channel);
+  const entries = listFeedVersions(pack);
+  const requestedVersion = normalizePackVersion(version);
+  const selected = requestedVersion ? entries.find((entry) => normalizePackVersion(entry.version) === requestedVersion) : pack;
+  if (!selected) {
+    throw new Error(`Pack version ${requestedVersion} is not offered on the ${name} channel.`);
+  }
+
+  const mirrors = normalizeMirrors(selected.mirrors, feedUrl);
+  if (!selected.url && !Array.isArray(selected.files) && !mirrors.length) {
+    throw new Error(
+      selected === pack
+        ? `Feed JSON is missing the "url" field for the ${name} channel.`
+        : `Feed JSON is missing the "url" field for pack version ${requestedVersion}.`
+    );
   }
 
   return {
-    url: manifest.url,
-    version: manifest.version || null,
-    sha256: manifest.sha256 || manifest.hash || null
+    channel: name,
+    channels: names,
+    latestVersion: normalizePackVersion(pack.version),
+    versions: entries.map((entry) => ({
+      version: normalizePackVersion(entry.version),
+      releasedAt: entry.releasedAt || null,
+      notes: entry.notes || null
+    })),
+    url: selected.url || null,
+    version: normalizePackVersion(selected.version),
+    sha256: selected.sha256 || selected.hash || null,
+    signature: selected.signature || null,
+    size: Number(selected.size) || null,
+    unpackedSize: Number(selected.unpackedSize) || null,
+    mirrors,
+    files: normalizeFileManifest(selected.files, feedUrl),
+    configPolicies: normalizeConfigPolicies(selected.configPolicies || pack.configPolicies || manifest.configPolicies),
+    optionalGroups: normalizeOptionalGroups(
+      selected.optionalGroups || pack.optionalGroups || manifest.optionalGroups,
+      feedUrl
+    ),
+    runtime: normalizePackRuntime([selected, pack, manifest], feedUrl),
+    launcher: normalizeLauncherRelease(manifest.launcher, feedUrl)
   };
 }
 
-function asCancellationError(message = 'Update cancelled by user.') {
-  const error = new Error(message);
-  error.name = 'AbortError';
-  error.cancelled = true;
-  return error;
+// Adds the files of the optional groups the player enabled to the install plan.
+function applyOptionalGroups(resolved, choices) {
+  const groups = resolved.optionalGroups || [];
+  resolved.enabledGroups = resolveEnabledGroups(groups, choices);
+  resolved.optionalFiles = selectOptionalFiles(groups, resolved.enabledGroups, resolved.files || []);
+  return resolved;
+}
+
+async function fetchContentLength(url, abortSignal) {
+  try {
+    const response = await fetch(url, { method: 'HEAD', signal: abortSignal });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || contentType.includes('json')) return null;
+    const length = Number(response.headers.get('content-length'));
+    return Number.isFinite(length) && length > 0 ? length : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Estimates the bytes an install writes while the previous files are still kept
+// for rollback: the downloads plus, for archives, the extracted staging copy.
+async function estimateUpdateSize(source, targetDir, { fresh = false, abortSignal } = {}) {
+  const resolved = applyOptionalGroups(
+    source.type === 'feed'
+      ? await fetchFeedManifest(source.feedUrl, { channel: source.channel, version: source.pinnedVersion })
+      : { ...source },
+    source.groupChoices
+  );
+
+  if (resolved.files) {
+    const modpackDir = path.join(targetDir, MODPACK_DIR_NAME);
+    let pending = [...resolved.files, ...resolved.optionalFiles];
+    if (!fresh) {
+      const previous = await readInstalledManifest(modpackDir);
+      ({ download: pending } = await diffManifest(modpackDir, pending, previous.files));
+    }
+    const downloadBytes = pending.reduce((sum, file) => sum + (file.size || 0), 0);
+    return { downloadBytes, requiredBytes: downloadBytes };
+  }
+
+  const archiveBytes =
+    resolved.size || (resolved.url ? await fetchContentLength(resolved.url, abortSignal) : null) || 0;
+  const unpackedBytes = resolved.unpackedSize || Math.round(archiveBytes * ARCHIVE_EXPANSION_ESTIMATE);
+  const optionalBytes = resolved.optionalFiles.reduce((sum, file) => sum + (file.size || 0), 0);
+  const downloadBytes = archiveBytes + optionalBytes;
+  return { downloadBytes, requiredBytes: downloadBytes + unpackedBytes };
 }
 
 function ensureNotCancelled(signal) {
@@ -170,186 +390,608 @@ async function migrateRootContent(targetDir, modpackDir) {
   }
 }
 
-async function downloadAndExtractUpdate(source, targetDir, progressCallback = () => {}, abortSignal) {
-  let resolved = { ...source };
-  let tempZipPath = null;
+async function downloadManifestFile(file, targetDir, destinationPath, abortSignal, onChunk) {
+  const cache = createContentCache(targetDir);
+  if (await cache.restore({ sha256: file.sha256 }, destinationPath)) {
+    onChunk(file.size || 0);
+    return;
+  }
 
-  try {
-    ensureNotCancelled(abortSignal);
-    if (source.type === 'feed') {
-      progressCallback({ state: 'fetching-feed' });
-      resolved = await fetchFeedManifest(source.feedUrl);
+  const partialPath = getPartialDownloadPath(targetDir, file);
+  let reported = null;
+  const { path: downloadedPath } = await downloadResumable({
+    url: file.url,
+    partialPath,
+    sha256: file.sha256,
+    label: `file ${file.path}`,
+    abortSignal,
+    onProgress: ({ downloaded }) => {
+      // Count bytes already present in a resumed partial file as progress too.
+      onChunk(reported === null ? downloaded : downloaded - reported);
+      reported = downloaded;
     }
+  });
 
-    if (!resolved.url) {
-      throw new Error('No update URL could be resolved.');
+  await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+  await fs.promises.rename(downloadedPath, destinationPath);
+  await discardPartialDownload(partialPath);
+  await cache.store({ sha256: file.sha256 }, destinationPath);
+}
+
+// `downloading` events carry byte counters, a smoothed rate and an ETA; progress
+// is null when the total size is unknown.
+function createDownloadReporter(progressCallback) {
+  const meter = createTransferMeter();
+  let lastReport = 0;
+
+  return (downloadedBytes, totalBytes) => {
+    const stats = meter.update(downloadedBytes, totalBytes);
+    const now = Date.now();
+    if (now - lastReport < PROGRESS_EVENT_INTERVAL_MS) return;
+    lastReport = now;
+
+    const progress = totalBytes
+      ? Math.min(99, Math.round((downloadedBytes / totalBytes) * PROGRESS_PHASE_DOWNLOAD))
+      : null;
+    progressCallback({ state: 'downloading', progress, ...stats });
+  };
+}
+
+async function withInstallTransaction(targetDir, modpackDir, apply) {
+  const transaction = await createInstallTransaction(targetDir, modpackDir);
+  try {
+    const result = await apply(transaction);
+    await transaction.commit();
+    return result;
+  } catch (error) {
+    // A failed rollback leaves its journal behind and is retried on the next start.
+    await transaction.rollback().catch(() => {});
+    throw error;
+  }
+}
+
+function toLedgerPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// Files the updater did not install are never deleted or overwritten. With a
+// ledger, only unowned files sitting on a path the pack now ships are moved to
+// quarantine. Installs from older launchers have no ledger, so anything in the
+// player content folders that the new pack does not ship is quarantined instead
+// of being wiped as before.
+async function quarantinePlayerFiles(transaction, targetDir, previous, packFiles, placedFiles) {
+  const { modpackDir } = transaction;
+  const conflicts = [];
+
+  if (previous.exists) {
+    const owned = new Set(previous.files.map((file) => file.path));
+    for (const file of placedFiles) {
+      if (owned.has(file.path)) continue;
+      const livePath = path.join(modpackDir, file.path);
+      const stats = await fs.promises.stat(livePath).catch(() => null);
+      if (stats?.isFile() && (await hashFile(livePath)) !== file.sha256) {
+        conflicts.push(file.path);
+      }
+    }
+  } else {
+    const packPaths = new Set(packFiles.map((file) => file.path));
+    for (const dirName of PLAYER_CONTENT_DIRS) {
+      const files = await listFilesRecursive(path.join(modpackDir, dirName)).catch(() => []);
+      for (const relativePath of files) {
+        const ledgerPath = `${dirName}/${toLedgerPath(relativePath)}`;
+        if (!packPaths.has(ledgerPath)) {
+          conflicts.push(ledgerPath);
+        }
+      }
     }
+  }
+
+  if (!conflicts.length) return [];
+
+  const quarantineDir = path.join(targetDir, QUARANTINE_DIR_NAME, new Date().toISOString().replace(/[:.]/g, '-'));
+  for (const relativePath of conflicts) {
+    await transaction.relocateEntry(relativePath, path.join(quarantineDir, relativePath));
+  }
+  logMessage('warn', 'Moved player files to quarantine', { quarantineDir, files: conflicts });
+  return conflicts;
+}
 
-    tempZipPath = path.join(os.tmpdir(), `hellas-update-${Date.now()}.zip`);
-    let response = await fetch(resolved.url, {
-      headers: { 'Cache-Control': 'no-cache' },
-      signal: abortSignal
+async function replaceInstalledManifest(transaction, modpackDir, manifest) {
+  await transaction.removeEntry(LEGACY_MANIFEST_STATE_FILENAME);
+  await transaction.removeEntry(MANIFEST_STATE_FILENAME);
+  await writeInstalledManifest(modpackDir, manifest);
+  await transaction.trackCreated(MANIFEST_STATE_FILENAME);
+}
+
+// Runs pack files that are about to be installed through their config policy so
+// player settings survive. Returns the files that should still replace the live
+// copy and the pristine pack text of merged configs.
+async function resolveConfigUpdates(targetDir, modpackDir, stagingDir, files, policies) {
+  const install = [];
+  const pristine = [];
+
+  for (const file of files) {
+    const policy = resolveConfigPolicy(policies, file.path);
+    const result = await applyConfigPolicy({
+      policy,
+      relativePath: file.path,
+      stagedPath: path.join(stagingDir, file.path),
+      livePath: path.join(modpackDir, file.path),
+      pristinePath: getPristinePath(targetDir, file.path)
     });
 
-    if (!response.ok) {
-      throw new Error(`Failed to download update archive (${response.status})`);
+    if (result.install) install.push({ ...file, policy });
+    if (result.pristine !== null) pristine.push({ relativePath: file.path, content: result.pristine });
+    if (result.unmerged) {
+      logMessage('warn', 'Kept player config that could not be merged', { path: file.path });
     }
+  }
 
-    const contentType = response.headers.get('content-type') || '';
-    const contentLength = Number(response.headers.get('content-length') || 0);
-    const shouldAttemptDescriptor =
-      contentType.includes('application/json') ||
-      resolved.url.toLowerCase().endsWith('.json') ||
-      (contentLength > 0 && contentLength <= 512 * 1024);
+  return { install, pristine };
+}
 
-    if (shouldAttemptDescriptor) {
-      try {
-        const manifest = await response.clone().json();
-        const pack = manifest.modpack || manifest;
-        if (!pack?.url) {
-          throw new Error('Update descriptor missing the modpack URL.');
-        }
-        resolved.url = pack.url;
-        resolved.version = pack.version || resolved.version || null;
-        resolved.sha256 = pack.sha256 || pack.hash || resolved.sha256 || null;
+async function applyDeltaUpdate(resolved, targetDir, progressCallback, abortSignal) {
+  await fs.promises.mkdir(targetDir, { recursive: true });
+  const { modpackDir } = await ensureModpackStructure(targetDir);
+  await migrateRootContent(targetDir, modpackDir);
+
+  progressCallback({ state: 'checking-files', progress: 0 });
+  const previous = await readInstalledManifest(modpackDir);
+  const packFiles = [...resolved.files, ...(resolved.optionalFiles || [])];
+  const { download, remove } = await diffManifest(modpackDir, packFiles, previous.files);
+  ensureNotCancelled(abortSignal);
+
+  const totalBytes = download.reduce((sum, file) => sum + (file.size || 0), 0);
+  await assertDiskSpace(targetDir, totalBytes);
+  let downloaded = 0;
+  const reportDownload = createDownloadReporter(progressCallback);
+  const onChunk = (length) => {
+    downloaded += length;
+    reportDownload(downloaded, totalBytes);
+  };
 
-        if (response.body?.cancel) {
-          response.body.cancel();
-        }
+  const stagingDir = await prepareStagingDir(targetDir);
+  for (const file of download) {
+    ensureNotCancelled(abortSignal);
+    await downloadManifestFile(file, targetDir, path.join(stagingDir, file.path), abortSignal, onChunk);
+  }
+  progressCallback({ state: 'downloading', progress: PROGRESS_PHASE_DOWNLOAD });
+  ensureNotCancelled(abortSignal);
+
+  const { install, pristine } = await resolveConfigUpdates(
+    targetDir,
+    modpackDir,
+    stagingDir,
+    download,
+    resolved.configPolicies
+  );
+  await withInstallTransaction(targetDir, modpackDir, async (transaction) => {
+    const overwrites = install.filter((file) => file.policy === 'overwrite');
+    await quarantinePlayerFiles(transaction, targetDir, previous, packFiles, overwrites);
+    for (const file of install) {
+      await transaction.placeFile(path.join(stagingDir, file.path), file.path);
+    }
+    for (const relativePath of remove) {
+      await transaction.removeEntry(relativePath);
+    }
+    await replaceInstalledManifest(transaction, modpackDir, { version: resolved.version, files: packFiles });
+  });
+  await writePristineCopies(targetDir, pristine);
+  progressCallback({ state: 'finalizing', progress: 95 });
 
-        response = await fetch(resolved.url, { signal: abortSignal });
-        if (!response.ok) {
-          throw new Error(`Failed to download update archive (${response.status})`);
-        }
-      } catch (descriptorError) {
-        if (shouldAttemptDescriptor && contentType.includes('application/json')) {
-          throw descriptorError;
-        }
+  return { downloaded: download.length, removed: remove.length };
+}
+
+// Direct URLs may serve a small JSON descriptor pointing at the real archive
+// instead of the archive itself.
+async function openArchiveOrDescriptor(url, abortSignal) {
+  const response = await fetch(url, {
+    headers: { 'Cache-Control': 'no-cache' },
+    signal: abortSignal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to download update archive (${response.status})`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const contentLength = Number(response.headers.get('content-length') || 0);
+  const shouldAttemptDescriptor =
+    contentType.includes('application/json') ||
+    url.toLowerCase().endsWith('.json') ||
+    (contentLength > 0 && contentLength <= 512 * 1024);
+
+  if (!shouldAttemptDescriptor) {
+    return { response, pack: null };
+  }
+
+  // Small downloads are only treated as descriptors when they look like JSON; from
+  // then on parse and schema errors are reported instead of falling back to the archive.
+  const body = await response.clone().text();
+  const declaredJson = contentType.includes('application/json') || url.toLowerCase().endsWith('.json');
+  if (!declaredJson && !/^\s*\{/.test(body)) {
+    return { response, pack: null };
+  }
+
+  // The signature covers the raw bytes, so nothing from an untrusted body is parsed first.
+  await assertSignedDocument(url, body, abortSignal, 'Update descriptor');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Update descriptor is not valid JSON: ${error.message}`);
+  }
+  validateDescriptor(manifest);
+
+  if (response.body?.cancel) {
+    response.body.cancel();
+  }
+  return { response: null, pack: manifest.modpack || manifest, descriptorUrl: url };
+}
+
+function reportInstallFailure(error, progressCallback) {
+  if (error.cancelled || error.name === 'AbortError') {
+    progressCallback({ state: 'cancelled', message: 'Update cancelled.' });
+    return;
+  }
+  progressCallback({
+    state: 'error',
+    message: error.message || 'Update failed',
+    ...(error.entryName ? { entry: error.entryName } : {})
+  });
+}
+
+// Migrates the legacy layout, extracts `archivePath` into staging and swaps the pack
+// in through a rollback-safe transaction. Shared by downloaded and local archives.
+async function installArchive(
+  archivePath,
+  resolved,
+  targetDir,
+  progressCallback,
+  abortSignal,
+  { progressStart = PROGRESS_PHASE_DOWNLOAD, progressSpan = PROGRESS_PHASE_EXTRACT } = {}
+) {
+  ensureNotCancelled(abortSignal);
+  await fs.promises.mkdir(targetDir, { recursive: true });
+  const { modpackDir } = await ensureModpackStructure(targetDir);
+  const legacyResourcepacksDir = path.join(targetDir, RESOURCEPACKS_DIR_NAME);
+  await migrateRootContent(targetDir, modpackDir);
+  for (const serverFile of SERVER_FILES) {
+    await moveFileIfExists(path.join(targetDir, serverFile), path.join(modpackDir, serverFile));
+  }
+
+  ensureNotCancelled(abortSignal);
+  progressCallback({ state: 'extracting', progress: progressStart });
+
+  const stagingDir = await prepareStagingDir(targetDir);
+  let lastExtractReport = 0;
+  const { files: stagedFiles } = await extractArchive(archivePath, stagingDir, {
+    ensureNotCancelled: () => ensureNotCancelled(abortSignal),
+    // The archive's real uncompressed size is known now; re-check before writing it.
+    beforeExtract: ({ totalBytes }) => assertDiskSpace(targetDir, totalBytes),
+    onProgress: ({ extractedFiles, fileCount, extractedBytes, totalBytes }) => {
+      const now = Date.now();
+      if (now - lastExtractReport < PROGRESS_EVENT_INTERVAL_MS && extractedFiles < fileCount) return;
+      lastExtractReport = now;
+      const fraction = totalBytes ? extractedBytes / totalBytes : extractedFiles / Math.max(1, fileCount);
+      const progress = progressStart + Math.floor(fraction * progressSpan);
+      progressCallback({ state: 'extracting', progress, extractedFiles, fileCount, extractedBytes, totalBytes });
+    }
+  });
+  await verifyExtractedFiles(stagingDir, stagedFiles);
+  ensureNotCancelled(abortSignal);
+
+  const previous = await readInstalledManifest(modpackDir);
+  const packFiles = stagedFiles.map(({ relativePath, size, sha256 }) => ({
+    path: toLedgerPath(relativePath),
+    size,
+    sha256
+  }));
+  // Enabled optional groups are fetched next to the archive and tracked in the
+  // ledger like pack files, so switching a group off removes them on the next update.
+  const optionalFiles = selectOptionalFiles(resolved.optionalGroups, resolved.enabledGroups || [], packFiles);
+  if (optionalFiles.length) {
+    progressCallback({ state: 'optional-content', progress: progressStart + progressSpan });
+    for (const file of optionalFiles) {
+      ensureNotCancelled(abortSignal);
+      await downloadManifestFile(file, targetDir, path.join(stagingDir, file.path), abortSignal, () => {});
+      packFiles.push({ path: file.path, size: file.size, sha256: file.sha256, group: file.group });
+    }
+  }
+  // Optional files already installed that this install cannot fetch stay in place
+  // and in the ledger, unless the archive now ships the same path itself.
+  const stagedPaths = new Set(packFiles.map((file) => file.path));
+  const keptFiles = (resolved.keptOptionalFiles || []).filter((file) => !stagedPaths.has(file.path));
+  const packPaths = new Set([...stagedPaths, ...keptFiles.map((file) => file.path)]);
+  const { install, pristine } = await resolveConfigUpdates(
+    targetDir,
+    modpackDir,
+    stagingDir,
+    packFiles,
+    resolved.configPolicies
+  );
+
+  await withInstallTransaction(targetDir, modpackDir, async (transaction) => {
+    const overwrites = install.filter((file) => file.policy === 'overwrite');
+    await quarantinePlayerFiles(transaction, targetDir, previous, packFiles, overwrites);
+    // Extract over the modpack so unrelated files survive, but drop files an
+    // earlier install placed that the new pack no longer ships.
+    for (const file of previous.files) {
+      if (!packPaths.has(file.path)) {
+        await transaction.removeEntry(file.path);
       }
     }
+    for (const file of install) {
+      await transaction.placeFile(path.join(stagingDir, file.path), file.path);
+    }
+    await replaceInstalledManifest(transaction, modpackDir, {
+      version: resolved.version,
+      files: [...packFiles, ...keptFiles]
+    });
+    await ensureModpackStructure(targetDir);
+  });
+  await writePristineCopies(targetDir, pristine);
+  await fs.promises.rm(legacyResourcepacksDir, { recursive: true, force: true });
+}
 
-    const totalBytes = Number(response.headers.get('content-length') || 0);
-    const hasher = resolved.sha256 ? crypto.createHash('sha256') : null;
-    let downloaded = 0;
+async function downloadAndExtractUpdate(source, targetDir, progressCallback = () => {}, abortSignal) {
+  let resolved = { ...source };
+  let archivePath = null;
+  const buildResult = () => ({
+    version: resolved.version || null,
+    channel: resolved.channel || null,
+    optionalGroups: resolved.enabledGroups || [],
+    runtime: resolved.runtime || null
+  });
 
-    await new Promise((resolve, reject) => {
-      const fileStream = fs.createWriteStream(tempZipPath);
+  try {
+    ensureNotCancelled(abortSignal);
+    if (source.type === 'feed') {
+      progressCallback({ state: 'fetching-feed' });
+      resolved = await fetchFeedManifest(source.feedUrl, { channel: source.channel, version: source.pinnedVersion });
+    }
+
+    applyOptionalGroups(resolved, source.groupChoices);
+    if (resolved.files) {
+      await applyDeltaUpdate(resolved, targetDir, progressCallback, abortSignal);
+      return buildResult();
+    }
+
+    if (!resolved.url && !resolved.mirrors?.length) {
+      throw new Error('No update URL could be resolved.');
+    }
 
-      const handleAbort = () => {
-        const abortError = asCancellationError();
-        response.body.destroy(abortError);
-        fileStream.destroy(abortError);
-        reject(abortError);
+    const cache = createContentCache(targetDir);
+    let partialPath = getPartialDownloadPath(targetDir, resolved);
+    let response = null;
+    const responseUrl = resolved.url;
+    // Packs with a published hash may already sit in the download cache, e.g. after
+    // a fresh reinstall or when switching back to an earlier channel.
+    const restoreCachedArchive = async () => {
+      if (!resolved.sha256 || !(await cache.restore({ sha256: resolved.sha256 }, partialPath))) {
+        return null;
+      }
+      logMessage('info', 'Pack archive restored from the download cache', { sha256: resolved.sha256 });
+      const [primary] = orderMirrors(resolved.url, resolved.mirrors);
+      return {
+        path: partialPath,
+        sha256: resolved.sha256.toLowerCase(),
+        mirror: primary ? primary.url : null,
+        fromCache: true
       };
+    };
+    let archive = await restoreCachedArchive();
 
-      if (abortSignal) {
-        if (abortSignal.aborted) {
-          handleAbort();
-          return;
+    // An existing partial download for this URL means it already served the archive
+    // itself, so skip descriptor sniffing and resume it directly.
+    if (!archive && resolved.url && !(await hasResumableDownload(partialPath, resolved.url))) {
+      let opened;
+      try {
+        opened = await openArchiveOrDescriptor(resolved.url, abortSignal);
+      } catch (error) {
+        // Mirrors only carry archives; a refused or malformed descriptor is not a network problem.
+        const fatal =
+          error.cancelled ||
+          error.name === 'AbortError' ||
+          ['ESIGNATURE', 'EFEEDSCHEMA', 'EFEEDVERSION'].includes(error.code);
+        if (fatal || !resolved.mirrors?.length) {
+          throw error;
         }
-        abortSignal.addEventListener('abort', handleAbort, { once: true });
+        logMessage('warn', 'Primary pack URL failed, trying mirrors', { url: resolved.url, error: error.message });
+        opened = { response: null, pack: null };
       }
 
-      response.body.on('data', (chunk) => {
-        downloaded += chunk.length;
-        if (hasher) {
-          hasher.update(chunk);
+      response = opened.response;
+      if (opened.pack) {
+        const { pack, descriptorUrl } = opened;
+        resolved.url = pack.url || null;
+        resolved.version = pack.version || resolved.version || null;
+        resolved.sha256 = pack.sha256 || pack.hash || resolved.sha256 || null;
+        resolved.signature = pack.signature || null;
+        resolved.mirrors = normalizeMirrors(pack.mirrors, descriptorUrl);
+        resolved.files = normalizeFileManifest(pack.files, descriptorUrl);
+        resolved.configPolicies = normalizeConfigPolicies(pack.configPolicies);
+        resolved.optionalGroups = normalizeOptionalGroups(pack.optionalGroups, descriptorUrl);
+        applyOptionalGroups(resolved, source.groupChoices);
+
+        if (resolved.files) {
+          await applyDeltaUpdate(resolved, targetDir, progressCallback, abortSignal);
+          return buildResult();
         }
-        if (totalBytes) {
-          const progress = Math.min(99, Math.round((downloaded / totalBytes) * PROGRESS_PHASE_DOWNLOAD));
-          progressCallback({ state: 'downloading', progress });
+
+        partialPath = getPartialDownloadPath(targetDir, resolved);
+        archive = await restoreCachedArchive();
+      }
+    }
+
+    if (!archive) {
+      const reportDownload = createDownloadReporter(progressCallback);
+      archive = await downloadFromMirrors({
+        mirrors: orderMirrors(resolved.url, resolved.mirrors),
+        response,
+        responseUrl,
+        partialPath,
+        sha256: resolved.sha256,
+        abortSignal,
+        onProgress: ({ downloaded, totalBytes }) => reportDownload(downloaded, totalBytes),
+        onMirrorError: (mirror, error) => {
+          logMessage('warn', 'Pack mirror failed', { mirror, error: error.message });
         }
       });
+      logMessage('info', 'Pack archive downloaded', { mirror: archive.mirror });
+    }
+    archivePath = archive.path;
+    await assertSignedArchive(archive.mirror, archive.sha256, resolved.signature, abortSignal);
+    if (!archive.fromCache && resolved.sha256) {
+      await cache.store({ sha256: archive.sha256 }, archive.path);
+    }
+    progressCallback({ state: 'downloading', progress: PROGRESS_PHASE_DOWNLOAD });
 
-      response.body.on('error', (err) => {
-        fileStream.destroy();
-        reject(err);
-      });
+    await installArchive(archivePath, resolved, targetDir, progressCallback, abortSignal);
+    progressCallback({ state: 'finalizing', progress: 95 });
+  } catch (error) {
+    reportInstallFailure(error, progressCallback);
+    throw error;
+  } finally {
+    // Only a completed archive is discarded; interrupted downloads stay resumable.
+    if (archivePath) {
+      await discardPartialDownload(archivePath);
+    }
+    await removeStagingDir(targetDir);
+  }
 
-      fileStream.on('error', (err) => {
-        response.body.destroy(err);
-        reject(err);
-      });
+  return buildResult();
+}
 
-      fileStream.on('finish', () => {
-        if (hasher) {
-          const digest = hasher.digest('hex');
-          if (digest.toLowerCase() !== resolved.sha256.toLowerCase()) {
-            reject(new Error('Downloaded archive checksum does not match expected SHA-256.'));
-            return;
-          }
-        }
-        progressCallback({ state: 'downloading', progress: PROGRESS_PHASE_DOWNLOAD });
-        resolve();
-      });
+async function readSidecar(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf8').catch(() => null);
+  return content === null ? null : content.trim() || null;
+}
 
-      response.body.pipe(fileStream);
-    });
+// Checks a pack ZIP the player picked before anything is touched: the archive must
+// be structurally sound, match a `<file>.sha256` sidecar when one sits next to it,
+// and is recognised when its hash equals the pack last seen in the update feed
+// (`knownPack`). Signed launchers only count a `<file>.sig` sidecar, or the feed, which
+// is itself signed, as proof; a missing or bad signature leaves the archive unverified
+// so the player is asked, like any unknown archive. Nothing is downloaded.
+async function inspectLocalArchive(archivePath, { knownPack } = {}) {
+  const name = path.basename(archivePath);
+  const { fileCount, totalBytes } = await inspectArchive(archivePath);
+  const sha256 = await hashFile(archivePath);
+
+  const sidecar = await readSidecar(`${archivePath}.sha256`);
+  let checksumMatched = false;
+  if (sidecar) {
+    // Accepts both a bare hash and `sha256sum` output ("<hash>  <file>").
+    const expected = /^([a-f0-9]{64})\b/i.exec(sidecar);
+    if (!expected) {
+      throw new Error(`${name}.sha256 does not contain a SHA-256 checksum.`);
+    }
+    if (expected[1].toLowerCase() !== sha256) {
+      throw new Error(`${name} does not match the checksum in ${name}.sha256. The file may be damaged or modified.`);
+    }
+    checksumMatched = true;
+  }
 
-    ensureNotCancelled(abortSignal);
-    await fs.promises.mkdir(targetDir, { recursive: true });
-    const { modpackDir, modsDir, resourcepacksDir } = await ensureModpackStructure(targetDir);
-    // Preserve other directories by extracting over the install dir, but ensure mods
-    // are fully replaced to avoid stale content lingering between updates.
-    const legacyModsDir = path.join(targetDir, MODS_DIR_NAME);
-    const legacyResourcepacksDir = path.join(targetDir, RESOURCEPACKS_DIR_NAME);
-    await migrateRootContent(targetDir, modpackDir);
-    await fs.promises.rm(modsDir, { recursive: true, force: true });
-    await fs.promises.rm(resourcepacksDir, { recursive: true, force: true });
-    await fs.promises.rm(legacyModsDir, { recursive: true, force: true });
-    await fs.promises.rm(legacyResourcepacksDir, { recursive: true, force: true });
+  const feedMatch = knownPack?.sha256 && knownPack.sha256.toLowerCase() === sha256 ? knownPack : null;
+  let signature = null;
+  if (!feedMatch && hasTrustedKeys()) {
+    const sidecarSignature = await readSidecar(`${archivePath}.sig`);
+    if (!sidecarSignature) signature = 'missing';
+    else signature = verifySignature(Buffer.from(sha256, 'hex'), sidecarSignature) ? 'valid' : 'invalid';
+  }
 
-    ensureNotCancelled(abortSignal);
-    progressCallback({ state: 'extracting', progress: PROGRESS_PHASE_DOWNLOAD });
+  let verifiedBy = null;
+  if (feedMatch) verifiedBy = 'feed';
+  else if (signature === 'valid') verifiedBy = 'signature';
+  else if (checksumMatched && !signature) verifiedBy = 'checksum';
 
-    const zip = new AdmZip(tempZipPath);
-    zip.getEntries().forEach((entry) => {
-      const entryPath = path.join(modpackDir, entry.entryName);
-      if (entry.isDirectory) {
-        fs.mkdirSync(entryPath, { recursive: true });
-      }
-    });
-    ensureNotCancelled(abortSignal);
-    zip.extractAllTo(modpackDir, true);
+  return {
+    archivePath,
+    sha256,
+    fileCount,
+    totalBytes,
+    verifiedBy,
+    signature,
+    version: feedMatch?.version || null,
+    channel: feedMatch?.channel || null,
+    runtime: feedMatch?.runtime || null
+  };
+}
 
-    await ensureModpackStructure(targetDir);
-    await moveDirectoryContents(legacyModsDir, modsDir);
-    await moveDirectoryContents(legacyResourcepacksDir, resourcepacksDir);
-    for (const serverFile of SERVER_FILES) {
-      await moveFileIfExists(path.join(targetDir, serverFile), path.join(modpackDir, serverFile));
-    }
+// Installs an archive already checked by inspectLocalArchive through the same
+// pipeline as downloaded packs. The player's file is never moved or deleted.
+async function installFromLocalArchive(inspection, targetDir, progressCallback = () => {}, abortSignal) {
+  // Optional groups are downloaded from the feed, which a local install never reads,
+  // so the groups installed last time are carried over as they are on disk.
+  const previous = await readInstalledManifest(path.join(targetDir, MODPACK_DIR_NAME));
+  const keptOptionalFiles = previous.files.filter((file) => file.group);
+  const resolved = {
+    version: inspection.version,
+    channel: inspection.channel,
+    configPolicies: [],
+    keptOptionalFiles
+  };
 
+  try {
+    ensureNotCancelled(abortSignal);
+    // The file may have been swapped since it was inspected (e.g. on a shared USB stick).
+    if ((await hashFile(inspection.archivePath)) !== inspection.sha256) {
+      throw new Error(`${path.basename(inspection.archivePath)} changed while it was being installed.`);
+    }
+    await installArchive(inspection.archivePath, resolved, targetDir, progressCallback, abortSignal, {
+      progressStart: 0,
+      progressSpan: 94
+    });
     progressCallback({ state: 'finalizing', progress: 95 });
   } catch (error) {
-    if (error.cancelled || error.name === 'AbortError') {
-      progressCallback({ state: 'cancelled', message: 'Update cancelled.' });
-      throw error;
-    }
-    progressCallback({ state: 'error', message: error.message || 'Update failed' });
+    reportInstallFailure(error, progressCallback);
     throw error;
   } finally {
-    if (tempZipPath) {
-      await fs.promises.unlink(tempZipPath).catch(() => {});
-    }
+    await removeStagingDir(targetDir);
   }
 
-  return { version: resolved.version || null };
+  return {
+    version: resolved.version,
+    channel: resolved.channel,
+    optionalGroups: [...new Set(keptOptionalFiles.map((file) => file.group))],
+    runtime: inspection.runtime || null
+  };
+}
+
+async function recoverInterruptedUpdate(targetDir) {
+  return recoverInterruptedInstall(targetDir, path.join(targetDir, MODPACK_DIR_NAME));
 }
 
-async function freshReinstall(targetDir, progressCallback = () => {}, abortSignal) {
-  const updateSource = resolveUpdateSource();
-  if (!updateSource || !updateSource.url) {
+async function freshReinstall(targetDir, progressCallback = () => {}, abortSignal, sourceOptions = {}) {
+  const updateSource = resolveUpdateSource(sourceOptions);
+  if (!updateSource || !(updateSource.url || updateSource.feedUrl)) {
     throw new Error('Update source is not configured.');
   }
 
-  await fs.promises.rm(targetDir, { recursive: true, force: true });
+  // Keep the download cache so an interrupted reinstall can resume its download,
+  // the snapshots that hold the player's worlds and settings, and the downloaded
+  // Java runtimes a chosen Java path may point into.
+  const entries = await fs.promises.readdir(targetDir).catch(() => []);
+  for (const entry of entries) {
+    if (REINSTALL_KEPT_DIR_NAMES.includes(entry)) continue;
+    await fs.promises.rm(path.join(targetDir, entry), { recursive: true, force: true });
+  }
 
   return downloadAndExtractUpdate(updateSource, targetDir, progressCallback, abortSignal);
 }
 
 module.exports = {
+  DEFAULT_RELEASE_CHANNEL,
+  REINSTALL_KEPT_DIR_NAMES,
+  normalizeReleaseChannel,
   resolveUpdateSource,
   downloadAndExtractUpdate,
   fetchFeedManifest,
-  freshReinstall
+  estimateUpdateSize,
+  freshReinstall,
+  inspectLocalArchive,
+  installFromLocalArchive,
+  recoverInterruptedUpdate
 };
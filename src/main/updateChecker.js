@@ -0,0 +1,81 @@
+const { logMessage } = require('./logger');
+
+const DEFAULT_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+
+// UPDATE_CHECK_INTERVAL_MINUTES sets how often the feed is polled; 0 turns
+// background checks off.
+function resolveCheckInterval(value = process.env.UPDATE_CHECK_INTERVAL_MINUTES) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return DEFAULT_CHECK_INTERVAL_MS;
+  }
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return DEFAULT_CHECK_INTERVAL_MS;
+  }
+  return Math.round(minutes * 60 * 1000);
+}
+
+// Polls `check` every `intervalMs`. Failed checks are retried sooner, doubling the
+// wait from `retryBaseMs` up to the regular interval, so a feed outage neither
+// hammers the server nor delays the next successful check for long.
+function createUpdateChecker({
+  check,
+  intervalMs = DEFAULT_CHECK_INTERVAL_MS,
+  retryBaseMs = RETRY_BASE_MS,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+}) {
+  let timer = null;
+  let running = false;
+  let stopped = true;
+  let failures = 0;
+
+  function nextDelay() {
+    if (!failures) return intervalMs;
+    return Math.min(intervalMs, retryBaseMs * 2 ** (failures - 1));
+  }
+
+  function schedule(delay) {
+    if (stopped || !intervalMs) return;
+    clearTimer(timer);
+    timer = setTimer(runCheck, delay);
+    timer?.unref?.();
+  }
+
+  async function runCheck() {
+    timer = null;
+    if (running) return;
+    running = true;
+    try {
+      await check();
+      failures = 0;
+    } catch (error) {
+      failures += 1;
+      logMessage('warn', 'Background update check failed', { error: error.message, failures });
+    } finally {
+      running = false;
+      schedule(nextDelay());
+    }
+  }
+
+  return {
+    start({ delayMs = intervalMs } = {}) {
+      stopped = false;
+      schedule(delayMs);
+    },
+    stop() {
+      stopped = true;
+      clearTimer(timer);
+      timer = null;
+    },
+    checkNow: runCheck,
+    getNextDelay: nextDelay
+  };
+}
+
+module.exports = {
+  DEFAULT_CHECK_INTERVAL_MS,
+  resolveCheckInterval,
+  createUpdateChecker
+};
@@ -6,19 +6,37 @@ contextBridge.exposeInMainWorld('hellas', {
   setAnimationEnabled: (value) => ipcRenderer.invoke('hellas:set-animation', value),
   getMemorySettings: () => ipcRenderer.invoke('hellas:get-memory-settings'),
   setMemorySettings: (settings) => ipcRenderer.invoke('hellas:set-memory-settings', settings),
+  previewJvmArgs: (settings) => ipcRenderer.invoke('hellas:preview-jvm-args', settings),
+  setReleaseChannel: (channel) => ipcRenderer.invoke('hellas:set-release-channel', channel),
+  setPinnedVersion: (version) => ipcRenderer.invoke('hellas:set-pinned-version', version),
+  setOptionalGroups: (choices) => ipcRenderer.invoke('hellas:set-optional-groups', choices),
+  downloadLauncherUpdate: () => ipcRenderer.invoke('hellas:download-launcher-update'),
+  restartLauncher: () => ipcRenderer.invoke('hellas:restart-launcher'),
+  installVersion: (version, options) => ipcRenderer.invoke('hellas:install-version', version, options),
   beginDeviceLogin: () => ipcRenderer.invoke('hellas:start-device-login'),
   pollDeviceLogin: (payload) => ipcRenderer.invoke('hellas:poll-device-login', payload),
   performInstall: () => ipcRenderer.invoke('hellas:perform-install'),
   openExternal: (url) => ipcRenderer.invoke('hellas:open-external', url),
   openInstallFolder: () => ipcRenderer.invoke('hellas:open-install-folder'),
+  clearCache: () => ipcRenderer.invoke('hellas:clear-cache'),
+  verifyGameFiles: () => ipcRenderer.invoke('hellas:verify-game-files'),
+  getJavaRuntimes: () => ipcRenderer.invoke('hellas:get-java-runtimes'),
+  setJavaPath: (value) => ipcRenderer.invoke('hellas:set-java-path', value),
+  browseJava: () => ipcRenderer.invoke('hellas:browse-java'),
+  downloadJava: () => ipcRenderer.invoke('hellas:download-java'),
+  listSnapshots: () => ipcRenderer.invoke('hellas:list-snapshots'),
+  restoreSnapshot: (id) => ipcRenderer.invoke('hellas:restore-snapshot', id),
   logout: () => ipcRenderer.invoke('hellas:logout'),
   close: () => ipcRenderer.invoke('hellas:close'),
+  minimize: () => ipcRenderer.invoke('hellas:minimize'),
   triggerUpdate: () => ipcRenderer.invoke('hellas:trigger-update'),
   cancelUpdate: () => ipcRenderer.invoke('hellas:cancel-update'),
   freshReinstall: () => ipcRenderer.invoke('hellas:fresh-reinstall'),
+  installFromFile: () => ipcRenderer.invoke('hellas:install-from-file'),
   getInstallation: () => ipcRenderer.invoke('hellas:get-installation'),
   launchGame: () => ipcRenderer.invoke('hellas:launch-game'),
   cancelLaunch: () => ipcRenderer.invoke('hellas:cancel-launch'),
+  openCrashReport: () => ipcRenderer.invoke('hellas:open-crash-report'),
   updateKnownVersion: (version) => ipcRenderer.invoke('hellas:update-known-version', version),
   openLogWindow: () => ipcRenderer.invoke('hellas:open-log-window'),
   getLauncherLog: () => ipcRenderer.invoke('hellas:get-launcher-log'),
@@ -31,6 +49,13 @@ contextBridge.exposeInMainWorld('hellas', {
       callback(payload);
     });
   },
+  onUpdateAvailable: (callback) => {
+    const channel = 'hellas:update-available';
+    ipcRenderer.removeAllListeners(channel);
+    ipcRenderer.on(channel, (_event, payload) => {
+      callback(payload);
+    });
+  },
   onAccountUpdated: (callback) => {
     const channel = 'hellas:account-updated';
     ipcRenderer.removeAllListeners(channel);
@@ -51,5 +76,12 @@ contextBridge.exposeInMainWorld('hellas', {
     ipcRenderer.on(channel, (_event, payload) => {
       callback(payload);
     });
+  },
+  onGameCrashed: (callback) => {
+    const channel = 'hellas:game-crashed';
+    ipcRenderer.removeAllListeners(channel);
+    ipcRenderer.on(channel, (_event, payload) => {
+      callback(payload);
+    });
   }
 });
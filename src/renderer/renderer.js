@@ -6,6 +6,7 @@ const accountButton = document.getElementById('account-button');
 const accountUsername = document.getElementById('account-username');
 const closeButton = document.getElementById('close-button');
 const maximizeButton = document.getElementById('maximize-button');
+const minimizeButton = document.getElementById('minimize-button');
 const accountModal = document.getElementById('account-modal');
 const topBar = document.querySelector('.top-bar');
 const dropdown = document.getElementById('dropdown');
@@ -41,6 +42,54 @@ const memoryMinInput = document.getElementById('memory-min');
 const memoryTotal = document.getElementById('memory-total');
 const memoryRecommended = document.getElementById('memory-recommended');
 const memoryActive = document.getElementById('memory-active');
+const jvmPresetSelect = document.getElementById('jvm-preset');
+const jvmArgsInput = document.getElementById('jvm-args');
+const resetJvmArgsButton = document.getElementById('reset-jvm-args');
+const jvmArgsError = document.getElementById('jvm-args-error');
+const jvmArgsPreview = document.getElementById('jvm-args-preview');
+const channelModal = document.getElementById('channel-modal');
+const channelOptions = document.getElementById('channel-options');
+const closeChannelModal = document.getElementById('close-channel-modal');
+const saveChannelButton = document.getElementById('save-channel');
+const cancelChannelButton = document.getElementById('cancel-channel');
+const versionModal = document.getElementById('version-modal');
+const versionOptions = document.getElementById('version-options');
+const pinVersionCheckbox = document.getElementById('pin-version');
+const closeVersionModal = document.getElementById('close-version-modal');
+const saveVersionButton = document.getElementById('save-version');
+const cancelVersionButton = document.getElementById('cancel-version');
+const launcherNotice = document.getElementById('launcher-notice');
+const launcherNoticeText = document.getElementById('launcher-notice-text');
+const launcherNoticeAction = document.getElementById('launcher-notice-action');
+const optionsModal = document.getElementById('options-modal');
+const optionalGroupsList = document.getElementById('optional-groups');
+const optionsNote = document.getElementById('options-note');
+const closeOptionsModal = document.getElementById('close-options-modal');
+const saveOptionsButton = document.getElementById('save-options');
+const cancelOptionsButton = document.getElementById('cancel-options');
+const backupModal = document.getElementById('backup-modal');
+const backupList = document.getElementById('backup-list');
+const closeBackupModal = document.getElementById('close-backup-modal');
+const javaModal = document.getElementById('java-modal');
+const javaRequirement = document.getElementById('java-requirement');
+const javaRuntimeList = document.getElementById('java-runtime-list');
+const closeJavaModal = document.getElementById('close-java-modal');
+const downloadJavaButton = document.getElementById('download-java');
+const browseJavaButton = document.getElementById('browse-java');
+const crashModal = document.getElementById('crash-modal');
+const crashSummary = document.getElementById('crash-summary');
+const crashCause = document.getElementById('crash-cause');
+const crashAdvice = document.getElementById('crash-advice');
+const crashDetails = document.getElementById('crash-details');
+const closeCrashModal = document.getElementById('close-crash-modal');
+const openCrashReportButton = document.getElementById('open-crash-report');
+const dismissCrashButton = document.getElementById('dismiss-crash');
+
+const CHANNEL_LABELS = {
+  stable: 'Stable',
+  beta: 'Beta (pre-release builds)',
+  staging: 'Staging (internal testing)'
+};
 
 let launcherState = {
   termsAccepted: false,
@@ -63,22 +112,31 @@ let launcherState = {
   },
   update: {
     hasUpdateSource: false,
-    preferredVersion: null
+    preferredVersion: null,
+    channel: 'stable',
+    channels: ['stable'],
+    pinnedVersion: null,
+    latestVersion: null,
+    versions: []
   },
   isUpdating: false
 };
 
 let memoryState = {
-  settings: { mode: 'auto', minMb: null, maxMb: null },
+  settings: { mode: 'auto', minMb: null, maxMb: null, jvmArgs: [] },
   system: { totalMb: 0, recommendedMb: 0 },
-  applied: { minMb: 0, maxMb: 0 }
+  applied: { minMb: 0, maxMb: 0 },
+  jvm: { text: '', preset: null, presets: [], preview: '', errors: [] }
 };
+let jvmPreviewTimer = null;
+let jvmPreviewRequest = 0;
 
 let activeDeviceLogin = null;
 let pollTimer = null;
 let accountPanelOpen = false;
 let updateInProgress = false;
 let launchInProgress = false;
+let launchDownloadShown = false;
 
 function setAccountStatus(message, isError = false) {
   accountStatus.textContent = message || '';
@@ -105,6 +163,38 @@ function appendLaunchLog(message, level = 'info') {
   launchLog.scrollTop = launchLog.scrollHeight;
 }
 
+function formatBytes(value) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = Math.max(0, Number(value) || 0);
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function describeDownload(payload) {
+  const { progress, downloadedBytes, totalBytes, bytesPerSecond, etaSeconds } = payload;
+  const parts = [typeof progress === 'number' ? `Downloading… ${Math.round(progress)}%` : 'Downloading…'];
+  const received = formatBytes(downloadedBytes);
+  parts.push(totalBytes ? `${received} of ${formatBytes(totalBytes)}` : received);
+  if (bytesPerSecond) {
+    parts.push(`${formatBytes(bytesPerSecond)}/s`);
+    if (typeof etaSeconds === 'number') {
+      parts.push(`${formatDuration(etaSeconds)} left`);
+    }
+  }
+  return parts.join(' • ');
+}
+
 function formatMegabytes(value) {
   const numeric = Number(value);
   if (!Number.isFinite(numeric) || numeric <= 0) {
@@ -117,10 +207,12 @@ function applyMemoryState(nextState = {}) {
   memoryState = {
     settings: { ...memoryState.settings, ...(nextState.settings || {}) },
     system: { ...memoryState.system, ...(nextState.system || {}) },
-    applied: { ...memoryState.applied, ...(nextState.applied || {}) }
+    applied: { ...memoryState.applied, ...(nextState.applied || {}) },
+    jvm: { ...memoryState.jvm, ...(nextState.jvm || {}) }
   };
   updateMemorySummary();
   syncMemoryForm();
+  syncJvmEditor();
 }
 
 function updateMemorySummary() {
@@ -166,11 +258,69 @@ function syncMemoryForm(options = {}) {
   memoryMinInput.value = preserveInputs && currentMin !== '' ? currentMin : targetMin;
 }
 
+function renderJvmPreview() {
+  const { preset, presets = [], preview, errors = [] } = memoryState.jvm;
+
+  if (jvmPresetSelect) {
+    jvmPresetSelect.innerHTML = '';
+    [...presets, { id: '', label: 'Custom' }].forEach((option) => {
+      const element = document.createElement('option');
+      element.value = option.id;
+      element.textContent = option.label;
+      element.hidden = !option.id && Boolean(preset);
+      jvmPresetSelect.appendChild(element);
+    });
+    jvmPresetSelect.value = preset || '';
+  }
+
+  if (jvmArgsPreview) {
+    jvmArgsPreview.textContent = preview || '—';
+  }
+
+  if (jvmArgsError) {
+    jvmArgsError.textContent = errors.join('\n');
+    jvmArgsError.hidden = !errors.length;
+  }
+}
+
+function syncJvmEditor() {
+  if (jvmArgsInput) {
+    jvmArgsInput.value = memoryState.jvm.text || '';
+  }
+  renderJvmPreview();
+}
+
+// Asks the main process to validate the editor and rebuild the argument line; answers
+// to older requests are dropped so fast typing never shows a stale preview.
+async function refreshJvmPreview() {
+  clearTimeout(jvmPreviewTimer);
+  jvmPreviewTimer = null;
+  const request = ++jvmPreviewRequest;
+
+  try {
+    const jvm = await window.hellas.previewJvmArgs(readMemoryForm());
+    if (request !== jvmPreviewRequest) return memoryState.jvm;
+    memoryState.jvm = { ...memoryState.jvm, ...(jvm || {}) };
+    renderJvmPreview();
+  } catch (error) {
+    console.error('Failed to preview JVM arguments', error);
+  }
+  return memoryState.jvm;
+}
+
+function scheduleJvmPreview() {
+  clearTimeout(jvmPreviewTimer);
+  jvmPreviewTimer = setTimeout(refreshJvmPreview, 250);
+}
+
 function setMemoryModal(open) {
   if (!memoryModal) return;
   memoryModal.hidden = !open;
   if (open) {
     syncMemoryForm();
+    syncJvmEditor();
+  } else {
+    clearTimeout(jvmPreviewTimer);
   }
 }
 
@@ -193,7 +343,8 @@ function readMemoryForm() {
   return {
     mode,
     maxMb: Number.isFinite(maxMb) ? maxMb : null,
-    minMb: Number.isFinite(minMb) ? minMb : null
+    minMb: Number.isFinite(minMb) ? minMb : null,
+    jvmArgs: jvmArgsInput?.value ?? ''
   };
 }
 
@@ -206,6 +357,378 @@ function ensureCustomModeSelected() {
   }
 }
 
+function renderChannelOptions() {
+  if (!channelOptions) return;
+  const selected = launcherState.update.channel || 'stable';
+  const offered = launcherState.update.channels?.length ? launcherState.update.channels : ['stable'];
+
+  channelOptions.innerHTML = '';
+  [...new Set([...offered, selected])].forEach((channel) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'release-channel';
+    input.value = channel;
+    input.checked = channel === selected;
+    label.append(input, ` ${CHANNEL_LABELS[channel] || channel}`);
+    channelOptions.appendChild(label);
+  });
+}
+
+function setChannelModal(open) {
+  if (!channelModal) return;
+  channelModal.hidden = !open;
+  if (open) {
+    renderChannelOptions();
+  }
+}
+
+function getSelectedVersion() {
+  return versionOptions?.querySelector('input[name="pack-version"]:checked')?.value || null;
+}
+
+function syncVersionActions() {
+  if (!saveVersionButton) return;
+  const selected = getSelectedVersion();
+  const installed = launcherState.installation.installedVersion;
+  saveVersionButton.disabled = !selected;
+  saveVersionButton.textContent = selected && selected === installed ? 'Save' : 'Install';
+}
+
+function renderVersionOptions() {
+  if (!versionOptions) return;
+  const { versions = [], latestVersion, pinnedVersion } = launcherState.update;
+  const installed = launcherState.installation.installedVersion;
+
+  versionOptions.innerHTML = '';
+  if (!versions.length) {
+    const empty = document.createElement('p');
+    empty.className = 'version-meta';
+    empty.textContent = 'The update feed does not publish earlier versions.';
+    versionOptions.appendChild(empty);
+  }
+
+  const selected = pinnedVersion || installed || latestVersion;
+  versions.forEach((entry) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'pack-version';
+    input.value = entry.version;
+    input.checked = entry.version === selected;
+    input.addEventListener('change', syncVersionActions);
+
+    const tags = [];
+    if (entry.version === latestVersion) tags.push('latest');
+    if (entry.version === installed) tags.push('installed');
+    const releasedAt = entry.releasedAt ? new Date(entry.releasedAt) : null;
+    if (releasedAt && !Number.isNaN(releasedAt.getTime())) tags.push(releasedAt.toLocaleDateString());
+    const meta = document.createElement('span');
+    meta.className = 'version-meta';
+    meta.textContent = tags.length ? ` ${tags.join(' • ')}` : '';
+    if (entry.notes) label.title = entry.notes;
+
+    label.append(input, ` ${entry.version}`, meta);
+    versionOptions.appendChild(label);
+  });
+
+  if (pinVersionCheckbox) {
+    pinVersionCheckbox.checked = Boolean(pinnedVersion);
+    pinVersionCheckbox.disabled = !versions.length;
+  }
+  syncVersionActions();
+}
+
+function setVersionModal(open) {
+  if (!versionModal) return;
+  versionModal.hidden = !open;
+  if (open) {
+    renderVersionOptions();
+  }
+}
+
+async function installPackVersion(version, pin) {
+  setUpdating(true, { mode: 'install' });
+  updateProgressText.textContent = `Installing version ${version}…`;
+  try {
+    const result = await window.hellas.installVersion(version, { pin });
+    if (result?.cancelled) {
+      updateProgressText.textContent = 'Install cancelled.';
+      setUpdating(false, { resetText: false });
+      updateProgress.hidden = false;
+      return;
+    }
+    setUpdating(false);
+    await refreshState();
+  } catch (error) {
+    console.error(error);
+    updateProgress.classList.add('error');
+    updateProgressText.textContent = error.message || 'Install failed';
+    setTimeout(() => {
+      setUpdating(false, { resetText: false });
+      updateProgress.hidden = false;
+    }, 2500);
+  }
+}
+
+// Runs after the optional content choices are saved, e.g. the first install.
+let optionsContinuation = null;
+
+function renderOptionalGroups() {
+  if (!optionalGroupsList) return;
+  const { optionalGroups = [] } = launcherState.update;
+
+  optionalGroupsList.innerHTML = '';
+  if (!optionalGroups.length) {
+    const empty = document.createElement('p');
+    empty.className = 'optional-group-meta';
+    empty.textContent = 'The update feed does not offer optional content.';
+    optionalGroupsList.appendChild(empty);
+  }
+
+  optionalGroups.forEach((group) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = group.id;
+    input.checked = group.enabled;
+
+    const details = document.createElement('div');
+    const title = document.createElement('span');
+    title.textContent = group.default ? `${group.name} (recommended)` : group.name;
+    details.appendChild(title);
+    if (group.description) {
+      const meta = document.createElement('p');
+      meta.className = 'optional-group-meta';
+      meta.textContent = group.description;
+      details.appendChild(meta);
+    }
+
+    label.append(input, details);
+    optionalGroupsList.appendChild(label);
+  });
+
+  if (saveOptionsButton) {
+    saveOptionsButton.disabled = !optionalGroups.length;
+  }
+}
+
+function setOptionsModal(open, { onSave = null } = {}) {
+  if (!optionsModal) return;
+  optionsModal.hidden = !open;
+  optionsContinuation = open ? onSave : null;
+  if (open) {
+    renderOptionalGroups();
+    if (saveOptionsButton) saveOptionsButton.textContent = onSave ? 'Install' : 'Save';
+    if (optionsNote) {
+      optionsNote.textContent = onSave
+        ? 'You can change this later from the menu under Optional content.'
+        : 'Changes apply with the next update.';
+    }
+  }
+}
+
+const BACKUP_REASONS = {
+  install: 'Before install',
+  update: 'Before update',
+  'version-install': 'Before version change',
+  reinstall: 'Before fresh reinstall',
+  'local-install': 'Before install from file',
+  'before-restore': 'Before restoring a backup'
+};
+
+function renderBackupList(snapshots) {
+  if (!backupList) return;
+  backupList.innerHTML = '';
+
+  if (!snapshots.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No backups yet. One is made automatically before every update or reinstall.';
+    backupList.appendChild(empty);
+    return;
+  }
+
+  snapshots.forEach((snapshot) => {
+    const item = document.createElement('li');
+    const details = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = new Date(snapshot.createdAt).toLocaleString();
+    const meta = document.createElement('p');
+    meta.className = 'backup-meta';
+    meta.textContent = [
+      BACKUP_REASONS[snapshot.reason] || 'Backup',
+      snapshot.version ? `pack ${snapshot.version}` : null,
+      formatBytes(snapshot.size)
+    ]
+      .filter(Boolean)
+      .join(' • ');
+    details.append(title, meta);
+
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'tertiary small';
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', () => restoreBackup(snapshot.id, restoreButton));
+
+    item.append(details, restoreButton);
+    backupList.appendChild(item);
+  });
+}
+
+async function restoreBackup(id, button) {
+  button.disabled = true;
+  try {
+    const result = await window.hellas.restoreSnapshot(id);
+    if (result?.cancelled) return;
+    appendLaunchLog('Backup restored. Your previous state was backed up as well.', 'success');
+    renderBackupList(result.snapshots || []);
+  } catch (error) {
+    console.error('Failed to restore backup', error);
+    appendLaunchLog(error.message || 'Unable to restore the backup.', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function setBackupModal(open) {
+  if (!backupModal) return;
+  backupModal.hidden = !open;
+  if (open) {
+    try {
+      renderBackupList(await window.hellas.listSnapshots());
+    } catch (error) {
+      console.error('Failed to list backups', error);
+      renderBackupList([]);
+    }
+  }
+}
+
+const JAVA_SOURCES = {
+  setting: 'Chosen by you',
+  env: 'Set by BUNDLED_JAVA_PATH',
+  bundled: 'Bundled with the launcher',
+  managed: 'Downloaded by the launcher',
+  'java-home': 'JAVA_HOME',
+  system: 'System default'
+};
+
+function createJavaRow(title, meta, { active = false, onUse = null } = {}) {
+  const item = document.createElement('li');
+  const details = document.createElement('div');
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  const description = document.createElement('p');
+  description.className = 'java-meta';
+  description.textContent = meta;
+  details.append(heading, description);
+  item.appendChild(details);
+
+  if (active || onUse) {
+    const button = document.createElement('button');
+    button.className = 'tertiary small';
+    button.textContent = active ? 'In use' : 'Use';
+    button.disabled = active;
+    if (onUse) button.addEventListener('click', () => onUse(button));
+    item.appendChild(button);
+  }
+  return item;
+}
+
+function renderJavaRuntimes(state) {
+  if (!javaRuntimeList) return;
+  javaRuntimeList.innerHTML = '';
+  if (javaRequirement) {
+    javaRequirement.textContent = `Minecraft ${state.minecraftVersion} needs Java ${state.requiredMajor}.`;
+  }
+  if (downloadJavaButton) {
+    downloadJavaButton.textContent = `Download Java ${state.requiredMajor}`;
+  }
+
+  const automatic = state.runtimes.find((runtime) => runtime.path === state.selectedPath && !state.javaPath);
+  const automaticMeta = automatic
+    ? `Currently Java ${automatic.version || '?'} (${JAVA_SOURCES[automatic.source]})`
+    : `Downloads Java ${state.requiredMajor} when the game starts`;
+  javaRuntimeList.appendChild(
+    createJavaRow('Automatic', automaticMeta, {
+      active: !state.javaPath,
+      onUse: (button) => chooseJavaRuntime('', button)
+    })
+  );
+
+  state.runtimes.forEach((runtime) => {
+    const title = runtime.version ? `Java ${runtime.version}` : 'Unknown Java version';
+    const meta = [JAVA_SOURCES[runtime.source], runtime.path || runtime.configured].filter(Boolean).join(' • ');
+    const selectable = runtime.path && runtime.major && !['setting', 'env', 'system'].includes(runtime.source);
+    javaRuntimeList.appendChild(
+      createJavaRow(title, meta, {
+        active: runtime.source === 'setting',
+        onUse: selectable ? (button) => chooseJavaRuntime(runtime.path, button) : null
+      })
+    );
+  });
+}
+
+async function chooseJavaRuntime(value, button) {
+  if (button) button.disabled = true;
+  try {
+    renderJavaRuntimes(await window.hellas.setJavaPath(value));
+  } catch (error) {
+    console.error('Failed to change the Java runtime', error);
+    appendLaunchLog(error.message || 'Unable to use this Java runtime.', 'error');
+    if (button) button.disabled = false;
+  }
+}
+
+function setCrashModal(open) {
+  if (!crashModal) return;
+  crashModal.hidden = !open;
+}
+
+function renderCrash(crash = {}) {
+  const exitText = crash.exitCode === undefined || crash.exitCode === null ? '' : ` (exit code ${crash.exitCode})`;
+  crashSummary.textContent =
+    crash.kind === 'jvm-crash'
+      ? `The Java runtime crashed${exitText}.`
+      : `Minecraft closed unexpectedly${exitText}.`;
+  crashCause.textContent = crash.problem?.title || crash.description || 'Unknown — see the full report.';
+  crashAdvice.textContent =
+    crash.problem?.advice || 'Open the full report for details, and include it when asking for help.';
+
+  const reportName = String(crash.path || '').split(/[\\/]/).pop();
+  const rows = [
+    ['Error', crash.exception],
+    ['Suspected mods', crash.suspectedMods?.length ? crash.suspectedMods.join(', ') : null],
+    ['Crashed in', crash.problematicFrame],
+    ['Java', crash.javaVersion],
+    ['Forge', crash.forgeVersion],
+    ['Minecraft', crash.minecraftVersion],
+    ['Report', reportName]
+  ];
+
+  crashDetails.innerHTML = '';
+  rows
+    .filter(([, value]) => value)
+    .forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      crashDetails.append(term, detail);
+    });
+}
+
+async function setJavaModal(open) {
+  if (!javaModal) return;
+  javaModal.hidden = !open;
+  if (open) {
+    try {
+      renderJavaRuntimes(await window.hellas.getJavaRuntimes());
+    } catch (error) {
+      console.error('Failed to list Java runtimes', error);
+      appendLaunchLog('Unable to list Java runtimes.', 'error');
+    }
+  }
+}
+
 function setDropdown(open) {
   dropdown.classList.toggle('open', open);
   const expanded = open ? 'true' : 'false';
@@ -215,10 +738,44 @@ function setDropdown(open) {
 function updateStartButtonState() {
   const { termsAccepted, installation, isUpdating } = launcherState;
   startButton.querySelector('.label').textContent = 'PLAY';
-  startButton.disabled = !termsAccepted || updateInProgress || launchInProgress || isUpdating;
+  const launcherBlocked = launcherState.launcher?.supported === false;
+  startButton.disabled = !termsAccepted || updateInProgress || launchInProgress || isUpdating || launcherBlocked;
   startButton.classList.toggle('needs-install', !installation.isInstalled);
 }
 
+function renderLauncherNotice() {
+  if (!launcherNotice) return;
+  const launcher = launcherState.launcher || {};
+  const blocked = launcher.supported === false;
+  const messages = [];
+  let action = null;
+
+  if (blocked) {
+    messages.push(`This launcher is no longer supported. Version ${launcher.minimumVersion} or newer is needed to play.`);
+  }
+  if (launcher.updateReady) {
+    messages.push(`Launcher ${launcher.latestVersion} is ready to install.`);
+    action = { id: 'restart', label: 'Restart to update' };
+  } else if (launcher.downloading) {
+    messages.push(`Downloading launcher ${launcher.latestVersion}…`);
+  } else if (launcher.updateAvailable && launcher.canSelfUpdate) {
+    messages.push(`Launcher ${launcher.latestVersion} is available.`);
+    action = { id: 'download', label: 'Download update' };
+  } else if (launcher.updateAvailable || blocked) {
+    if (launcher.updateAvailable) messages.push(`Launcher ${launcher.latestVersion} is available.`);
+    action = { id: 'website', label: 'Open website' };
+  }
+
+  launcherNotice.hidden = !messages.length;
+  launcherNotice.classList.toggle('blocking', blocked);
+  launcherNoticeText.textContent = messages.join(' ');
+  launcherNoticeAction.hidden = !action;
+  if (action) {
+    launcherNoticeAction.dataset.action = action.id;
+    launcherNoticeAction.textContent = action.label;
+  }
+}
+
 function updateInstallLabels() {
   const { installation } = launcherState;
   const requirements = installation.requirements || {};
@@ -236,8 +793,11 @@ function updateInstallLabels() {
 
   const versionText = launcherState.update.preferredVersion || installation.installedVersion;
   if (versionText) {
+    const channel = launcherState.update.channel;
+    const channelText = channel && channel !== 'stable' ? ` (${channel})` : '';
+    const pinnedText = launcherState.update.pinnedVersion ? ' • Pinned' : '';
     const suffix = launcherState.update.available ? ' • Update available' : '';
-    versionLabel.textContent = `Version ${versionText}${suffix}`;
+    versionLabel.textContent = `Version ${versionText}${channelText}${pinnedText}${suffix}`;
   } else {
     versionLabel.textContent = '';
   }
@@ -281,7 +841,7 @@ function setUpdating(isUpdating, options = {}) {
   startButton.disabled = isUpdating || !launcherState.termsAccepted || launchInProgress;
   updateButton.disabled = isUpdating;
   updateProgress.hidden = !isUpdating;
-  updateProgress.classList.remove('error');
+  updateProgress.classList.remove('error', 'indeterminate');
   const updateLabel = updateButton.querySelector('.label');
   if (isUpdating) {
     if (updateLabel) updateLabel.textContent = mode === 'install' ? 'Installing…' : 'Updating…';
@@ -337,25 +897,62 @@ function handleProgress(payload) {
     updateProgress.hidden = false;
   }
 
+  // Without a known total the bar animates instead of sitting at zero, while the
+  // text still shows bytes received and the current speed.
+  const hasByteCounts = payload.state === 'downloading' && typeof payload.downloadedBytes === 'number';
+  const totalUnknown = hasByteCounts && !payload.totalBytes;
+  updateProgress.classList.toggle('indeterminate', totalUnknown);
+  if (hasByteCounts) {
+    updateProgressBar.style.width = totalUnknown ? '' : `${Math.max(0, Math.min(100, payload.progress || 0))}%`;
+    updateProgressText.textContent = describeDownload(payload);
+    updateProgress.hidden = false;
+    return;
+  }
+
   if (typeof payload.progress === 'number') {
     const clamped = Math.max(0, Math.min(100, payload.progress));
     updateProgressBar.style.width = `${clamped}%`;
     const stateLabel =
       {
         'fetching-feed': 'Fetching pack info…',
+        'checking-files': 'Checking files…',
+        verifying: 'Verifying archive…',
+        'verifying-game-files': 'Verifying game files…',
+        'backing-up': 'Backing up…',
+        'optional-content': 'Downloading optional content…',
         downloading: 'Downloading…',
         extracting: 'Extracting…',
         finalizing: 'Finalizing…'
       }[payload.state] || 'Updating…';
-    updateProgressText.textContent = `${stateLabel} ${clamped}%`;
+    let fileCounter = '';
+    if (payload.state === 'extracting' && payload.fileCount) {
+      fileCounter = ` (${payload.extractedFiles}/${payload.fileCount} files)`;
+    } else if (payload.state === 'verifying-game-files' && payload.total) {
+      fileCounter = ` (${payload.checked}/${payload.total} files)`;
+    }
+    updateProgressText.textContent = `${stateLabel} ${clamped}%${fileCounter}`;
   }
 }
 
+// Downloads started by a launch, such as a missing Java runtime, report through the
+// progress bar instead of adding a log line for every chunk.
 function handleLaunchStatus(payload) {
   if (!payload) return;
+  if (payload.state === 'downloading') {
+    launchDownloadShown = true;
+    handleProgress(payload);
+    return;
+  }
+  hideLaunchDownload();
   appendLaunchLog(payload.message, payload.level || 'info');
 }
 
+function hideLaunchDownload() {
+  if (!launchDownloadShown || updateInProgress) return;
+  launchDownloadShown = false;
+  setUpdating(false);
+}
+
 function handleInstallStatus(payload) {
   if (!payload) return;
   appendLaunchLog(payload.message, payload.level || 'info');
@@ -486,9 +1083,16 @@ function startPollingForLogin(intervalOverride) {
   }, currentInterval);
 }
 
+// Feed problems are logged once rather than on every refresh.
+let reportedFeedError = null;
+
 async function refreshState() {
   const state = await window.hellas.getState();
   launcherState = state;
+  if (state.update?.feedError && state.update.feedError !== reportedFeedError) {
+    appendLaunchLog(state.update.feedError, 'error');
+  }
+  reportedFeedError = state.update?.feedError || null;
   termsCheckbox.checked = state.termsAccepted;
   if (state.account?.loggedIn) {
     setAccountStatus(`Logged in as ${state.account.username}`);
@@ -497,6 +1101,7 @@ async function refreshState() {
   }
   applyMemoryState(state.memory || {});
   updateAccountUi();
+  renderLauncherNotice();
   updateStartButtonState();
   updateInstallLabels();
   applyAnimationState();
@@ -516,6 +1121,10 @@ document.addEventListener('keydown', (event) => {
     setDropdown(false);
     setAccountPanel(false);
     setMemoryModal(false);
+    setChannelModal(false);
+    setVersionModal(false);
+    setOptionsModal(false);
+    setBackupModal(false);
   }
 });
 
@@ -552,6 +1161,111 @@ if (memoryModal) {
   });
 }
 
+if (channelModal) {
+  channelModal.addEventListener('click', (event) => {
+    if (event.target === channelModal) {
+      setChannelModal(false);
+    }
+  });
+}
+
+if (versionModal) {
+  versionModal.addEventListener('click', (event) => {
+    if (event.target === versionModal) {
+      setVersionModal(false);
+    }
+  });
+}
+
+if (optionsModal) {
+  optionsModal.addEventListener('click', (event) => {
+    if (event.target === optionsModal) {
+      setOptionsModal(false);
+    }
+  });
+}
+
+if (backupModal) {
+  backupModal.addEventListener('click', (event) => {
+    if (event.target === backupModal) {
+      setBackupModal(false);
+    }
+  });
+}
+
+if (closeBackupModal) {
+  closeBackupModal.addEventListener('click', () => setBackupModal(false));
+}
+
+if (javaModal) {
+  javaModal.addEventListener('click', (event) => {
+    if (event.target === javaModal) {
+      setJavaModal(false);
+    }
+  });
+}
+
+if (closeJavaModal) {
+  closeJavaModal.addEventListener('click', () => setJavaModal(false));
+}
+
+if (crashModal) {
+  crashModal.addEventListener('click', (event) => {
+    if (event.target === crashModal) {
+      setCrashModal(false);
+    }
+  });
+}
+
+[closeCrashModal, dismissCrashButton].forEach((button) => {
+  button?.addEventListener('click', () => setCrashModal(false));
+});
+
+if (openCrashReportButton) {
+  openCrashReportButton.addEventListener('click', async () => {
+    try {
+      await window.hellas.openCrashReport();
+    } catch (error) {
+      console.error('Failed to open crash report', error);
+      appendLaunchLog(error.message || 'Unable to open the crash report.', 'error');
+    }
+  });
+}
+
+if (browseJavaButton) {
+  browseJavaButton.addEventListener('click', async () => {
+    const selected = await window.hellas.browseJava();
+    if (selected) {
+      await chooseJavaRuntime(selected, browseJavaButton);
+      browseJavaButton.disabled = false;
+    }
+  });
+}
+
+if (downloadJavaButton) {
+  downloadJavaButton.addEventListener('click', async () => {
+    downloadJavaButton.disabled = true;
+    setUpdating(true);
+    updateProgressText.textContent = 'Looking up Java downloads…';
+    try {
+      const result = await window.hellas.downloadJava();
+      if (result?.cancelled) {
+        setUpdating(false, { resetText: false });
+        updateProgress.hidden = false;
+        return;
+      }
+      setUpdating(false);
+      renderJavaRuntimes(result);
+    } catch (error) {
+      console.error('Failed to download Java', error);
+      appendLaunchLog(error.message || 'Unable to download Java.', 'error');
+      setUpdating(false);
+    } finally {
+      downloadJavaButton.disabled = false;
+    }
+  });
+}
+
 logoButton.addEventListener('click', () => {
   window.hellas.openExternal(launcherState.websiteUrl || 'https://hellasregion.com');
 });
@@ -572,6 +1286,12 @@ closeButton.addEventListener('click', async () => {
   window.hellas.close();
 });
 
+if (minimizeButton) {
+  minimizeButton.addEventListener('click', () => {
+    window.hellas.minimize();
+  });
+}
+
 if (maximizeButton) {
   maximizeButton.addEventListener('click', () => {
     window.hellas.toggleMaximize();
@@ -633,6 +1353,7 @@ if (memoryModeAuto && memoryModeCustom) {
       const selectedMode = radio.value === 'custom' ? 'custom' : 'auto';
       memoryState.settings = { ...memoryState.settings, mode: selectedMode };
       syncMemoryForm();
+      scheduleJvmPreview();
     });
   });
 }
@@ -649,9 +1370,31 @@ if (memoryCustomFields) {
 [memoryMaxInput, memoryMinInput].forEach((input) => {
   input?.addEventListener('input', () => {
     ensureCustomModeSelected();
+    scheduleJvmPreview();
   });
 });
 
+if (jvmArgsInput) {
+  jvmArgsInput.addEventListener('input', scheduleJvmPreview);
+}
+
+if (jvmPresetSelect) {
+  jvmPresetSelect.addEventListener('change', () => {
+    const preset = memoryState.jvm.presets.find((option) => option.id === jvmPresetSelect.value);
+    if (!preset || !jvmArgsInput) return;
+    jvmArgsInput.value = preset.text;
+    refreshJvmPreview();
+  });
+}
+
+if (resetJvmArgsButton) {
+  resetJvmArgsButton.addEventListener('click', () => {
+    if (!jvmArgsInput) return;
+    jvmArgsInput.value = '';
+    refreshJvmPreview();
+  });
+}
+
 if (saveMemoryButton) {
   saveMemoryButton.addEventListener('click', async () => {
     const payload = readMemoryForm();
@@ -667,6 +1410,11 @@ if (saveMemoryButton) {
         return;
       }
     }
+    const { errors = [] } = await refreshJvmPreview();
+    if (errors.length) {
+      jvmArgsInput?.focus();
+      return;
+    }
     try {
       const state = await window.hellas.setMemorySettings(payload);
       applyMemoryState(state || {});
@@ -705,7 +1453,8 @@ startButton.addEventListener('click', async () => {
   startButton.querySelector('.label').textContent = 'LAUNCHING…';
   appendLaunchLog('Requesting game launch…');
   try {
-    await window.hellas.launchGame();
+    const result = await window.hellas.launchGame();
+    if (result?.cancelled) return;
     setAccountStatus('Modpack launch triggered.');
     appendLaunchLog('Launch request sent. Waiting for game to start…');
   } catch (error) {
@@ -714,6 +1463,7 @@ startButton.addEventListener('click', async () => {
     appendLaunchLog(error.message || 'Failed to launch the modpack.', 'error');
   } finally {
     launchInProgress = false;
+    hideLaunchDownload();
     if (cancelLaunchButton) {
       cancelLaunchButton.hidden = true;
     }
@@ -722,7 +1472,7 @@ startButton.addEventListener('click', async () => {
   }
 });
 
-updateButton.addEventListener('click', async () => {
+async function runUpdateAction() {
   if (updateButton.disabled) {
     return;
   }
@@ -781,8 +1531,50 @@ updateButton.addEventListener('click', async () => {
       updateProgress.hidden = false;
     }
   }
+}
+
+updateButton.addEventListener('click', () => {
+  if (updateButton.disabled) {
+    return;
+  }
+
+  // Let players pick optional extras before the first install downloads anything.
+  if (!launcherState.installation.isInstalled && launcherState.update.optionalGroups?.length) {
+    setOptionsModal(true, { onSave: runUpdateAction });
+    return;
+  }
+  runUpdateAction();
 });
 
+if (launcherNoticeAction) {
+  launcherNoticeAction.addEventListener('click', async () => {
+    const action = launcherNoticeAction.dataset.action;
+    if (action === 'website') {
+      await window.hellas.openExternal(launcherState.websiteUrl || 'https://hellasregion.com');
+      return;
+    }
+
+    launcherNoticeAction.disabled = true;
+    try {
+      if (action === 'restart') {
+        await window.hellas.restartLauncher();
+        return;
+      }
+      launcherState.launcher = { ...launcherState.launcher, downloading: true };
+      renderLauncherNotice();
+      launcherState.launcher = await window.hellas.downloadLauncherUpdate();
+      appendLaunchLog('Launcher update downloaded. It is installed when the launcher restarts.', 'success');
+    } catch (error) {
+      console.error('Launcher update failed', error);
+      appendLaunchLog(error.message || 'Unable to update the launcher.', 'error');
+      launcherState.launcher = { ...launcherState.launcher, downloading: false };
+    } finally {
+      launcherNoticeAction.disabled = false;
+      renderLauncherNotice();
+    }
+  });
+}
+
 if (cancelUpdateButton) {
   cancelUpdateButton.addEventListener('click', async () => {
     cancelUpdateButton.disabled = true;
@@ -804,6 +1596,99 @@ if (cancelLaunchButton) {
   });
 }
 
+if (closeChannelModal) {
+  closeChannelModal.addEventListener('click', () => setChannelModal(false));
+}
+
+if (cancelChannelButton) {
+  cancelChannelButton.addEventListener('click', () => setChannelModal(false));
+}
+
+if (saveChannelButton) {
+  saveChannelButton.addEventListener('click', async () => {
+    const selected = channelOptions?.querySelector('input[name="release-channel"]:checked');
+    if (!selected) {
+      setChannelModal(false);
+      return;
+    }
+
+    try {
+      const channel = await window.hellas.setReleaseChannel(selected.value);
+      appendLaunchLog(`Release channel set to ${CHANNEL_LABELS[channel] || channel}.`);
+      setChannelModal(false);
+      await refreshState();
+    } catch (error) {
+      console.error('Failed to save release channel', error);
+      appendLaunchLog('Unable to change the release channel. Please try again.', 'error');
+    }
+  });
+}
+
+if (closeVersionModal) {
+  closeVersionModal.addEventListener('click', () => setVersionModal(false));
+}
+
+if (cancelVersionButton) {
+  cancelVersionButton.addEventListener('click', () => setVersionModal(false));
+}
+
+if (saveVersionButton) {
+  saveVersionButton.addEventListener('click', async () => {
+    const version = getSelectedVersion();
+    const pin = Boolean(pinVersionCheckbox?.checked);
+    setVersionModal(false);
+    if (!version) return;
+
+    if (version !== launcherState.installation.installedVersion) {
+      await installPackVersion(version, pin);
+      return;
+    }
+
+    try {
+      const pinned = await window.hellas.setPinnedVersion(pin ? version : null);
+      appendLaunchLog(pinned ? `Staying on pack version ${pinned}.` : 'Following the latest pack version again.');
+      await refreshState();
+    } catch (error) {
+      console.error('Failed to save pinned version', error);
+      appendLaunchLog('Unable to change the pinned version. Please try again.', 'error');
+    }
+  });
+}
+
+if (closeOptionsModal) {
+  closeOptionsModal.addEventListener('click', () => setOptionsModal(false));
+}
+
+if (cancelOptionsButton) {
+  cancelOptionsButton.addEventListener('click', () => setOptionsModal(false));
+}
+
+if (saveOptionsButton) {
+  saveOptionsButton.addEventListener('click', async () => {
+    const choices = {};
+    optionalGroupsList?.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+      choices[input.value] = input.checked;
+    });
+    const continuation = optionsContinuation;
+    setOptionsModal(false);
+
+    try {
+      await window.hellas.setOptionalGroups(choices);
+    } catch (error) {
+      console.error('Failed to save optional content', error);
+      appendLaunchLog('Unable to save your optional content choices. Please try again.', 'error');
+      return;
+    }
+
+    if (continuation) {
+      await continuation();
+      return;
+    }
+    appendLaunchLog('Optional content saved. Changes apply with the next update.');
+    await refreshState();
+  });
+}
+
 const dropdownActions = dropdown.querySelectorAll('button[data-action]');
 dropdownActions.forEach((button) => {
   button.addEventListener('click', async () => {
@@ -821,6 +1706,21 @@ dropdownActions.forEach((button) => {
         case 'adjust-ram':
           await openMemorySettings();
           break;
+        case 'java-runtime':
+          await setJavaModal(true);
+          break;
+        case 'release-channel':
+          setChannelModal(true);
+          break;
+        case 'pack-versions':
+          setVersionModal(true);
+          break;
+        case 'optional-content':
+          setOptionsModal(true);
+          break;
+        case 'backups':
+          await setBackupModal(true);
+          break;
         case 'open-logs': {
           try {
             await window.hellas.openLogWindow();
@@ -839,6 +1739,35 @@ dropdownActions.forEach((button) => {
           }
           break;
         }
+        case 'verify-game-files': {
+          setUpdating(true);
+          updateProgressText.textContent = 'Verifying game files…';
+          try {
+            const result = await window.hellas.verifyGameFiles();
+            if (result?.cancelled) {
+              updateProgressText.textContent = 'Verification cancelled.';
+              setUpdating(false, { resetText: false });
+              updateProgress.hidden = false;
+              return;
+            }
+            setUpdating(false);
+          } catch (error) {
+            console.error('Failed to verify game files', error);
+            appendLaunchLog(error.message || 'Unable to verify the game files.', 'error');
+            setUpdating(false);
+          }
+          break;
+        }
+        case 'clear-cache': {
+          try {
+            const { freedBytes } = await window.hellas.clearCache();
+            appendLaunchLog(`Cleared ${formatBytes(freedBytes)} of cached downloads.`, 'success');
+          } catch (error) {
+            console.error('Failed to clear download cache', error);
+            appendLaunchLog(error.message || 'Unable to clear the download cache.', 'error');
+          }
+          break;
+        }
         case 'reinstall': {
           setUpdating(true);
           updateProgressText.textContent = 'Reinstalling…';
@@ -886,6 +1815,40 @@ dropdownActions.forEach((button) => {
           }
           break;
         }
+        case 'install-from-file': {
+          setUpdating(true, { mode: 'install' });
+          updateProgressText.textContent = 'Choose a modpack archive…';
+          let preserveProgress = false;
+          try {
+            const result = await window.hellas.installFromFile();
+            if (result?.dismissed) {
+              setUpdating(false);
+              return;
+            }
+            if (result?.cancelled) {
+              updateProgressText.textContent = 'Install cancelled.';
+              setUpdating(false, { resetText: false });
+              preserveProgress = true;
+              return;
+            }
+            setUpdating(false);
+            await refreshState();
+          } catch (error) {
+            console.error(error);
+            updateProgress.classList.add('error');
+            updateProgressText.textContent = error.message || 'Install from file failed';
+            preserveProgress = true;
+            setTimeout(() => {
+              setUpdating(false, { resetText: false });
+              updateProgress.hidden = false;
+            }, 2500);
+          } finally {
+            if (preserveProgress) {
+              updateProgress.hidden = false;
+            }
+          }
+          break;
+        }
       case 'logout':
         await window.hellas.logout();
         launcherState.account = { username: '', loggedIn: false };
@@ -904,6 +1867,18 @@ window.hellas.onUpdateProgress(handleProgress);
 window.hellas.onLaunchStatus(handleLaunchStatus);
 window.hellas.onInstallStatus(handleInstallStatus);
 
+window.hellas.onGameCrashed((crash) => {
+  renderCrash(crash);
+  setCrashModal(true);
+});
+
+window.hellas.onUpdateAvailable(({ version }) => {
+  launcherState.update = { ...launcherState.update, preferredVersion: version, available: true };
+  updateInstallLabels();
+  updateUpdateButtonLabel();
+  appendLaunchLog(`Pack version ${version} is available. Use Update to install it.`);
+});
+
 window.hellas.onAccountUpdated((account) => {
   launcherState.account = account || { username: '', loggedIn: false };
   if (account?.loggedIn) {
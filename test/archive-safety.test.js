@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const AdmZip = require('adm-zip');
+const fsp = fs.promises;
+
+const { resolveEntryPath, inspectArchiveEntries, extractArchive } = require('../src/main/archive');
+
+function fakeEntry(entryName, { size = 1, compressedSize = size, attr = 0, isDirectory = false } = {}) {
+  return { entryName, isDirectory, header: { size, compressedSize, attr } };
+}
+
+test('resolveEntryPath rejects entries escaping the destination', () => {
+  const destination = path.join(os.tmpdir(), 'hellas-archive-dest');
+
+  for (const name of ['../evil.jar', 'mods/../../evil.jar', '/etc/passwd', 'C:\\Windows\\evil.dll', '..\\evil']) {
+    assert.throws(() => resolveEntryPath(destination, name), (error) => error.entryName === name);
+  }
+
+  assert.equal(resolveEntryPath(destination, 'mods/a.jar').relativePath, path.join('mods', 'a.jar'));
+});
+
+test('inspectArchiveEntries enforces symlink, entry count and size limits', () => {
+  const destination = path.join(os.tmpdir(), 'hellas-archive-dest');
+
+  assert.throws(
+    () => inspectArchiveEntries([fakeEntry('mods/link', { attr: 0o120777 << 16 })], destination),
+    /symbolic link \(entry: mods\/link\)/
+  );
+  assert.throws(
+    () => inspectArchiveEntries([fakeEntry('a'), fakeEntry('b')], destination, { maxEntries: 1 }),
+    /too many entries/
+  );
+  assert.throws(
+    () =>
+      inspectArchiveEntries([fakeEntry('a', { size: 60 }), fakeEntry('b', { size: 60 })], destination, {
+        maxTotalBytes: 100
+      }),
+    /maximum uncompressed size \(entry: b\)/
+  );
+  assert.throws(
+    () => inspectArchiveEntries([fakeEntry('bomb.bin', { size: 500 * 1024 * 1024, compressedSize: 1024 })], destination),
+    /compression ratio \(entry: bomb.bin\)/
+  );
+});
+
+test('extractArchive writes nothing when any entry is unsafe', async () => {
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-archive-extract-'));
+  const destination = path.join(workDir, 'staging');
+
+  try {
+    const zip = new AdmZip();
+    zip.addFile('mods/good.jar', Buffer.from('good'));
+    zip.addFile('mods/placeholder.jar', Buffer.from('evil'));
+    zip.getEntries()[1].entryName = '../../evil.jar';
+    const archivePath = path.join(workDir, 'pack.zip');
+    zip.writeZip(archivePath);
+
+    await assert.rejects(extractArchive(archivePath, destination), (error) => {
+      assert.equal(error.entryName, '../../evil.jar');
+      return true;
+    });
+    await assert.rejects(fsp.access(path.join(destination, 'mods', 'good.jar')));
+    await assert.rejects(fsp.access(path.join(workDir, 'evil.jar')));
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+});
+
+test('extractArchive reports per-file progress and stops when cancelled', async () => {
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-archive-progress-'));
+  const destination = path.join(workDir, 'staging');
+
+  try {
+    const zip = new AdmZip();
+    zip.addFile('mods/a.jar', Buffer.alloc(2048, 1));
+    zip.addFile('mods/b.jar', Buffer.alloc(1024, 2));
+    zip.addFile('mods/c.jar', Buffer.alloc(512, 3));
+    const archivePath = path.join(workDir, 'pack.zip');
+    zip.writeZip(archivePath);
+
+    const updates = [];
+    const result = await extractArchive(archivePath, destination, { onProgress: (update) => updates.push(update) });
+    assert.equal(result.totalBytes, 3584);
+    assert.deepEqual(updates.at(-1), { extractedFiles: 3, fileCount: 3, extractedBytes: 3584, totalBytes: 3584 });
+    assert.equal((await fsp.readFile(path.join(destination, 'mods', 'b.jar'))).length, 1024);
+
+    let extracted = 0;
+    await assert.rejects(
+      extractArchive(archivePath, path.join(workDir, 'cancelled'), {
+        ensureNotCancelled: () => {
+          if (extracted >= 1) {
+            throw Object.assign(new Error('Update cancelled'), { cancelled: true });
+          }
+        },
+        onProgress: ({ extractedFiles }) => {
+          extracted = extractedFiles;
+        }
+      }),
+      (error) => error.cancelled === true
+    );
+    await assert.rejects(fsp.access(path.join(workDir, 'cancelled', 'mods', 'b.jar')));
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+});
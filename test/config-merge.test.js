@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const fsp = fs.promises;
+
+const {
+  normalizeConfigPolicies,
+  resolveConfigPolicy,
+  mergeConfigText,
+  applyConfigPolicy
+} = require('../src/main/configMerge');
+
+test('resolveConfigPolicy picks the most specific matching pattern', () => {
+  const rules = normalizeConfigPolicies({
+    'config/**': 'merge',
+    'config/hellasforms-common.toml': 'overwrite',
+    'options.txt': 'merge',
+    'servers.dat': 'keep-user'
+  });
+
+  assert.equal(resolveConfigPolicy(rules, 'config/jei/jei-client.toml'), 'merge');
+  assert.equal(resolveConfigPolicy(rules, 'config/hellasforms-common.toml'), 'overwrite');
+  assert.equal(resolveConfigPolicy(rules, 'servers.dat'), 'keep-user');
+  assert.equal(resolveConfigPolicy(rules, 'mods/jei.jar'), 'overwrite');
+  assert.throws(() => normalizeConfigPolicies({ 'options.txt': 'replace' }), /Unknown config policy/);
+});
+
+test('mergeConfigText keeps player options while taking pack changes and new keys', () => {
+  const merged = mergeConfigText('options.txt', {
+    base: 'fov:0.0\nrenderDistance:8\nkey_key.jump:key.keyboard.space\n',
+    user: 'fov:0.5\nrenderDistance:8\nkey_key.jump:key.keyboard.space\nlang:de_de\n',
+    pack: 'fov:0.0\nrenderDistance:10\nkey_key.jump:key.keyboard.space\nguiScale:2\n'
+  });
+
+  assert.equal(merged, 'fov:0.5\nrenderDistance:10\nkey_key.jump:key.keyboard.space\nguiScale:2\nlang:de_de\n');
+});
+
+test('mergeConfigText merges nested JSON configs', () => {
+  const merged = mergeConfigText('config/minimap.json', {
+    base: JSON.stringify({ display: { size: 1, zoom: 2 }, removed: true }),
+    user: JSON.stringify({ display: { size: 3, zoom: 2 }, removed: true }),
+    pack: JSON.stringify({ display: { size: 1, zoom: 4, opacity: 80 } })
+  });
+
+  assert.deepEqual(JSON.parse(merged), { display: { size: 3, zoom: 4, opacity: 80 } });
+});
+
+test('mergeConfigText rewrites only changed TOML values and keeps the pack layout', () => {
+  const base = ['[client]', '\t# Show tooltips', '\ttooltips = true', '\tscale = 1.0', ''].join('\n');
+  const user = ['[client]', '\t# Show tooltips', '\ttooltips = false', '\tscale = 1.0', ''].join('\n');
+  const pack = [
+    '[client]',
+    '\t# Show tooltips',
+    '\ttooltips = true',
+    '\tscale = 1.5',
+    '\thidden = [',
+    '\t\t"minecraft:barrier"',
+    '\t]',
+    ''
+  ].join('\n');
+
+  assert.equal(
+    mergeConfigText('config/jei-client.toml', { base, user, pack }),
+    [
+      '[client]',
+      '\t# Show tooltips',
+      '\ttooltips = false',
+      '\tscale = 1.5',
+      '\thidden = [',
+      '\t\t"minecraft:barrier"',
+      '\t]',
+      ''
+    ].join('\n')
+  );
+  assert.equal(mergeConfigText('config/unknown.cfg', { base, user, pack }), null);
+  assert.equal(mergeConfigText('config/broken.json', { base: null, user: '{', pack: '{}' }), null);
+});
+
+test('applyConfigPolicy merges into the staged file and keeps unmergeable player files', async () => {
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-config-merge-'));
+  const stagedPath = path.join(workDir, 'staged.txt');
+  const livePath = path.join(workDir, 'live.txt');
+  const pristinePath = path.join(workDir, 'pristine.txt');
+
+  try {
+    await fsp.writeFile(stagedPath, 'fov:0.0\nguiScale:2\n');
+    await fsp.writeFile(livePath, 'fov:0.5\n');
+    await fsp.writeFile(pristinePath, 'fov:0.0\n');
+
+    const merged = await applyConfigPolicy({
+      policy: 'merge',
+      relativePath: 'options.txt',
+      stagedPath,
+      livePath,
+      pristinePath
+    });
+    assert.equal(merged.install, true);
+    assert.equal(merged.pristine, 'fov:0.0\nguiScale:2\n');
+    assert.equal(await fsp.readFile(stagedPath, 'utf8'), 'fov:0.5\nguiScale:2\n');
+
+    const kept = await applyConfigPolicy({
+      policy: 'keep-user',
+      relativePath: 'options.txt',
+      stagedPath,
+      livePath,
+      pristinePath
+    });
+    assert.equal(kept.install, false);
+
+    await fsp.writeFile(stagedPath, 'pack');
+    await fsp.writeFile(livePath, 'player');
+    const unmerged = await applyConfigPolicy({
+      policy: 'merge',
+      relativePath: 'config/a.cfg',
+      stagedPath,
+      livePath,
+      pristinePath
+    });
+    assert.equal(unmerged.install, false);
+    assert.equal(unmerged.unmerged, true);
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+});
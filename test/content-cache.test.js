@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const fsp = fs.promises;
+
+const { toCacheKey, getContentCacheDir, createContentCache, clearDownloadCache } = require('../src/main/contentCache');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+const sha1 = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+async function writeSource(dir, name, content) {
+  const filePath = path.join(dir, 'downloads', name);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(filePath, content);
+  return filePath;
+}
+
+test('toCacheKey prefers sha256 and ignores malformed digests', () => {
+  assert.deepEqual(toCacheKey({ sha256: sha256('a').toUpperCase(), sha1: sha1('a') }), {
+    algorithm: 'sha256',
+    hash: sha256('a')
+  });
+  assert.deepEqual(toCacheKey({ sha256: 'not-a-hash', sha1: sha1('a') }), { algorithm: 'sha1', hash: sha1('a') });
+  assert.equal(toCacheKey({}), null);
+});
+
+test('restore copies cached objects and drops entries that no longer match their digest', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-content-cache-'));
+
+  try {
+    const cache = createContentCache(rootDir);
+    const source = await writeSource(rootDir, 'client.jar', 'client');
+    await cache.store({ sha1: sha1('client') }, source);
+
+    const restoredPath = path.join(rootDir, 'versions', '1.16.5', '1.16.5.jar');
+    assert.equal(await cache.restore({ sha1: sha1('client') }, restoredPath), true);
+    assert.equal(await fsp.readFile(restoredPath, 'utf8'), 'client');
+    assert.equal(await cache.restore({ sha1: sha1('missing') }, restoredPath), false);
+
+    const entryPath = path.join(getContentCacheDir(rootDir), 'sha1', sha1('client').slice(0, 2), sha1('client'));
+    await fsp.writeFile(entryPath, 'tampered');
+    await fsp.rm(restoredPath);
+    assert.equal(await cache.restore({ sha1: sha1('client') }, restoredPath), false);
+    await assert.rejects(fsp.access(restoredPath));
+    await assert.rejects(fsp.access(entryPath));
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('evict drops the least recently used objects beyond the size cap', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-content-lru-'));
+
+  try {
+    const cache = createContentCache(rootDir, { maxBytes: 12 });
+    const contents = ['aaaa', 'bbbb', 'cccc'];
+    for (const [index, content] of contents.entries()) {
+      await cache.store({ sha256: sha256(content) }, await writeSource(rootDir, `${index}.bin`, content));
+      // Spread the timestamps so the access order is unambiguous.
+      const entry = path.join(getContentCacheDir(rootDir), 'sha256', sha256(content).slice(0, 2), sha256(content));
+      const stamp = new Date(Date.now() - (contents.length - index) * 60000);
+      await fsp.utimes(entry, stamp, stamp);
+    }
+
+    // Touch "aaaa" so "bbbb" becomes the least recently used entry.
+    assert.equal(await cache.restore({ sha256: sha256('aaaa') }, path.join(rootDir, 'out', 'a')), true);
+    assert.equal(await createContentCache(rootDir, { maxBytes: 10 }).evict(), 8);
+    assert.equal(await cache.restore({ sha256: sha256('bbbb') }, path.join(rootDir, 'out', 'b')), false);
+    assert.equal(await cache.restore({ sha256: sha256('cccc') }, path.join(rootDir, 'out', 'c')), true);
+
+    assert.equal(await clearDownloadCache(rootDir), 8);
+    assert.equal(await cache.getSize(), 0);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
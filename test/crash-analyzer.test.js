@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const fsp = fs.promises;
+
+const { parseCrashReport, matchKnownProblem, analyzeCrash } = require('../src/main/crashAnalyzer');
+
+const MOD_LOADING_REPORT = `---- Minecraft Crash Report ----
+// Who set us up the TNT?
+
+Time: 19/10/26 18:02
+Description: Mod loading error has occurred
+
+java.lang.Exception: Mod Loading has failed
+\tat net.minecraftforge.fml.CrashReportExtender.dumpModLoadingCrashReport(CrashReportExtender.java:85)
+
+-- MOD create --
+Details:
+\tMod File: create-mc1.16.5_v0.3.2g.jar
+\tFailure message: Create (create) encountered an error during the sided_setup event phase
+\t\tjava.lang.NoClassDefFoundError: com/simibubi/create/Registrate
+\tMod Version: 0.3.2g
+
+-- System Details --
+Details:
+\tMinecraft Version: 1.16.5
+\tJava Version: 1.8.0_402, Temurin
+\tSuspected Mods: NONE
+\tForge: net.minecraftforge:36.2.42
+`;
+
+const JVM_CRASH_LOG = `#
+# There is insufficient memory for the Java Runtime Environment to continue.
+# Native memory allocation (mmap) failed to map 2147483648 bytes for committing reserved memory.
+#
+# JRE version: OpenJDK Runtime Environment Temurin-17.0.9+9 (17.0.9+9) (build 17.0.9+9)
+`;
+
+test('parseCrashReport reads the exception, suspected mods and versions', () => {
+  const report = parseCrashReport(MOD_LOADING_REPORT);
+
+  assert.equal(report.description, 'Mod loading error has occurred');
+  assert.equal(report.exception, 'java.lang.Exception: Mod Loading has failed');
+  assert.deepEqual(report.suspectedMods, ['create']);
+  assert.equal(report.minecraftVersion, '1.16.5');
+  assert.equal(report.javaVersion, '1.8.0_402');
+  assert.equal(report.javaMajor, 8);
+  assert.equal(report.forgeVersion, '36.2.42');
+
+  const jvm = parseCrashReport(JVM_CRASH_LOG, 'jvm-crash');
+  assert.equal(jvm.exception, 'There is insufficient memory for the Java Runtime Environment to continue.');
+  assert.equal(jvm.javaVersion, '17.0.9');
+  assert.equal(jvm.javaMajor, 17);
+});
+
+test('matchKnownProblem recognises memory, Java, mixin and dependency failures', () => {
+  const idFor = (text, context) => matchKnownProblem(text, parseCrashReport(text), context)?.id || null;
+
+  assert.equal(idFor('java.lang.OutOfMemoryError: Java heap space'), 'out-of-memory');
+  assert.equal(matchKnownProblem(JVM_CRASH_LOG, parseCrashReport(JVM_CRASH_LOG, 'jvm-crash')).id, 'out-of-memory');
+  assert.equal(
+    idFor('java.lang.UnsupportedClassVersionError: has been compiled by a more recent version'),
+    'wrong-java'
+  );
+  const java17Report = 'Description: Initializing game\n\tJava Version: 17.0.9, Temurin';
+  assert.equal(idFor(java17Report, { requiredJavaMajor: 8 }), 'wrong-java');
+  assert.equal(idFor(java17Report, { requiredJavaMajor: 17 }), null);
+  assert.equal(
+    idFor('org.spongepowered.asm.mixin.transformer.throwables.MixinTransformerError: An unexpected issue'),
+    'mixin-failure'
+  );
+  assert.deepEqual(
+    parseCrashReport('Mixin [quark.mixins.json:ItemMixin] from mod quark failed injection check').suspectedMods,
+    ['quark']
+  );
+  assert.equal(idFor(MOD_LOADING_REPORT, { requiredJavaMajor: 8 }), 'missing-dependency');
+  assert.equal(idFor('java.lang.NullPointerException: Ticking entity'), null);
+});
+
+test('analyzeCrash picks the newest report written since the launch', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-crash-'));
+  const gameDir = path.join(rootDir, 'modpack');
+  const launchedAt = Date.now();
+
+  try {
+    await fsp.mkdir(path.join(gameDir, 'crash-reports'), { recursive: true });
+    assert.equal(await analyzeCrash({ directories: [gameDir, rootDir], since: launchedAt }), null);
+
+    const stalePath = path.join(gameDir, 'crash-reports', 'crash-2026-10-01_12.00.00-client.txt');
+    await fsp.writeFile(stalePath, 'java.lang.OutOfMemoryError: Java heap space');
+    const staleTime = new Date(launchedAt - 60 * 60 * 1000);
+    await fsp.utimes(stalePath, staleTime, staleTime);
+    assert.equal(await analyzeCrash({ directories: [gameDir, rootDir], since: launchedAt }), null);
+
+    const reportPath = path.join(gameDir, 'crash-reports', 'crash-2026-10-19_18.02.00-fml.txt');
+    await fsp.writeFile(reportPath, MOD_LOADING_REPORT);
+    const crash = await analyzeCrash({ directories: [gameDir, rootDir], since: launchedAt, requiredJavaMajor: 8 });
+    assert.equal(crash.path, reportPath);
+    assert.equal(crash.kind, 'crash-report');
+    assert.equal(crash.problem.id, 'missing-dependency');
+
+    const jvmLogPath = path.join(rootDir, 'hs_err_pid4242.log');
+    await fsp.writeFile(jvmLogPath, JVM_CRASH_LOG);
+    const newer = new Date(Date.now() + 5000);
+    await fsp.utimes(jvmLogPath, newer, newer);
+    const jvmCrash = await analyzeCrash({ directories: [gameDir, rootDir], since: launchedAt });
+    assert.equal(jvmCrash.path, jvmLogPath);
+    assert.equal(jvmCrash.kind, 'jvm-crash');
+    assert.equal(jvmCrash.problem.id, 'out-of-memory');
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,180 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const fsp = fs.promises;
+
+const remoteFiles = new Map();
+const requestedUrls = [];
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    requestedUrls.push(url);
+    const content = remoteFiles.get(url);
+    return {
+      ok: content !== undefined,
+      status: content !== undefined ? 200 : 404,
+      headers: { get: () => null },
+      body: Readable.from([Buffer.from(content || '')])
+    };
+  }
+};
+
+const {
+  diffManifest,
+  writeInstalledManifest,
+  readInstalledManifest,
+  normalizeOptionalGroups,
+  resolveEnabledGroups,
+  selectOptionalFiles
+} = require('../src/main/packManifest');
+const { downloadAndExtractUpdate } = require('../src/main/update');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function fileEntry(relativePath, content) {
+  const url = `https://example.test/files/${relativePath}`;
+  remoteFiles.set(url, content);
+  return { path: relativePath, size: Buffer.byteLength(content), sha256: sha256(content), url };
+}
+
+test('diffManifest downloads changed files and removes files dropped from the pack', async () => {
+  const modpackDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-delta-diff-'));
+
+  try {
+    await fsp.mkdir(path.join(modpackDir, 'mods'), { recursive: true });
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'same.jar'), 'same');
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'changed.jar'), 'old');
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'dropped.jar'), 'dropped');
+
+    const files = [
+      fileEntry('mods/same.jar', 'same'),
+      fileEntry('mods/changed.jar', 'new!'),
+      fileEntry('mods/added.jar', 'added')
+    ];
+    const previousFiles = [{ path: 'mods/dropped.jar', sha256: sha256('dropped') }];
+
+    const result = await diffManifest(modpackDir, files, previousFiles);
+
+    assert.deepEqual(
+      result.download.map((file) => file.path),
+      ['mods/changed.jar', 'mods/added.jar']
+    );
+    assert.deepEqual(result.unchanged.map((file) => file.path), ['mods/same.jar']);
+    assert.deepEqual(result.remove, ['mods/dropped.jar']);
+  } finally {
+    await fsp.rm(modpackDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadAndExtractUpdate applies a file manifest without touching unchanged files', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-delta-apply-'));
+  const modpackDir = path.join(installDir, 'modpack');
+
+  try {
+    await fsp.mkdir(path.join(modpackDir, 'mods'), { recursive: true });
+    await fsp.mkdir(path.join(modpackDir, 'config'), { recursive: true });
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'keep.jar'), 'keep');
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'old.jar'), 'old');
+    await fsp.writeFile(path.join(modpackDir, 'config', 'pack.toml'), 'a = 1');
+    await writeInstalledManifest(modpackDir, {
+      version: '1.0.0',
+      files: [
+        { path: 'mods/keep.jar', sha256: sha256('keep') },
+        { path: 'mods/old.jar', sha256: sha256('old') },
+        { path: 'config/pack.toml', sha256: sha256('a = 1') }
+      ]
+    });
+
+    const files = [fileEntry('mods/keep.jar', 'keep'), fileEntry('config/pack.toml', 'a = 2')];
+    requestedUrls.length = 0;
+
+    const result = await downloadAndExtractUpdate(
+      { type: 'direct', url: null, version: '1.1.0', files },
+      installDir
+    );
+
+    assert.equal(result.version, '1.1.0');
+    assert.deepEqual(requestedUrls, ['https://example.test/files/config/pack.toml']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'config', 'pack.toml'), 'utf8'), 'a = 2');
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'mods', 'keep.jar'), 'utf8'), 'keep');
+    await assert.rejects(fsp.access(path.join(modpackDir, 'mods', 'old.jar')));
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadAndExtractUpdate rejects manifest files with a mismatched checksum', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-delta-mismatch-'));
+
+  try {
+    const file = fileEntry('mods/broken.jar', 'expected');
+    remoteFiles.set(file.url, 'tampered');
+
+    await assert.rejects(
+      downloadAndExtractUpdate({ type: 'direct', url: null, version: '1.0.0', files: [file] }, installDir),
+      /does not match its expected SHA-256/
+    );
+    await assert.rejects(fsp.access(path.join(installDir, 'modpack', 'mods', 'broken.jar')));
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('optional groups follow the player choice, fall back to their default and may not shadow pack files', () => {
+  const groups = normalizeOptionalGroups([
+    { id: 'shaders', name: 'Shaders', default: true, files: [{ path: 'mods/oculus.jar', url: 'o', sha256: 'A' }] },
+    { id: 'minimap', files: [{ path: 'mods/minimap.jar', url: 'm', sha256: 'b' }] }
+  ]);
+
+  assert.equal(groups[1].name, 'minimap');
+  assert.equal(groups[0].files[0].sha256, 'a');
+  assert.deepEqual(resolveEnabledGroups(groups, {}), ['shaders']);
+  assert.deepEqual(resolveEnabledGroups(groups, { shaders: false, minimap: true }), ['minimap']);
+  assert.throws(() => normalizeOptionalGroups([{ id: 'a' }, { id: 'a' }]), /listed more than once/);
+  assert.throws(
+    () => selectOptionalFiles(groups, ['shaders'], [{ path: 'mods/oculus.jar' }]),
+    /ships mods\/oculus\.jar, which the pack already provides/
+  );
+});
+
+test('downloadAndExtractUpdate installs enabled optional groups and removes groups switched off', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-delta-optional-'));
+  const modpackDir = path.join(installDir, 'modpack');
+
+  try {
+    const optionalGroups = [
+      { id: 'shaders', name: 'Shaders', default: true, files: [fileEntry('mods/oculus.jar', 'o')] },
+      { id: 'music', name: 'Music', default: false, files: [fileEntry('resourcepacks/music.zip', 'm')] }
+    ];
+    const source = { type: 'direct', url: null, version: '1.0.0', files: [fileEntry('mods/core.jar', 'c')] };
+
+    const first = await downloadAndExtractUpdate(
+      { ...source, optionalGroups, groupChoices: { music: true } },
+      installDir
+    );
+    assert.deepEqual(first.optionalGroups, ['shaders', 'music']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'mods', 'oculus.jar'), 'utf8'), 'o');
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'resourcepacks', 'music.zip'), 'utf8'), 'm');
+
+    const second = await downloadAndExtractUpdate(
+      { ...source, optionalGroups, groupChoices: { shaders: false, music: true } },
+      installDir
+    );
+    assert.deepEqual(second.optionalGroups, ['music']);
+    await assert.rejects(fsp.access(path.join(modpackDir, 'mods', 'oculus.jar')));
+    const ledger = await readInstalledManifest(modpackDir);
+    assert.deepEqual(ledger.files.map((file) => file.path).sort(), ['mods/core.jar', 'resourcepacks/music.zip']);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+
+const { formatBytes, getFreeSpace, estimateRuntimeBytes, assertDiskSpace } = require('../src/main/diskSpace');
+const { estimateUpdateSize } = require('../src/main/update');
+
+test('formatBytes renders human readable sizes', () => {
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(3 * 1024 * 1024 * 1024), '3.0 GB');
+});
+
+test('assertDiskSpace refuses with the amount that is needed', async () => {
+  const targetDir = path.join(os.tmpdir(), 'hellas-disk-space', 'not-created-yet');
+  const free = await getFreeSpace(targetDir);
+  assert.ok(free > 0);
+
+  await assert.rejects(assertDiskSpace(targetDir, free * 2), (error) => {
+    assert.equal(error.code, 'ENOSPC');
+    assert.match(error.message, /is needed on the drive holding .* but only .* is free/);
+    assert.ok(error.requiredBytes > error.availableBytes);
+    return true;
+  });
+
+  const result = await assertDiskSpace(targetDir, 1024, { margin: 0 });
+  assert.equal(result.requiredBytes, 1024);
+  await assert.doesNotReject(assertDiskSpace(targetDir, free * 2, { reclaimableBytes: free * 2 }));
+});
+
+test('estimates cover missing runtimes and the files an install writes', async () => {
+  assert.equal(estimateRuntimeBytes({ minecraft: true, forge: true }), 0);
+  assert.ok(estimateRuntimeBytes({ minecraft: false, forge: true }) > estimateRuntimeBytes({ minecraft: true }));
+
+  const files = [
+    { path: 'mods/a.jar', size: 1000, sha256: 'a'.repeat(64), url: 'https://example.test/a.jar' },
+    { path: 'mods/b.jar', size: 2000, sha256: 'b'.repeat(64), url: 'https://example.test/b.jar' }
+  ];
+  const delta = await estimateUpdateSize({ type: 'direct', url: null, files }, os.tmpdir(), { fresh: true });
+  assert.deepEqual(delta, { downloadBytes: 3000, requiredBytes: 3000 });
+
+  const archive = await estimateUpdateSize({ type: 'direct', url: null, size: 4000, unpackedSize: 5000 }, os.tmpdir());
+  assert.deepEqual(archive, { downloadBytes: 4000, requiredBytes: 9000 });
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const fsp = fs.promises;
+
+const PAYLOAD = Buffer.from('hellas pack archive');
+const PAYLOAD_SHA256 = crypto.createHash('sha256').update(PAYLOAD).digest('hex');
+const requestedUrls = [];
+
+const mirrorBehaviour = {
+  'https://down.example/pack.zip': { status: 503 },
+  'https://corrupt.example/pack.zip': { status: 200, body: Buffer.from('corrupted bytes') },
+  'https://good.example/pack.zip': { status: 200, body: PAYLOAD }
+};
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    requestedUrls.push(url);
+    const behaviour = mirrorBehaviour[url];
+    return {
+      ok: behaviour.status === 200,
+      status: behaviour.status,
+      headers: { get: () => null },
+      body: Readable.from([behaviour.body || Buffer.alloc(0)])
+    };
+  }
+};
+
+const { orderMirrors, downloadFromMirrors, getPartialDownloadPath } = require('../src/main/download');
+
+test('orderMirrors tries the primary URL first and sorts mirrors by priority', () => {
+  const ordered = orderMirrors('https://primary.example/pack.zip', [
+    { url: 'https://late.example/pack.zip', priority: 5 },
+    'https://default.example/pack.zip',
+    { url: 'https://primary.example/pack.zip', priority: 9 }
+  ]);
+
+  assert.deepEqual(
+    ordered.map((mirror) => mirror.url),
+    ['https://primary.example/pack.zip', 'https://default.example/pack.zip', 'https://late.example/pack.zip']
+  );
+});
+
+test('orderMirrors spreads equal-priority mirrors by weight', () => {
+  const mirrors = [
+    { url: 'https://a.example/pack.zip', weight: 1 },
+    { url: 'https://b.example/pack.zip', weight: 3 }
+  ];
+
+  assert.equal(orderMirrors(null, mirrors, () => 0.1)[0].url, 'https://a.example/pack.zip');
+  assert.equal(orderMirrors(null, mirrors, () => 0.5)[0].url, 'https://b.example/pack.zip');
+});
+
+test('downloadFromMirrors falls over on HTTP errors and checksum mismatches', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-mirrors-'));
+  const failures = [];
+  requestedUrls.length = 0;
+
+  try {
+    const result = await downloadFromMirrors({
+      mirrors: orderMirrors('https://down.example/pack.zip', [
+        'https://corrupt.example/pack.zip',
+        { url: 'https://good.example/pack.zip', priority: 2 }
+      ]),
+      partialPath: getPartialDownloadPath(rootDir, { sha256: PAYLOAD_SHA256 }),
+      sha256: PAYLOAD_SHA256,
+      onMirrorError: (mirror) => failures.push(mirror)
+    });
+
+    assert.equal(result.mirror, 'https://good.example/pack.zip');
+    assert.deepEqual(failures, ['https://down.example/pack.zip', 'https://corrupt.example/pack.zip']);
+    assert.deepEqual(await fsp.readFile(result.path), PAYLOAD);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadFromMirrors reports the last error when every mirror fails', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-mirrors-fail-'));
+
+  try {
+    await assert.rejects(
+      downloadFromMirrors({
+        mirrors: orderMirrors('https://down.example/pack.zip', ['https://corrupt.example/pack.zip']),
+        partialPath: getPartialDownloadPath(rootDir, { sha256: PAYLOAD_SHA256 }),
+        sha256: PAYLOAD_SHA256
+      }),
+      /All 2 download mirrors failed\. Last error: .*SHA-256/
+    );
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FEED_SCHEMA_VERSION, validateFeedManifest, validateDescriptor } = require('../src/main/feedSchema');
+
+const sha = 'ab'.repeat(32);
+
+test('validateFeedManifest accepts feeds with and without a schema version', () => {
+  const feed = {
+    channels: {
+      stable: {
+        version: '1.3.0',
+        url: 'packs/hellas-1.3.0.zip',
+        sha256: sha,
+        minecraftVersion: '1.16.5',
+        forgeVersion: '36.2.39',
+        mirrors: ['mirror/hellas.zip', { url: 'https://mirror.example/hellas.zip', priority: 2 }],
+        configPolicies: { 'config/**': 'merge' },
+        versions: [{ version: '1.2.0', url: 'packs/hellas-1.2.0.zip', sha256: null }]
+      }
+    },
+    launcher: { version: '1.4.0', minimumVersion: '1.2.0' },
+    futureField: { ignored: true }
+  };
+
+  assert.equal(validateFeedManifest(feed), feed);
+  assert.doesNotThrow(() => validateFeedManifest({ ...feed, schemaVersion: FEED_SCHEMA_VERSION }));
+});
+
+test('validateFeedManifest reports the exact field and problem', () => {
+  const feed = {
+    channels: {
+      beta: {
+        version: '1.4.0-beta.1',
+        sha256: 'abc',
+        size: -1,
+        files: [{ path: 'mods/a.jar', url: 'files/a.jar' }],
+        configPolicies: { 'options.txt': 'replace' }
+      }
+    },
+    launcher: 'latest'
+  };
+
+  assert.throws(
+    () => validateFeedManifest(feed),
+    (error) => {
+      assert.equal(error.code, 'EFEEDSCHEMA');
+      assert.deepEqual(error.problems, [
+        'channels.beta.sha256: expected a 64-character hex SHA-256 digest, got "abc"',
+        'channels.beta.size: must be at least 0',
+        'channels.beta.files[0].sha256: is required',
+        'channels.beta.configPolicies["options.txt"]: must be one of "overwrite", "keep-user", "merge"',
+        'launcher: expected an object, got string "latest"'
+      ]);
+      assert.match(error.message, /^Update feed is invalid: channels\.beta\.sha256: expected/);
+      return true;
+    }
+  );
+});
+
+test('newer feed formats ask the player to update the launcher', () => {
+  assert.throws(
+    () => validateFeedManifest({ schemaVersion: FEED_SCHEMA_VERSION + 1, version: 'anything' }),
+    (error) => error.code === 'EFEEDVERSION' && /Update the launcher/.test(error.message)
+  );
+});
+
+test('validateDescriptor requires a pack location', () => {
+  assert.doesNotThrow(() => validateDescriptor({ modpack: { version: '1.3.0', url: 'https://example.test/pack.zip' } }));
+  assert.throws(
+    () => validateDescriptor({ modpack: { version: '1.3.0' } }),
+    /Update descriptor is invalid: modpack: needs a "url", "files" or "mirrors" entry/
+  );
+});
+
+test('a pack that picks its own Minecraft version must name a Forge version', () => {
+  assert.throws(
+    () =>
+      validateFeedManifest({
+        minecraftVersion: '1.18.2',
+        forgeVersion: '40.2.0',
+        channels: { beta: { version: '2.0.0', minecraftVersion: '1.20.1', versions: [{ minecraftVersion: '1.19.2' }] } }
+      }),
+    (error) => {
+      assert.equal(error.code, 'EFEEDSCHEMA');
+      assert.deepEqual(error.problems, [
+        'channels.beta.forgeVersion: is required when "minecraftVersion" is set',
+        'channels.beta.versions[0].forgeVersion: is required when "minecraftVersion" is set'
+      ]);
+      return true;
+    }
+  );
+  assert.throws(
+    () => validateDescriptor({ modpack: { url: 'https://example.test/pack.zip', minecraftVersion: '1.20.1' } }),
+    /modpack\.forgeVersion: is required when "minecraftVersion" is set/
+  );
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const fsp = fs.promises;
+
+const remoteFiles = new Map();
+const requestedUrls = [];
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    requestedUrls.push(url);
+    const content = remoteFiles.get(url);
+    return {
+      ok: content !== undefined,
+      status: content !== undefined ? 200 : 404,
+      json: async () => JSON.parse(content),
+      body: Readable.from([Buffer.from(content || '')])
+    };
+  }
+};
+
+const { verifyGameFiles, checkLaunchRequirements } = require('../src/main/launcher');
+
+const sha1 = (content) => crypto.createHash('sha1').update(content).digest('hex');
+const currentOs = { win32: 'windows', darwin: 'osx' }[process.platform] || 'linux';
+const describe = (content) => ({ sha1: sha1(content), size: Buffer.byteLength(content) });
+
+async function createInstall(dir) {
+  const assetContent = 'grass sound';
+  const assetHash = sha1(assetContent);
+  const assetIndex = JSON.stringify({ objects: { 'minecraft/sounds/grass.ogg': { hash: assetHash, size: 11 } } });
+  const profile = {
+    id: '1.16.5',
+    downloads: { client: { url: 'https://example.test/client.jar', ...describe('client jar') } },
+    assetIndex: { id: '1.16', url: 'https://example.test/1.16.json', ...describe(assetIndex) },
+    libraries: [
+      {
+        name: 'com.example:core:1.0',
+        downloads: { artifact: { path: 'com/example/core-1.0.jar', url: 'https://example.test/core.jar', ...describe('core') } }
+      },
+      {
+        name: 'com.example:other-os:1.0',
+        rules: [{ action: 'allow' }, { action: 'disallow', os: { name: currentOs } }],
+        downloads: { artifact: { path: 'com/example/other-1.0.jar', url: 'https://example.test/other.jar', ...describe('x') } }
+      }
+    ]
+  };
+
+  remoteFiles.set('https://example.test/client.jar', 'client jar');
+  remoteFiles.set('https://example.test/1.16.json', assetIndex);
+  remoteFiles.set('https://example.test/core.jar', 'core');
+  remoteFiles.set(`https://resources.download.minecraft.net/${assetHash.slice(0, 2)}/${assetHash}`, assetContent);
+
+  const write = async (relativePath, content) => {
+    await fsp.mkdir(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    await fsp.writeFile(path.join(dir, relativePath), content);
+  };
+  await write('versions/1.16.5/1.16.5.json', JSON.stringify(profile));
+  await write('versions/1.16.5/1.16.5.jar', 'client jar');
+  await write('assets/indexes/1.16.json', assetIndex);
+  await write('libraries/com/example/core-1.0.jar', 'core');
+  await write(`assets/objects/${assetHash.slice(0, 2)}/${assetHash}`, assetContent);
+  return { assetPath: path.join(dir, 'assets', 'objects', assetHash.slice(0, 2), assetHash) };
+}
+
+test('verifyGameFiles re-downloads only the broken files and reports them', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-game-files-'));
+
+  try {
+    const { assetPath } = await createInstall(installDir);
+    const clean = await verifyGameFiles(installDir);
+    assert.equal(clean.checked, 4);
+    assert.deepEqual(clean.repaired, []);
+    assert.deepEqual(clean.failed, []);
+
+    await fsp.writeFile(path.join(installDir, 'versions', '1.16.5', '1.16.5.jar'), 'client');
+    await fsp.rm(assetPath);
+    requestedUrls.length = 0;
+    const progress = [];
+    const report = await verifyGameFiles(installDir, { onProgress: (event) => progress.push(event) });
+
+    assert.deepEqual(report.repaired, [
+      { kind: 'client', name: '1.16.5.jar', reason: 'corrupt' },
+      { kind: 'asset', name: 'minecraft/sounds/grass.ogg', reason: 'missing' }
+    ]);
+    assert.deepEqual(report.failed, []);
+    assert.equal(requestedUrls.length, 2);
+    assert.deepEqual(progress.at(-1), { checked: 4, total: 4, file: 'minecraft/sounds/grass.ogg' });
+    assert.equal(await fsp.readFile(assetPath, 'utf8'), 'grass sound');
+
+    await fsp.writeFile(path.join(installDir, 'libraries', 'com', 'example', 'core-1.0.jar'), 'c0re');
+    const checkOnly = await verifyGameFiles(installDir, { repair: false });
+    assert.deepEqual(checkOnly.failed, [{ kind: 'library', name: 'com.example:core:1.0', reason: 'corrupt' }]);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('an empty version profile does not count as an installed Minecraft', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-game-profile-'));
+
+  try {
+    await createInstall(installDir);
+    await fsp.writeFile(path.join(installDir, 'versions', '1.16.5', '1.16.5.json'), '{}');
+
+    const result = await checkLaunchRequirements(installDir);
+    assert.equal(result.requirements.minecraft, false);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
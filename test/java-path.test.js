@@ -5,53 +5,137 @@ const path = require('node:path');
 const fs = require('node:fs');
 const fsp = fs.promises;
 
-const { resolveBundledJava } = require('../src/main/javaResolver');
+const {
+  getJavaExecutableName,
+  findJavaExecutable,
+  getRequiredJavaMajor,
+  listJavaCandidates,
+  selectJavaRuntime
+} = require('../src/main/javaResolver');
 
-const JAVA_EXECUTABLE = 'javaw.exe';
+const JAVA_EXECUTABLE = getJavaExecutableName();
 
-test('resolveBundledJava prefers bundled Java 8', async () => {
-  const tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-path-jre8-'));
-  const jre8Bin = path.join(tempDir, 'jre8', 'bin');
-  await fsp.mkdir(jre8Bin, { recursive: true });
-  const javaPath = path.join(jre8Bin, JAVA_EXECUTABLE);
+async function createJavaHome(rootDir, name) {
+  const binDir = path.join(rootDir, name, 'bin');
+  await fsp.mkdir(binDir, { recursive: true });
+  const javaPath = path.join(binDir, JAVA_EXECUTABLE);
   await fsp.writeFile(javaPath, '');
+  return javaPath;
+}
 
-  const originalResourcesPath = process.resourcesPath;
-  process.resourcesPath = tempDir;
+// Reports the major version encoded in each fake runtime's folder name.
+const probe = async (javaPath) => {
+  const major = Number(/(?:jre|java-)(\d+)/.exec(javaPath)?.[1]) || null;
+  return { version: major ? `${major}.0.1` : null, major };
+};
+
+test('getJavaExecutableName uses javaw.exe on Windows and java elsewhere', () => {
+  assert.equal(getJavaExecutableName('win32'), 'javaw.exe');
+  assert.equal(getJavaExecutableName('linux'), 'java');
+  assert.equal(getJavaExecutableName('darwin'), 'java');
+});
+
+test('selectJavaRuntime prefers bundled Java 8 and falls back to Java 11', async () => {
+  const resourcesPath = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-path-bundled-'));
 
   try {
-    assert.equal(resolveBundledJava(), javaPath);
+    const jre11 = await createJavaHome(resourcesPath, 'jre11');
+    const options = { resourcesPath, env: {}, requiredMajor: 8, probe };
+    assert.equal((await selectJavaRuntime(options)).path, jre11);
+
+    const jre8 = await createJavaHome(resourcesPath, 'jre8');
+    const selected = await selectJavaRuntime(options);
+    assert.equal(selected.path, jre8);
+    assert.equal(selected.source, 'bundled');
+    assert.equal(selected.major, 8);
   } finally {
-    process.resourcesPath = originalResourcesPath;
-    await fsp.rm(tempDir, { recursive: true, force: true });
+    await fsp.rm(resourcesPath, { recursive: true, force: true });
   }
 });
 
-test('resolveBundledJava falls back to bundled Java 11 when Java 8 is missing', async () => {
-  const tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-path-jre11-'));
-  const jre11Bin = path.join(tempDir, 'jre11', 'bin');
-  await fsp.mkdir(jre11Bin, { recursive: true });
-  const javaPath = path.join(jre11Bin, JAVA_EXECUTABLE);
-  await fsp.writeFile(javaPath, '');
+test('selectJavaRuntime uses a downloaded runtime matching the pack before a newer bundled one', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-path-managed-'));
+
+  try {
+    await createJavaHome(path.join(rootDir, 'resources'), 'jre11');
+    const managed = await createJavaHome(path.join(rootDir, 'runtimes'), 'java-17');
+
+    const selected = await selectJavaRuntime({
+      rootDir,
+      resourcesPath: path.join(rootDir, 'resources'),
+      env: {},
+      requiredMajor: 17,
+      probe
+    });
+    assert.equal(selected.path, managed);
+    assert.equal(selected.source, 'managed');
+    assert.equal(await selectJavaRuntime({ rootDir, env: {}, requiredMajor: 21, probe }), null);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
 
-  const originalResourcesPath = process.resourcesPath;
-  process.resourcesPath = tempDir;
+test('an explicit Java path or BUNDLED_JAVA_PATH wins over detected runtimes', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-path-explicit-'));
 
   try {
-    assert.equal(resolveBundledJava(), javaPath);
+    const bundled = await createJavaHome(path.join(rootDir, 'resources'), 'jre8');
+    const custom = await createJavaHome(rootDir, 'jre11-custom');
+    const resourcesPath = path.join(rootDir, 'resources');
+
+    const fromEnv = await selectJavaRuntime({
+      resourcesPath,
+      env: { BUNDLED_JAVA_PATH: path.join(rootDir, 'jre11-custom') },
+      requiredMajor: 8,
+      probe
+    });
+    assert.deepEqual([fromEnv.source, fromEnv.path], ['env', custom]);
+
+    const fromSetting = await selectJavaRuntime({ resourcesPath, javaPath: custom, env: {}, requiredMajor: 8, probe });
+    assert.deepEqual([fromSetting.source, fromSetting.path], ['setting', custom]);
+
+    const missing = await selectJavaRuntime({
+      resourcesPath,
+      javaPath: path.join(rootDir, 'nowhere'),
+      env: {},
+      requiredMajor: 8,
+      probe
+    });
+    assert.equal(missing.source, 'setting');
+    assert.equal(missing.path, null);
+    assert.notEqual(missing.path, bundled);
   } finally {
-    process.resourcesPath = originalResourcesPath;
-    await fsp.rm(tempDir, { recursive: true, force: true });
+    await fsp.rm(rootDir, { recursive: true, force: true });
   }
 });
 
-test('resolveBundledJava uses system Java when no bundles exist', () => {
-  const originalResourcesPath = process.resourcesPath;
-  process.resourcesPath = path.join(os.tmpdir(), 'hellas-java-path-none');
+test('findJavaExecutable accepts a Java home on Linux and macOS layouts', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-path-home-'));
 
   try {
-    assert.equal(resolveBundledJava(), 'javaw');
+    const linuxJava = path.join(rootDir, 'linux', 'bin', 'java');
+    const macJava = path.join(rootDir, 'mac', 'Contents', 'Home', 'bin', 'java');
+    for (const javaPath of [linuxJava, macJava]) {
+      await fsp.mkdir(path.dirname(javaPath), { recursive: true });
+      await fsp.writeFile(javaPath, '');
+    }
+
+    assert.equal(findJavaExecutable(path.join(rootDir, 'linux'), 'linux'), linuxJava);
+    assert.equal(findJavaExecutable(path.join(rootDir, 'mac'), 'darwin'), macJava);
+    assert.equal(findJavaExecutable(linuxJava, 'linux'), linuxJava);
+    assert.equal(findJavaExecutable(path.join(rootDir, 'empty'), 'linux'), null);
   } finally {
-    process.resourcesPath = originalResourcesPath;
+    await fsp.rm(rootDir, { recursive: true, force: true });
   }
 });
+
+test('system Java is the last candidate and the required version follows Minecraft', () => {
+  const candidates = listJavaCandidates({ resourcesPath: path.join(os.tmpdir(), 'hellas-java-path-none'), env: {} });
+  assert.deepEqual(candidates.at(-1), { source: 'system', path: process.platform === 'win32' ? 'javaw' : 'java' });
+
+  assert.equal(getRequiredJavaMajor('1.16.5'), 8);
+  assert.equal(getRequiredJavaMajor('1.17.1'), 16);
+  assert.equal(getRequiredJavaMajor('1.20.4'), 17);
+  assert.equal(getRequiredJavaMajor('1.20.6'), 21);
+  assert.equal(getRequiredJavaMajor('1.21'), 21);
+});
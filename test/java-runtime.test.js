@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { execFileSync } = require('node:child_process');
+const { Readable } = require('node:stream');
+const fsp = fs.promises;
+
+const ARCHIVE_URL = 'https://example.test/OpenJDK17U-jre_x64_linux_hotspot_17.0.9_9.tar.gz';
+const requests = [];
+let archive = null;
+let publishedChecksum = null;
+let publishedImages = ['jre', 'jdk'];
+
+function headerGetter(headers) {
+  return (name) => headers[name.toLowerCase()] ?? null;
+}
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    requests.push(url);
+    if (url === ARCHIVE_URL) {
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: headerGetter({ 'content-length': String(archive.length) }) },
+        body: Readable.from([archive])
+      };
+    }
+
+    const imageType = new URL(url).searchParams.get('image_type');
+    if (!publishedImages.includes(imageType)) {
+      return { ok: false, status: 404, json: async () => [] };
+    }
+    return {
+      ok: true,
+      status: 200,
+      json: async () => [
+        {
+          release_name: 'jdk-17.0.9+9',
+          binary: {
+            package: {
+              link: ARCHIVE_URL,
+              name: path.posix.basename(ARCHIVE_URL),
+              checksum: publishedChecksum,
+              size: archive.length
+            }
+          }
+        }
+      ]
+    };
+  }
+};
+
+const { fetchJavaRelease, installJavaRuntime } = require('../src/main/javaRuntime');
+const { RUNTIME_INFO_FILENAME, selectJavaRuntime } = require('../src/main/javaResolver');
+
+// Packs a fake Temurin runtime whose java prints a Java 17 version banner.
+async function buildRuntimeArchive(workDir) {
+  const homeDir = path.join(workDir, 'jdk-17.0.9+9-jre');
+  await fsp.mkdir(path.join(homeDir, 'bin'), { recursive: true });
+  const javaPath = path.join(homeDir, 'bin', 'java');
+  await fsp.writeFile(javaPath, '#!/bin/sh\necho \'openjdk version "17.0.9" 2023-10-17\' >&2\n');
+  await fsp.chmod(javaPath, 0o755);
+
+  const archivePath = path.join(workDir, 'runtime.tar.gz');
+  execFileSync('tar', ['-czf', archivePath, '-C', workDir, 'jdk-17.0.9+9-jre']);
+  return fsp.readFile(archivePath);
+}
+
+test('fetchJavaRelease falls back to a JDK when no JRE is published', async () => {
+  archive = Buffer.from('runtime');
+  publishedChecksum = 'AB'.repeat(32);
+  publishedImages = ['jdk'];
+  requests.length = 0;
+
+  try {
+    const release = await fetchJavaRelease(21, { platform: 'win32', arch: 'x64' });
+    assert.equal(release.imageType, 'jdk');
+    assert.equal(release.sha256, 'ab'.repeat(32));
+    assert.equal(release.archiveType, 'tar.gz');
+    assert.match(requests[0], /\/assets\/latest\/21\/hotspot\?.*image_type=jre.*os=windows/);
+    assert.equal(requests.length, 2);
+
+    await assert.rejects(fetchJavaRelease(21, { platform: 'sunos', arch: 'x64' }), /cannot be downloaded for sunos/);
+  } finally {
+    publishedImages = ['jre', 'jdk'];
+  }
+});
+
+const skip = process.platform === 'win32';
+
+test('installJavaRuntime verifies, unpacks and registers a managed runtime', { skip }, async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-java-runtime-'));
+
+  try {
+    archive = await buildRuntimeArchive(await fsp.mkdtemp(path.join(rootDir, 'build-')));
+    publishedChecksum = crypto.createHash('sha256').update(Buffer.from('tampered')).digest('hex');
+    await assert.rejects(installJavaRuntime(rootDir, 17, { arch: 'x64' }), /does not match its expected SHA-256/);
+    assert.equal(fs.existsSync(path.join(rootDir, 'runtimes', 'java-17')), false);
+
+    publishedChecksum = crypto.createHash('sha256').update(archive).digest('hex');
+    const installed = await installJavaRuntime(rootDir, 17, { arch: 'x64' });
+    assert.equal(installed.path, path.join(rootDir, 'runtimes', 'java-17', 'bin', 'java'));
+    assert.equal(installed.release, 'jdk-17.0.9+9');
+    assert.deepEqual(await fsp.readdir(path.join(rootDir, 'runtimes')), ['java-17']);
+
+    const infoPath = path.join(rootDir, 'runtimes', 'java-17', RUNTIME_INFO_FILENAME);
+    const info = JSON.parse(await fsp.readFile(infoPath, 'utf8'));
+    assert.equal(info.major, 17);
+
+    const selected = await selectJavaRuntime({ rootDir, resourcesPath: null, env: {}, requiredMajor: 17 });
+    assert.equal(selected.source, 'managed');
+    assert.equal(selected.path, installed.path);
+    assert.equal(selected.major, 17);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  JVM_ARG_PRESETS,
+  tokenizeJvmArgs,
+  checkJvmArgs,
+  formatJvmArgs,
+  findJvmArgPreset
+} = require('../src/main/jvmArgs');
+
+test('tokenizeJvmArgs keeps quoted values together and reports unbalanced quotes', () => {
+  assert.deepEqual(tokenizeJvmArgs(' -XX:+UseG1GC\n-Dhellas.name="Hellas Region"  \'-Dpath=C:\\My Games\' '), {
+    args: ['-XX:+UseG1GC', '-Dhellas.name=Hellas Region', '-Dpath=C:\\My Games'],
+    error: null
+  });
+  assert.deepEqual(tokenizeJvmArgs(''), { args: [], error: null });
+  assert.match(tokenizeJvmArgs('-Dname="Hellas').error, /Unbalanced double quote/);
+  assert.match(tokenizeJvmArgs('-Dname=\'Hellas').error, /Unbalanced single quote/);
+});
+
+test('checkJvmArgs rejects memory flags, duplicates and stray words', () => {
+  const { args, errors } = checkJvmArgs('-Xmx4G -XX:+UseG1GC -XX:-UseG1GC -Dfoo=1 -Dfoo=2 G1GC -Xms2G');
+
+  assert.deepEqual(args, ['-Xmx4G', '-XX:+UseG1GC', '-XX:-UseG1GC', '-Dfoo=1', '-Dfoo=2', 'G1GC', '-Xms2G']);
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /-Xmx is set by Maximum RAM above/);
+  assert.match(errors[1], /-XX:UseG1GC is set more than once/);
+  assert.match(errors[2], /-Dfoo is set more than once/);
+  assert.match(errors[3], /"G1GC" is not a JVM option/);
+  assert.match(errors[4], /-Xms is set by Minimum RAM above/);
+
+  assert.deepEqual(checkJvmArgs(['-XX:+UseG1GC', ' ', 42]), { args: ['-XX:+UseG1GC'], errors: [] });
+  assert.deepEqual(checkJvmArgs(undefined), { args: [], errors: [] });
+});
+
+test('presets are valid and round-trip through the editor text', () => {
+  for (const preset of JVM_ARG_PRESETS) {
+    const text = formatJvmArgs(preset.args);
+    assert.deepEqual(checkJvmArgs(text), { args: preset.args, errors: [] }, preset.id);
+    assert.equal(findJvmArgPreset(preset.args).id, preset.id);
+  }
+
+  assert.equal(findJvmArgPreset(['-XX:+UseZGC']), null);
+  assert.equal(formatJvmArgs(['-Dname=Hellas Region', '-Dquote="x"']), '"-Dname=Hellas Region" \'-Dquote="x"\'');
+});
@@ -20,12 +20,13 @@ require.cache[fetchModulePath] = {
   })
 };
 
-const { checkLaunchRequirements } = require('../src/main/launcher');
+const { checkLaunchRequirements, resolveRuntimeVersions } = require('../src/main/launcher');
 
 async function createBaseInstall(dir, { modpackVersion = '1.0.0', includeModpack = true } = {}) {
   const minecraftDir = path.join(dir, 'versions', '1.16.5');
   await fsp.mkdir(minecraftDir, { recursive: true });
-  await fsp.writeFile(path.join(minecraftDir, '1.16.5.json'), '{}', 'utf8');
+  const profile = { id: '1.16.5', downloads: { client: { url: 'https://example.test/client.jar' } } };
+  await fsp.writeFile(path.join(minecraftDir, '1.16.5.json'), JSON.stringify(profile), 'utf8');
   await fsp.writeFile(path.join(minecraftDir, '1.16.5.jar'), '');
 
   const forgeDir = path.join(dir, 'versions', FORGE_VERSION);
@@ -100,3 +101,34 @@ test('checkLaunchRequirements handles filesystem access errors without throwing'
     await fsp.rm(installDir, { recursive: true, force: true });
   }
 });
+
+test('checkLaunchRequirements uses the Minecraft and Forge versions the feed declares', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-launcher-runtime-'));
+
+  try {
+    await createBaseInstall(installDir, { modpackVersion: '1.0.0', includeModpack: true });
+
+    const runtime = { minecraftVersion: '1.16.5', forgeVersion: '99.99.99' };
+    const result = await checkLaunchRequirements(installDir, '1.0.0', runtime);
+
+    assert.equal(result.forgeVersion, FORGE_VERSION);
+    assert.deepEqual(result.requirements, { minecraft: true, forge: true, modpack: true });
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('resolveRuntimeVersions falls back to the built-in versions only when the feed declares none', () => {
+  assert.deepEqual(resolveRuntimeVersions(null), {
+    minecraftVersion: '1.16.5',
+    forgeVersion: '1.16.5-36.2.42',
+    forgeInstaller: null,
+    javaMajor: 8
+  });
+  const feedRuntime = resolveRuntimeVersions({ minecraftVersion: '1.18.2', forgeVersion: '40.2.0' });
+  assert.equal(feedRuntime.forgeVersion, '1.18.2-40.2.0');
+  assert.throws(
+    () => resolveRuntimeVersions({ minecraftVersion: '1.18.2' }),
+    /Minecraft 1\.18\.2 but no Forge version/
+  );
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+let feedBody = '';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.PACK_SIGNING_PUBLIC_KEYS = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    text: async () =>
+      url.endsWith('.sig') ? crypto.sign(null, Buffer.from(feedBody), privateKey).toString('base64') : feedBody
+  })
+};
+
+const { fetchFeedManifest, resolveUpdateSource, normalizeReleaseChannel } = require('../src/main/update');
+
+test('fetchFeedManifest selects the requested channel and falls back to stable', async () => {
+  feedBody = JSON.stringify({
+    channels: {
+      stable: { version: '1.3.0', url: 'https://example.test/packs/hellas-1.3.0.zip' },
+      beta: { version: '1.4.0-beta.1', url: 'https://example.test/packs/hellas-1.4.0-beta.1.zip', mirrors: ['mirror/beta.zip'] }
+    }
+  });
+
+  const beta = await fetchFeedManifest('https://example.test/feed.json', { channel: 'beta' });
+  assert.equal(beta.channel, 'beta');
+  assert.deepEqual(beta.channels, ['stable', 'beta']);
+  assert.equal(beta.version, '1.4.0-beta.1');
+  assert.equal(beta.url, 'https://example.test/packs/hellas-1.4.0-beta.1.zip');
+  assert.equal(beta.mirrors[0].url, 'https://example.test/mirror/beta.zip');
+
+  const fallback = await fetchFeedManifest('https://example.test/feed.json', { channel: 'staging' });
+  assert.equal(fallback.channel, 'stable');
+  assert.equal(fallback.version, '1.3.0');
+});
+
+test('fetchFeedManifest treats a feed without channels as the stable channel', async () => {
+  feedBody = JSON.stringify({ version: '1.3.0', url: 'https://example.test/pack.zip' });
+
+  const manifest = await fetchFeedManifest('https://example.test/feed.json', { channel: 'beta' });
+  assert.equal(manifest.channel, 'stable');
+  assert.deepEqual(manifest.channels, ['stable']);
+  assert.equal(manifest.version, '1.3.0');
+});
+
+test('fetchFeedManifest lists the version history and resolves a pinned version', async () => {
+  feedBody = JSON.stringify({
+    version: '1.3.0',
+    url: 'https://example.test/packs/hellas-1.3.0.zip',
+    configPolicies: { 'options.txt': 'merge' },
+    versions: [
+      { version: '1.3.0', url: 'https://example.test/packs/hellas-1.3.0.zip' },
+      {
+        version: '1.2.1',
+        url: 'https://example.test/packs/hellas-1.2.1.zip',
+        sha256: 'ab'.repeat(32),
+        releasedAt: '2026-03-01'
+      },
+      { url: 'packs/unversioned.zip' }
+    ]
+  });
+
+  const latest = await fetchFeedManifest('https://example.test/feed.json');
+  assert.equal(latest.latestVersion, '1.3.0');
+  assert.deepEqual(latest.versions.map((entry) => entry.version), ['1.3.0', '1.2.1']);
+
+  const pinned = await fetchFeedManifest('https://example.test/feed.json', { version: '1.2.1' });
+  assert.equal(pinned.version, '1.2.1');
+  assert.equal(pinned.latestVersion, '1.3.0');
+  assert.equal(pinned.url, 'https://example.test/packs/hellas-1.2.1.zip');
+  assert.equal(pinned.sha256, 'ab'.repeat(32));
+  assert.equal(pinned.configPolicies[0].pattern, 'options.txt');
+
+  await assert.rejects(
+    fetchFeedManifest('https://example.test/feed.json', { version: '0.9.0' }),
+    /Pack version 0\.9\.0 is not offered on the stable channel/
+  );
+});
+
+test('fetchFeedManifest reads the Minecraft and Forge versions from the most specific entry', async () => {
+  feedBody = JSON.stringify({
+    minecraftVersion: '1.16.5',
+    forgeVersion: '36.2.42',
+    channels: {
+      stable: { version: '1.3.0', url: 'https://example.test/packs/hellas-1.3.0.zip' },
+      beta: {
+        version: '1.4.0-beta.1',
+        url: 'https://example.test/packs/hellas-1.4.0-beta.1.zip',
+        minecraftVersion: '1.18.2',
+        forgeVersion: '1.18.2-40.2.0',
+        javaVersion: 17,
+        forgeInstaller: { url: 'forge/installer.jar', sha1: 'AB'.repeat(20) }
+      }
+    }
+  });
+
+  const stable = await fetchFeedManifest('https://example.test/feed.json', { channel: 'stable' });
+  assert.deepEqual(stable.runtime, {
+    minecraftVersion: '1.16.5',
+    forgeVersion: '36.2.42',
+    javaVersion: null,
+    forgeInstaller: null
+  });
+
+  const beta = await fetchFeedManifest('https://example.test/feed.json', { channel: 'beta' });
+  assert.deepEqual(beta.runtime, {
+    minecraftVersion: '1.18.2',
+    forgeVersion: '1.18.2-40.2.0',
+    javaVersion: 17,
+    forgeInstaller: { url: 'https://example.test/forge/installer.jar', sha1: 'ab'.repeat(20) }
+  });
+
+  feedBody = JSON.stringify({ version: '1.3.0', url: 'https://example.test/pack.zip' });
+  assert.equal((await fetchFeedManifest('https://example.test/feed.json')).runtime, null);
+});
+
+test('fetchFeedManifest rejects channel feeds without a usable stable fallback', async () => {
+  feedBody = JSON.stringify({ channels: { beta: { version: '2.0.0-beta.1', url: 'beta.zip' } } });
+
+  await assert.rejects(fetchFeedManifest('https://example.test/feed.json'), /does not offer a stable channel/);
+});
+
+test('resolveUpdateSource carries a normalized channel for feed sources', () => {
+  const previousFeed = process.env.PACK_FEED_URL;
+  process.env.PACK_FEED_URL = 'https://example.test/feed.json';
+
+  try {
+    assert.equal(resolveUpdateSource({ channel: ' Beta ' }).channel, 'beta');
+    assert.equal(resolveUpdateSource().channel, 'stable');
+    assert.equal(resolveUpdateSource({ pinnedVersion: ' 1.2.1 ' }).pinnedVersion, '1.2.1');
+    assert.equal(normalizeReleaseChannel('../evil'), 'stable');
+  } finally {
+    if (previousFeed === undefined) {
+      delete process.env.PACK_FEED_URL;
+    } else {
+      process.env.PACK_FEED_URL = previousFeed;
+    }
+  }
+});
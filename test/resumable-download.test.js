@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const fsp = fs.promises;
+
+const PAYLOAD = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const PAYLOAD_SHA256 = crypto.createHash('sha256').update(PAYLOAD).digest('hex');
+const requests = [];
+let serverMode = 'ranges';
+
+function headerGetter(headers) {
+  return (name) => headers[name.toLowerCase()] ?? null;
+}
+
+function failingBody(chunk) {
+  return new Readable({
+    read() {
+      this.push(chunk);
+      this.destroy(new Error('socket hang up'));
+    }
+  });
+}
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (_url, options = {}) => {
+    const range = options.headers?.Range;
+    requests.push(range || null);
+    const acceptRanges = serverMode === 'ranges' ? 'bytes' : null;
+
+    if (requests.length === 1) {
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: headerGetter({ 'accept-ranges': acceptRanges, 'content-length': String(PAYLOAD.length) }) },
+        body: failingBody(PAYLOAD.subarray(0, 10))
+      };
+    }
+
+    if (range && serverMode === 'ranges') {
+      const start = Number(/bytes=(\d+)-/.exec(range)[1]);
+      return {
+        ok: true,
+        status: 206,
+        headers: {
+          get: headerGetter({
+            'accept-ranges': 'bytes',
+            'content-length': String(PAYLOAD.length - start),
+            'content-range': `bytes ${start}-${PAYLOAD.length - 1}/${PAYLOAD.length}`
+          })
+        },
+        body: Readable.from([PAYLOAD.subarray(start)])
+      };
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: headerGetter({ 'accept-ranges': acceptRanges, 'content-length': String(PAYLOAD.length) }) },
+      body: Readable.from([PAYLOAD])
+    };
+  }
+};
+
+const { downloadResumable, getPartialDownloadPath, createTransferMeter } = require('../src/main/download');
+
+async function downloadTwice(rootDir) {
+  const url = 'https://example.test/pack.zip';
+  const partialPath = getPartialDownloadPath(rootDir, { url, sha256: PAYLOAD_SHA256 });
+
+  await assert.rejects(downloadResumable({ url, partialPath, sha256: PAYLOAD_SHA256 }), /socket hang up/);
+  return downloadResumable({ url, partialPath, sha256: PAYLOAD_SHA256 });
+}
+
+test('downloadResumable continues an interrupted download with a Range request', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-resume-'));
+  requests.length = 0;
+  serverMode = 'ranges';
+
+  try {
+    const result = await downloadTwice(rootDir);
+
+    assert.deepEqual(requests, [null, 'bytes=10-']);
+    assert.equal(result.sha256, PAYLOAD_SHA256);
+    assert.deepEqual(await fsp.readFile(result.path), PAYLOAD);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadResumable restarts from zero when the server does not accept ranges', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-resume-norange-'));
+  requests.length = 0;
+  serverMode = 'no-ranges';
+
+  try {
+    const result = await downloadTwice(rootDir);
+
+    assert.deepEqual(requests, [null, null]);
+    assert.equal(result.sha256, PAYLOAD_SHA256);
+    assert.deepEqual(await fsp.readFile(result.path), PAYLOAD);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('createTransferMeter smooths the rate, estimates the ETA and ignores resumed bytes', () => {
+  let clock = 0;
+  const meter = createTransferMeter({ now: () => clock });
+
+  // 4 MB were already on disk from an earlier attempt.
+  assert.deepEqual(meter.update(4000000, 10000000), {
+    downloadedBytes: 4000000,
+    totalBytes: 10000000,
+    bytesPerSecond: null,
+    etaSeconds: null
+  });
+
+  clock = 1000;
+  const first = meter.update(5000000, 10000000);
+  assert.equal(first.bytesPerSecond, 1000000);
+  assert.equal(first.etaSeconds, 5);
+
+  clock = 2000;
+  const second = meter.update(8000000, 10000000);
+  assert.equal(second.bytesPerSecond, 1600000);
+  assert.equal(second.etaSeconds, 1);
+
+  assert.equal(meter.update(100, null).totalBytes, null);
+  assert.equal(meter.update(200, null).etaSeconds, null);
+});
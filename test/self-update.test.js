@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const fsp = fs.promises;
+
+const remoteFiles = new Map();
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.PACK_SIGNING_PUBLIC_KEYS = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    const content = remoteFiles.get(url);
+    return {
+      ok: content !== undefined,
+      status: content !== undefined ? 200 : 404,
+      headers: { get: () => null },
+      text: async () => content,
+      body: Readable.from([Buffer.from(content || '')])
+    };
+  }
+};
+
+const {
+  normalizeLauncherRelease,
+  getLauncherStatus,
+  readPendingLauncherUpdate,
+  downloadLauncherUpdate,
+  applyPendingLauncherUpdate,
+  cleanupReplacedLauncher
+} = require('../src/main/selfUpdate');
+const { clearDownloadCache } = require('../src/main/contentCache');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+test('getLauncherStatus offers newer builds and blocks launchers below the minimum version', () => {
+  const release = normalizeLauncherRelease(
+    { version: '1.4.0', minimumVersion: '1.2.0', url: 'launcher/Hellas.exe', sha256: 'ABC' },
+    'https://example.test/feed.json'
+  );
+  assert.equal(release.url, 'https://example.test/launcher/Hellas.exe');
+  assert.equal(release.sha256, 'abc');
+
+  assert.deepEqual(getLauncherStatus(release, '1.1.0'), {
+    currentVersion: '1.1.0',
+    latestVersion: '1.4.0',
+    minimumVersion: '1.2.0',
+    updateAvailable: true,
+    supported: false
+  });
+  assert.equal(getLauncherStatus(release, '1.4.0').updateAvailable, false);
+  assert.equal(getLauncherStatus({ ...release, sha256: null }, '1.3.0').updateAvailable, false);
+  assert.equal(getLauncherStatus(release, 'dev').supported, true);
+  assert.equal(normalizeLauncherRelease({ version: 'latest' }), null);
+});
+
+test('a downloaded launcher build is verified and swapped in for the portable executable', async () => {
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-self-update-'));
+  const executablePath = path.join(rootDir, 'portable', 'Hellas Launcher.exe');
+
+  try {
+    await fsp.mkdir(path.dirname(executablePath), { recursive: true });
+    await fsp.writeFile(executablePath, 'old build');
+    const url = 'https://example.test/launcher/1.4.0.exe';
+
+    remoteFiles.set(url, 'tampered');
+    await assert.rejects(
+      downloadLauncherUpdate({ version: '1.4.0', url, sha256: sha256('new build') }, rootDir),
+      /does not match its expected SHA-256/
+    );
+    assert.equal(await readPendingLauncherUpdate(rootDir), null);
+
+    remoteFiles.set(url, 'new build');
+    const digest = crypto.createHash('sha256').update('new build').digest();
+    remoteFiles.set(`${url}.sig`, crypto.sign(null, digest, privateKey).toString('base64'));
+    const pending = await downloadLauncherUpdate({ version: '1.4.0', url, sha256: sha256('new build') }, rootDir);
+    assert.equal(pending.version, '1.4.0');
+    assert.deepEqual(await readPendingLauncherUpdate(rootDir), pending);
+
+    await fsp.mkdir(path.join(rootDir, 'cache', 'objects'), { recursive: true });
+    await fsp.writeFile(path.join(rootDir, 'cache', 'objects', 'stale'), 'cached');
+    assert.equal(await clearDownloadCache(rootDir), 6);
+    assert.deepEqual(await readPendingLauncherUpdate(rootDir), pending);
+
+    const applied = await applyPendingLauncherUpdate(rootDir, executablePath);
+    assert.equal(applied.version, '1.4.0');
+    assert.equal(await fsp.readFile(executablePath, 'utf8'), 'new build');
+    assert.equal(await fsp.readFile(`${executablePath}.old`, 'utf8'), 'old build');
+    assert.equal(await readPendingLauncherUpdate(rootDir), null);
+    assert.equal(await applyPendingLauncherUpdate(rootDir, executablePath), null);
+
+    await cleanupReplacedLauncher(executablePath);
+    await assert.rejects(fsp.access(`${executablePath}.old`));
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+});
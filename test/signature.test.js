@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const os = require('node:os');
+const path = require('node:path');
+const fsp = require('node:fs').promises;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+const remote = new Map();
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    const content = remote.get(url);
+    return {
+      ok: content !== undefined,
+      status: content !== undefined ? 200 : 404,
+      headers: { get: (name) => (name === 'content-type' ? 'application/json' : null) },
+      clone: () => ({ text: async () => content }),
+      text: async () => content
+    };
+  }
+};
+
+const { verifySignature, getTrustedKeys } = require('../src/main/signature');
+const { fetchFeedManifest, downloadAndExtractUpdate } = require('../src/main/update');
+
+function sign(data) {
+  return crypto.sign(null, Buffer.from(data), privateKey).toString('base64');
+}
+
+function withSigningKey(fn) {
+  return async () => {
+    process.env.PACK_SIGNING_PUBLIC_KEYS = rawPublicKey;
+    try {
+      await fn();
+    } finally {
+      delete process.env.PACK_SIGNING_PUBLIC_KEYS;
+    }
+  };
+}
+
+test('verifySignature accepts raw Ed25519 keys and rejects tampered data', withSigningKey(() => {
+  const keys = getTrustedKeys();
+  assert.equal(verifySignature(Buffer.from('payload'), sign('payload'), keys), true);
+  assert.equal(verifySignature(Buffer.from('payload!'), sign('payload'), keys), false);
+  assert.equal(verifySignature(Buffer.from('payload'), 'bm90IGEgc2lnbmF0dXJl', keys), false);
+}));
+
+test('fetchFeedManifest accepts a correctly signed feed', withSigningKey(async () => {
+  const feed = JSON.stringify({ version: '1.2.0', url: 'https://example.test/pack.zip' });
+  remote.set('https://example.test/signed.json', feed);
+  remote.set('https://example.test/signed.json.sig', sign(feed));
+
+  const manifest = await fetchFeedManifest('https://example.test/signed.json');
+  assert.equal(manifest.version, '1.2.0');
+}));
+
+test('fetchFeedManifest refuses unsigned and mis-signed feeds when keys are embedded', withSigningKey(async () => {
+  const feed = JSON.stringify({ version: '1.2.0', url: 'https://example.test/pack.zip' });
+  remote.set('https://example.test/unsigned.json', feed);
+  remote.set('https://example.test/tampered.json', feed.replace('1.2.0', '6.6.6'));
+  remote.set('https://example.test/tampered.json.sig', sign(feed));
+
+  await assert.rejects(fetchFeedManifest('https://example.test/unsigned.json'), /is not signed/);
+  await assert.rejects(fetchFeedManifest('https://example.test/tampered.json'), /signature is invalid/);
+}));
+
+test('fetchFeedManifest skips verification when no keys are embedded', async () => {
+  remote.set('https://example.test/plain.json', JSON.stringify({ version: '1.0.0', url: 'pack.zip' }));
+
+  const manifest = await fetchFeedManifest('https://example.test/plain.json');
+  assert.equal(manifest.version, '1.0.0');
+});
+
+test('a descriptor signature is checked before its contents are parsed', withSigningKey(async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-signature-descriptor-'));
+  remote.set('https://example.test/descriptor.json', JSON.stringify({ schemaVersion: 'evil', modpack: [] }));
+
+  try {
+    await assert.rejects(
+      downloadAndExtractUpdate({ type: 'direct', url: 'https://example.test/descriptor.json' }, installDir),
+      (error) => {
+        assert.equal(error.code, 'ESIGNATURE');
+        assert.match(error.message, /Update descriptor is not signed/);
+        return true;
+      }
+    );
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+}));
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const fsp = fs.promises;
+
+const { createSnapshot, listSnapshots, restoreSnapshot } = require('../src/main/snapshots');
+
+async function writeFile(filePath, content) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(filePath, content);
+}
+
+test('createSnapshot backs up player data and keeps only the newest snapshots', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-snapshots-'));
+  const modpackDir = path.join(installDir, 'modpack');
+
+  try {
+    assert.equal(await createSnapshot(installDir), null);
+
+    await writeFile(path.join(modpackDir, 'saves', 'World', 'level.dat'), 'level');
+    await writeFile(path.join(modpackDir, 'screenshots', 'shot.png'), 'png');
+    await writeFile(path.join(modpackDir, 'options.txt'), 'fov:0.5\n');
+    await writeFile(path.join(modpackDir, 'mods', 'pack.jar'), 'jar');
+
+    const first = await createSnapshot(installDir, {
+      reason: 'update',
+      version: '1.0.0',
+      keep: 2,
+      now: new Date('2026-05-01T10:00:00Z')
+    });
+    assert.equal(first.fileCount, 3);
+    await createSnapshot(installDir, { keep: 2, now: new Date('2026-05-02T10:00:00Z') });
+    await createSnapshot(installDir, { keep: 2, now: new Date('2026-05-03T10:00:00Z') });
+
+    const snapshots = await listSnapshots(installDir);
+    const createdAt = snapshots.map((snapshot) => snapshot.createdAt);
+    assert.deepEqual(createdAt, ['2026-05-03T10:00:00.000Z', '2026-05-02T10:00:00.000Z']);
+    assert.ok(snapshots[0].size > 0);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('restoreSnapshot replaces backed-up folders and leaves other data alone', async () => {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hellas-snapshot-restore-'));
+  const modpackDir = path.join(installDir, 'modpack');
+
+  try {
+    await writeFile(path.join(modpackDir, 'saves', 'World', 'level.dat'), 'before update');
+    await writeFile(path.join(modpackDir, 'config', 'mod.toml'), 'old = true');
+    const snapshot = await createSnapshot(installDir, { reason: 'reinstall' });
+
+    await fsp.rm(path.join(modpackDir, 'saves'), { recursive: true });
+    await writeFile(path.join(modpackDir, 'config', 'mod.toml'), 'new = true');
+    await writeFile(path.join(modpackDir, 'config', 'added.toml'), 'added');
+    await writeFile(path.join(modpackDir, 'mods', 'pack.jar'), 'jar');
+
+    let swapped = false;
+    const result = await restoreSnapshot(installDir, snapshot.id, {
+      beforeSwap: async () => {
+        swapped = true;
+      }
+    });
+
+    assert.equal(swapped, true);
+    assert.deepEqual(result.restored.sort(), ['config', 'saves']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'saves', 'World', 'level.dat'), 'utf8'), 'before update');
+    assert.deepEqual(await fsp.readdir(path.join(modpackDir, 'config')), ['mod.toml']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'mods', 'pack.jar'), 'utf8'), 'jar');
+    await assert.rejects(restoreSnapshot(installDir, '../modpack'), /no longer exists/);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,303 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const AdmZip = require('adm-zip');
+const fsp = fs.promises;
+
+let archiveBuffer = Buffer.alloc(0);
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+// Archives are signed over their SHA-256 digest, served as "<archive url>.sig".
+function signArchive(buffer) {
+  const digest = crypto.createHash('sha256').update(buffer).digest();
+  return crypto.sign(null, digest, privateKey).toString('base64');
+}
+
+const fetchModulePath = require.resolve('node-fetch');
+require.cache[fetchModulePath] = {
+  id: fetchModulePath,
+  filename: fetchModulePath,
+  loaded: true,
+  exports: async (url) => {
+    if (url.endsWith('.sig')) {
+      return { ok: true, status: 200, text: async () => signArchive(archiveBuffer) };
+    }
+    return {
+      ok: true,
+      status: 200,
+      headers: {
+        get: (name) =>
+          ({ 'content-type': 'application/zip', 'content-length': String(archiveBuffer.length) })[name] ?? null
+      },
+      clone: () => ({
+        text: async () => archiveBuffer.toString('latin1')
+      }),
+      body: Readable.from([archiveBuffer])
+    };
+  }
+};
+
+function withSigningKey(fn) {
+  return async () => {
+    process.env.PACK_SIGNING_PUBLIC_KEYS = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+    try {
+      await fn();
+    } finally {
+      delete process.env.PACK_SIGNING_PUBLIC_KEYS;
+    }
+  };
+}
+
+const { createInstallTransaction, recoverInterruptedInstall } = require('../src/main/stagedInstall');
+const { readInstalledManifest, writeInstalledManifest } = require('../src/main/packManifest');
+const {
+  downloadAndExtractUpdate,
+  freshReinstall,
+  inspectLocalArchive,
+  installFromLocalArchive
+} = require('../src/main/update');
+
+async function createInstall(prefix) {
+  const installDir = await fsp.mkdtemp(path.join(os.tmpdir(), prefix));
+  const modpackDir = path.join(installDir, 'modpack');
+  await fsp.mkdir(path.join(modpackDir, 'mods'), { recursive: true });
+  await fsp.mkdir(path.join(modpackDir, 'config'), { recursive: true });
+  await fsp.writeFile(path.join(modpackDir, 'mods', 'old.jar'), 'old');
+  await fsp.writeFile(path.join(modpackDir, 'config', 'pack.toml'), 'old config');
+  return { installDir, modpackDir };
+}
+
+async function stageFile(installDir, name, content) {
+  const stagedPath = path.join(installDir, 'staged', name);
+  await fsp.mkdir(path.dirname(stagedPath), { recursive: true });
+  await fsp.writeFile(stagedPath, content);
+  return stagedPath;
+}
+
+test('rollback restores replaced directories and overwritten files', async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-rollback-');
+
+  try {
+    const transaction = await createInstallTransaction(installDir, modpackDir);
+    await transaction.removeEntry('mods');
+    await transaction.placeFile(await stageFile(installDir, 'new.jar', 'new'), path.join('mods', 'new.jar'));
+    await transaction.placeFile(
+      await stageFile(installDir, 'pack.toml', 'new config'),
+      path.join('config', 'pack.toml')
+    );
+    await transaction.rollback();
+
+    assert.deepEqual(await fsp.readdir(path.join(modpackDir, 'mods')), ['old.jar']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'config', 'pack.toml'), 'utf8'), 'old config');
+    await assert.rejects(fsp.access(path.join(installDir, '.hellas-rollback')));
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('recoverInterruptedInstall rolls back an install that never committed', async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-recover-');
+
+  try {
+    const transaction = await createInstallTransaction(installDir, modpackDir);
+    await transaction.removeEntry('mods');
+    await transaction.placeFile(await stageFile(installDir, 'new.jar', 'new'), path.join('mods', 'new.jar'));
+
+    assert.equal(await recoverInterruptedInstall(installDir, modpackDir), true);
+    assert.deepEqual(await fsp.readdir(path.join(modpackDir, 'mods')), ['old.jar']);
+    assert.equal(await recoverInterruptedInstall(installDir, modpackDir), false);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadAndExtractUpdate swaps in a verified archive and keeps unrelated files', withSigningKey(async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-zip-');
+
+  try {
+    await fsp.mkdir(path.join(modpackDir, 'saves', 'world'), { recursive: true });
+    await fsp.writeFile(path.join(modpackDir, 'saves', 'world', 'level.dat'), 'world');
+    const zip = new AdmZip();
+    zip.addFile('mods/hellasforms-2.0.0.jar', Buffer.from('jar'));
+    zip.addFile('config/pack.toml', Buffer.from('new config'));
+    archiveBuffer = zip.toBuffer();
+
+    const result = await downloadAndExtractUpdate(
+      { type: 'direct', url: 'https://example.test/pack.zip', version: '2.0.0', sha256: null },
+      installDir
+    );
+
+    assert.equal(result.version, '2.0.0');
+    assert.deepEqual(await fsp.readdir(path.join(modpackDir, 'mods')), ['hellasforms-2.0.0.jar']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'config', 'pack.toml'), 'utf8'), 'new config');
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'saves', 'world', 'level.dat'), 'utf8'), 'world');
+    await assert.rejects(fsp.access(path.join(installDir, '.hellas-staging')));
+    await assert.rejects(fsp.access(path.join(installDir, '.hellas-rollback')));
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+}));
+
+test('downloadAndExtractUpdate keeps player mods and quarantines clashing pack files', withSigningKey(async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-ledger-');
+
+  try {
+    const firstZip = new AdmZip();
+    firstZip.addFile('mods/pack-a.jar', Buffer.from('a1'));
+    firstZip.addFile('mods/pack-b.jar', Buffer.from('b1'));
+    archiveBuffer = firstZip.toBuffer();
+    await downloadAndExtractUpdate(
+      { type: 'direct', url: 'https://example.test/pack.zip', version: '1.0.0' },
+      installDir
+    );
+
+    // No ledger existed yet, so the unknown jar from before was quarantined rather than deleted.
+    const [legacyQuarantine] = await fsp.readdir(path.join(installDir, 'quarantine'));
+    assert.equal(
+      await fsp.readFile(path.join(installDir, 'quarantine', legacyQuarantine, 'mods', 'old.jar'), 'utf8'),
+      'old'
+    );
+
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'minimap.jar'), 'player');
+    await fsp.writeFile(path.join(modpackDir, 'mods', 'pack-c.jar'), 'player copy');
+
+    const secondZip = new AdmZip();
+    secondZip.addFile('mods/pack-a.jar', Buffer.from('a2'));
+    secondZip.addFile('mods/pack-c.jar', Buffer.from('c2'));
+    archiveBuffer = secondZip.toBuffer();
+    await downloadAndExtractUpdate(
+      { type: 'direct', url: 'https://example.test/pack.zip', version: '2.0.0' },
+      installDir
+    );
+
+    assert.deepEqual((await fsp.readdir(path.join(modpackDir, 'mods'))).sort(), [
+      'minimap.jar',
+      'pack-a.jar',
+      'pack-c.jar'
+    ]);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'mods', 'pack-c.jar'), 'utf8'), 'c2');
+
+    const quarantined = (await fsp.readdir(path.join(installDir, 'quarantine'))).filter(
+      (entry) => entry !== legacyQuarantine
+    );
+    assert.equal(quarantined.length, 1);
+    assert.equal(
+      await fsp.readFile(path.join(installDir, 'quarantine', quarantined[0], 'mods', 'pack-c.jar'), 'utf8'),
+      'player copy'
+    );
+
+    const ledger = JSON.parse(await fsp.readFile(path.join(modpackDir, '.hellas-ledger.json'), 'utf8'));
+    assert.deepEqual(ledger.files.map((file) => file.path).sort(), ['mods/pack-a.jar', 'mods/pack-c.jar']);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+}));
+
+test('installFromLocalArchive installs a sideloaded ZIP checked against its sidecar checksum', async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-local-');
+  const archivePath = path.join(installDir, 'usb', 'hellas-pack.zip');
+
+  try {
+    const zip = new AdmZip();
+    zip.addFile('mods/hellasforms-3.0.0.jar', Buffer.from('jar'));
+    zip.addFile('config/pack.toml', Buffer.from('local config'));
+    await fsp.mkdir(path.dirname(archivePath), { recursive: true });
+    await fsp.writeFile(archivePath, zip.toBuffer());
+
+    await fsp.writeFile(`${archivePath}.sha256`, `${'0'.repeat(64)}  hellas-pack.zip\n`);
+    await assert.rejects(inspectLocalArchive(archivePath), /does not match the checksum/);
+
+    await fsp.rm(`${archivePath}.sha256`);
+    const inspection = await inspectLocalArchive(archivePath);
+    assert.equal(inspection.verifiedBy, null);
+    assert.equal(inspection.fileCount, 2);
+
+    await fsp.writeFile(`${archivePath}.sha256`, `${inspection.sha256}  hellas-pack.zip\n`);
+    assert.equal((await inspectLocalArchive(archivePath)).verifiedBy, 'checksum');
+    const recognised = await inspectLocalArchive(archivePath, {
+      knownPack: { version: '3.0.0', channel: 'stable', sha256: inspection.sha256.toUpperCase() }
+    });
+    assert.equal(recognised.verifiedBy, 'feed');
+    assert.equal(recognised.version, '3.0.0');
+
+    // With a signing key the checksum alone proves nothing; the player is asked instead.
+    await withSigningKey(async () => {
+      assert.equal((await inspectLocalArchive(archivePath)).signature, 'missing');
+      assert.equal((await inspectLocalArchive(archivePath)).verifiedBy, null);
+      await fsp.writeFile(`${archivePath}.sig`, signArchive(Buffer.from('another pack')));
+      assert.equal((await inspectLocalArchive(archivePath)).signature, 'invalid');
+      await fsp.writeFile(`${archivePath}.sig`, signArchive(await fsp.readFile(archivePath)));
+      assert.equal((await inspectLocalArchive(archivePath)).verifiedBy, 'signature');
+    })();
+
+    const result = await installFromLocalArchive(recognised, installDir);
+    assert.deepEqual(result, { version: '3.0.0', channel: 'stable', optionalGroups: [], runtime: null });
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'config', 'pack.toml'), 'utf8'), 'local config');
+    assert.ok((await fsp.readdir(path.join(modpackDir, 'mods'))).includes('hellasforms-3.0.0.jar'));
+    await fsp.access(archivePath);
+    await assert.rejects(fsp.access(path.join(installDir, '.hellas-staging')));
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('freshReinstall keeps the download cache, backups and downloaded Java runtimes', async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-reinstall-');
+  const javaPath = path.join(installDir, 'runtimes', 'java-17', 'bin', 'java');
+
+  try {
+    const zip = new AdmZip();
+    zip.addFile('mods/hellasforms-3.0.0.jar', Buffer.from('jar'));
+    archiveBuffer = zip.toBuffer();
+    for (const filePath of [javaPath, path.join(installDir, 'cache', 'kept'), path.join(installDir, 'stray.txt')]) {
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, 'x');
+    }
+
+    await freshReinstall(installDir);
+    await fsp.access(javaPath);
+    await fsp.access(path.join(installDir, 'cache', 'kept'));
+    await assert.rejects(fsp.access(path.join(installDir, 'stray.txt')));
+    assert.deepEqual(await fsp.readdir(path.join(modpackDir, 'mods')), ['hellasforms-3.0.0.jar']);
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
+
+test('installFromLocalArchive keeps the optional groups installed from the feed', async () => {
+  const { installDir, modpackDir } = await createInstall('hellas-staged-local-groups-');
+  const archivePath = path.join(installDir, 'usb', 'hellas-pack.zip');
+
+  try {
+    await fsp.mkdir(path.join(modpackDir, 'shaderpacks'), { recursive: true });
+    await fsp.writeFile(path.join(modpackDir, 'shaderpacks', 'bsl.zip'), 'shader');
+    await writeInstalledManifest(modpackDir, {
+      version: '2.0.0',
+      files: [{ path: 'mods/old.jar' }, { path: 'shaderpacks/bsl.zip', group: 'shaders' }]
+    });
+
+    const zip = new AdmZip();
+    zip.addFile('mods/hellasforms-3.0.0.jar', Buffer.from('jar'));
+    await fsp.mkdir(path.dirname(archivePath), { recursive: true });
+    await fsp.writeFile(archivePath, zip.toBuffer());
+
+    const result = await installFromLocalArchive(await inspectLocalArchive(archivePath), installDir);
+    assert.deepEqual(result.optionalGroups, ['shaders']);
+    assert.equal(await fsp.readFile(path.join(modpackDir, 'shaderpacks', 'bsl.zip'), 'utf8'), 'shader');
+    await assert.rejects(fsp.access(path.join(modpackDir, 'mods', 'old.jar')));
+    const ledger = await readInstalledManifest(modpackDir);
+    assert.deepEqual(
+      ledger.files.map((file) => [file.path, file.group || null]),
+      [
+        ['mods/hellasforms-3.0.0.jar', null],
+        ['shaderpacks/bsl.zip', 'shaders']
+      ]
+    );
+  } finally {
+    await fsp.rm(installDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_CHECK_INTERVAL_MS, resolveCheckInterval, createUpdateChecker } = require('../src/main/updateChecker');
+
+function createFakeTimers() {
+  const pending = [];
+  return {
+    delays: [],
+    setTimer(callback, delay) {
+      const timer = { callback, delay };
+      pending.push(timer);
+      this.delays.push(delay);
+      return timer;
+    },
+    clearTimer(timer) {
+      const index = pending.indexOf(timer);
+      if (index !== -1) pending.splice(index, 1);
+    },
+    async fire() {
+      const timer = pending.shift();
+      assert.ok(timer, 'expected a scheduled check');
+      await timer.callback();
+    },
+    get pendingCount() {
+      return pending.length;
+    }
+  };
+}
+
+test('resolveCheckInterval reads minutes and falls back to the default', () => {
+  assert.equal(resolveCheckInterval('15'), 15 * 60 * 1000);
+  assert.equal(resolveCheckInterval('0'), 0);
+  assert.equal(resolveCheckInterval(''), DEFAULT_CHECK_INTERVAL_MS);
+  assert.equal(resolveCheckInterval('soon'), DEFAULT_CHECK_INTERVAL_MS);
+});
+
+test('createUpdateChecker backs off after failures and returns to the interval on success', async () => {
+  const timers = createFakeTimers();
+  const outcomes = [new Error('offline'), new Error('offline'), new Error('offline'), null];
+  let calls = 0;
+  const checker = createUpdateChecker({
+    check: async () => {
+      const outcome = outcomes[calls];
+      calls += 1;
+      if (outcome) throw outcome;
+    },
+    intervalMs: 10 * 60 * 1000,
+    retryBaseMs: 60 * 1000,
+    setTimer: timers.setTimer.bind(timers),
+    clearTimer: timers.clearTimer.bind(timers)
+  });
+
+  checker.start({ delayMs: 5000 });
+  for (let i = 0; i < outcomes.length; i += 1) {
+    await timers.fire();
+  }
+
+  assert.equal(calls, 4);
+  assert.deepEqual(timers.delays, [5000, 60 * 1000, 120 * 1000, 240 * 1000, 10 * 60 * 1000]);
+
+  checker.stop();
+  assert.equal(timers.pendingCount, 0);
+  await checker.checkNow();
+  assert.equal(timers.pendingCount, 0);
+});
+
+test('createUpdateChecker does nothing when checks are disabled', () => {
+  const timers = createFakeTimers();
+  const checker = createUpdateChecker({
+    check: async () => {},
+    intervalMs: 0,
+    setTimer: timers.setTimer.bind(timers),
+    clearTimer: timers.clearTimer.bind(timers)
+  });
+
+  checker.start();
+  assert.equal(timers.pendingCount, 0);
+});